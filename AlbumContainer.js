@@ -0,0 +1,241 @@
+/**
+ * AlbumContainer.js
+ *
+ * Container for several images in one link, e.g. before/after pairs or the
+ * steps of a sequence. Each record keeps its own MIME type and length, and
+ * goes through metadata stripping and templating on its own; the container
+ * as a whole is then deflated, encrypted and signed like a single image.
+ * Payloads holding a container carry the ALBUM header flag.
+ *
+ * Container layout:
+ *   [album version byte][record count varint]
+ *   per record: [type byte][MIME length byte and MIME bytes, type 0 only]
+ *               [record flags byte][byte length varint]
+ *   [record bytes, in record order]
+ * Type bytes index CONFIG.ALBUM.TYPES from 1; type 0 spells the MIME type
+ * out. Record flags are CONFIG.ALBUM.RECORD_FLAGS. Varints are LEB128.
+ */
+window.AlbumContainer = class AlbumContainer {
+    /**
+     * Runs an image through the per-record lossless stages
+     * @param {Uint8Array} bytes - Image file
+     * @param {string} type - MIME type of the image
+     * @param {Object} [options] - Stage switches; the stages also honor their CONFIG switches
+     * @param {boolean} [options.strip=true] - Strip metadata (MetadataStripper)
+     * @param {boolean} [options.template=true] - Apply templates (TemplateDictionary)
+     * @returns {Object} - { type, templated, oriented, bytes } for pack
+     */
+    static createRecord(bytes, type, { strip = true, template = true } = {}) {
+        const stripped = strip ?
+            window.MetadataStripper.strip(bytes) :
+            { bytes, oriented: false };
+        const templated = template ?
+            window.TemplateDictionary.apply(stripped.bytes) :
+            { bytes: stripped.bytes, templated: false };
+        return { type, templated: templated.templated, oriented: stripped.oriented, bytes: templated.bytes };
+    }
+
+    /**
+     * Undoes createRecord
+     * @param {Object} record - Record from unpack
+     * @returns {Uint8Array} - Image file
+     */
+    static restoreRecord(record) {
+        let bytes = record.bytes;
+        if (record.templated) {
+            bytes = window.TemplateDictionary.expand(bytes);
+        }
+        if (record.oriented) {
+            bytes = window.MetadataStripper.restore(bytes).bytes;
+        }
+        return bytes;
+    }
+
+    /**
+     * Writes a container
+     * @param {Object[]} records - { type, templated, oriented, bytes } records
+     * @returns {Uint8Array} - Container bytes
+     */
+    static pack(records) {
+        const { VERSION, MAX_IMAGES } = window.CONFIG.ALBUM;
+        if (records.length === 0 || records.length > MAX_IMAGES) {
+            throw new Error(`An album holds 1 to ${MAX_IMAGES} images, not ${records.length}`);
+        }
+
+        const header = [VERSION];
+        AlbumContainer.writeVarint(header, records.length);
+        for (const record of records) {
+            header.push(...AlbumContainer.encodeType(record.type));
+            header.push(AlbumContainer.getRecordFlags(record));
+            AlbumContainer.writeVarint(header, record.bytes.length);
+        }
+
+        const output = new Uint8Array(header.length + records.reduce((total, record) => total + record.bytes.length, 0));
+        output.set(header);
+        let offset = header.length;
+        for (const record of records) {
+            output.set(record.bytes, offset);
+            offset += record.bytes.length;
+        }
+        return output;
+    }
+
+    /**
+     * Reads a container
+     * @param {Uint8Array|ArrayBuffer} data - Container bytes
+     * @returns {Object[]} - { type, templated, oriented, bytes } records; bytes are views into data
+     */
+    static unpack(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const { VERSION, MAX_IMAGES, RECORD_FLAGS } = window.CONFIG.ALBUM;
+        const reader = { bytes, position: 0 };
+
+        const version = AlbumContainer.readByte(reader);
+        if (version !== VERSION) {
+            throw new Error(`This link uses album version ${version}, but this viewer only supports version ${VERSION}`);
+        }
+        const count = AlbumContainer.readVarint(reader);
+        if (count === 0 || count > MAX_IMAGES) {
+            throw new Error(`Album holds ${count} images; at most ${MAX_IMAGES} are supported`);
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const type = AlbumContainer.readType(reader);
+            const flags = AlbumContainer.readByte(reader);
+            const length = AlbumContainer.readVarint(reader);
+            entries.push({
+                type,
+                templated: (flags & RECORD_FLAGS.TEMPLATE) !== 0,
+                oriented: (flags & RECORD_FLAGS.ORIENTATION) !== 0,
+                length
+            });
+        }
+
+        let offset = reader.position;
+        const records = entries.map(({ length, ...record }) => {
+            if (offset + length > bytes.length) {
+                throw new Error('Album is shorter than its records');
+            }
+            const recordBytes = bytes.subarray(offset, offset + length);
+            offset += length;
+            return { ...record, bytes: recordBytes };
+        });
+        if (offset !== bytes.length) {
+            throw new Error('Album has data after its last record');
+        }
+        return records;
+    }
+
+    /**
+     * Largest container header for a number of records, used to budget the image bytes
+     * @param {number} count - Number of records
+     * @param {number} maxLength - Largest record length
+     * @returns {number} - Header bytes, assuming table types
+     */
+    static getOverhead(count, maxLength) {
+        return 1 + AlbumContainer.varintLength(count) + count * (2 + AlbumContainer.varintLength(maxLength));
+    }
+
+    /**
+     * @param {Object} record - Record with templated and oriented fields
+     * @returns {number} - Bits from CONFIG.ALBUM.RECORD_FLAGS
+     */
+    static getRecordFlags(record) {
+        const { TEMPLATE, ORIENTATION } = window.CONFIG.ALBUM.RECORD_FLAGS;
+        return (record.templated ? TEMPLATE : 0) | (record.oriented ? ORIENTATION : 0);
+    }
+
+    /**
+     * @param {string} type - MIME type
+     * @returns {number[]} - Table index from 1, or 0 followed by the spelled-out type
+     */
+    static encodeType(type) {
+        const index = window.CONFIG.ALBUM.TYPES.indexOf(type);
+        if (index >= 0) {
+            return [index + 1];
+        }
+        const spelled = Array.from(new TextEncoder().encode(type));
+        if (spelled.length === 0 || spelled.length > 0xFF) {
+            throw new Error(`Cannot store MIME type '${type}' in an album`);
+        }
+        return [0, spelled.length, ...spelled];
+    }
+
+    /**
+     * @param {Object} reader - { bytes, position }
+     * @returns {string} - MIME type
+     */
+    static readType(reader) {
+        const id = AlbumContainer.readByte(reader);
+        if (id > 0) {
+            const type = window.CONFIG.ALBUM.TYPES[id - 1];
+            if (!type) {
+                throw new Error(`Album record has unknown type ${id}`);
+            }
+            return type;
+        }
+
+        const length = AlbumContainer.readByte(reader);
+        const spelled = reader.bytes.subarray(reader.position, reader.position + length);
+        if (spelled.length < length) {
+            throw new Error('Album ends inside a record header');
+        }
+        reader.position += length;
+        return new TextDecoder().decode(spelled);
+    }
+
+    /**
+     * @param {number} value - Non-negative integer
+     * @returns {number} - LEB128 length in bytes
+     */
+    static varintLength(value) {
+        let length = 1;
+        while (value >= 0x80) {
+            value = Math.floor(value / 0x80);
+            length++;
+        }
+        return length;
+    }
+
+    /**
+     * @param {number[]} output - Bytes to append to
+     * @param {number} value - Non-negative integer
+     */
+    static writeVarint(output, value) {
+        while (value >= 0x80) {
+            output.push((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        output.push(value);
+    }
+
+    /**
+     * @param {Object} reader - { bytes, position }
+     * @returns {number} - Next byte
+     */
+    static readByte(reader) {
+        if (reader.position >= reader.bytes.length) {
+            throw new Error('Album ends inside a record header');
+        }
+        return reader.bytes[reader.position++];
+    }
+
+    /**
+     * @param {Object} reader - { bytes, position }
+     * @returns {number} - Decoded LEB128 value
+     */
+    static readVarint(reader) {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const byte = AlbumContainer.readByte(reader);
+            value += (byte & 0x7F) * scale;
+            if (byte < 0x80) return value;
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Album has a malformed record length');
+            }
+        }
+    }
+};
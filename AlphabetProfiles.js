@@ -0,0 +1,171 @@
+/**
+ * AlphabetProfiles.js
+ *
+ * Named character sets for the channels links are shared through
+ * (CONFIG.ALPHABET_PROFILES). A smaller alphabet makes longer links but
+ * survives stricter channels: chat linkifiers, mail clients, case-folding
+ * systems, or the query and fragment parts of a URL.
+ *
+ * Every profile is checked against the RFC 3986 grammar of its URL component
+ * when this script loads. The profile is recorded in the payload as a marker
+ * digit right after the header magic; digits are in every profile, so the
+ * viewer can read the marker before it knows the alphabet. The standard
+ * profile (CONFIG.SAFE_CHARS) has no marker and keeps existing links valid.
+ * It is the only non-strict profile: its characters outside RFC 3986 are
+ * listed in its warnings instead of stopping the page, and new links use a
+ * strict profile by default.
+ */
+
+(() => {
+    // RFC 3986 section 2.3 and 2.2
+    const RFC3986_UNRESERVED = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+    const RFC3986_SUB_DELIMS = '!$&\'()*+,;=';
+    const RFC3986_PCHAR = RFC3986_UNRESERVED + RFC3986_SUB_DELIMS + ':@';
+
+    // Characters each URL component may carry without percent-encoding (RFC 3986 section 3.3 - 3.5).
+    // The query payload is the value of img=, so the form delimiters '&', '=' and '+' are excluded.
+    const RFC3986_COMPONENT_CHARS = {
+        segment: RFC3986_PCHAR,
+        path: RFC3986_PCHAR + '/',
+        query: RFC3986_PCHAR.replace(/[&=+]/g, '') + '/?',
+        fragment: RFC3986_PCHAR + '/?'
+    };
+
+    window.AlphabetProfiles = class AlphabetProfiles {
+        /**
+         * Looks up a profile by id
+         * @param {string} [id] - Profile id, defaults to CONFIG.DEFAULT_ALPHABET_PROFILE
+         * @returns {Object} - { id, label, component, marker, chars, caseInsensitive, strict, warnings },
+         *   where warnings lists the RFC 3986 problems a non-strict profile is allowed to have
+         */
+        static get(id = window.CONFIG.DEFAULT_ALPHABET_PROFILE) {
+            const entry = window.CONFIG.ALPHABET_PROFILES[id];
+            if (!entry) {
+                throw new Error(`Unknown alphabet profile: ${id}`);
+            }
+
+            const profile = {
+                id,
+                label: entry.label,
+                component: entry.component,
+                marker: entry.marker || '',
+                chars: entry.chars || window.CONFIG.SAFE_CHARS,
+                caseInsensitive: Boolean(entry.caseInsensitive),
+                strict: entry.strict !== false
+            };
+            // Strict profiles with problems never get past validateAll
+            profile.warnings = profile.strict ? [] : this.validate(profile);
+            return profile;
+        }
+
+        /**
+         * Lists all profiles in configuration order
+         * @returns {Object[]} - Profiles as returned by get
+         */
+        static list() {
+            return Object.keys(window.CONFIG.ALPHABET_PROFILES).map(id => this.get(id));
+        }
+
+        /**
+         * Finds the profile a payload was encoded with and normalizes the payload for it
+         * @param {string} encodedString - Encoded payload
+         * @returns {Object} - { profile, encoded } where encoded is lowercased for
+         *   case-insensitive profiles
+         */
+        static resolve(encodedString) {
+            const magic = window.CONFIG.HEADER.MAGIC;
+            if (typeof encodedString === 'string' && encodedString.startsWith(magic)) {
+                const marker = encodedString[magic.length];
+                const profile = this.list().find(candidate => candidate.marker && candidate.marker === marker);
+                if (profile) {
+                    return {
+                        profile,
+                        encoded: profile.caseInsensitive ? encodedString.toLowerCase() : encodedString
+                    };
+                }
+            }
+            // No marker: a standard payload, or a legacy one from before headers
+            return { profile: this.list().find(candidate => !candidate.marker), encoded: encodedString };
+        }
+
+        /**
+         * Places a payload in the URL component its profile was made for
+         * The fragment transport puts every profile after '#': fragments allow all
+         * of the stricter alphabets, and browsers escape the rest of SAFE_CHARS there.
+         * @param {string} baseUrl - Viewer base URL; ends in '/' for the path transport
+         * @param {string} encoded - Encoded payload
+         * @param {Object} profile - Profile the payload was encoded with
+         * @param {string} [transport] - 'path' or 'fragment', defaults to CONFIG.LINK_TRANSPORT
+         * @returns {string} - Share URL
+         */
+        static buildShareUrl(baseUrl, encoded, profile, transport = window.CONFIG.LINK_TRANSPORT) {
+            if (transport === 'fragment' || profile.component === 'fragment') {
+                return `${baseUrl}#${encoded}`;
+            }
+            if (profile.component === 'query') {
+                return `${baseUrl}?img=${encoded}`;
+            }
+            return `${baseUrl}${encoded}`;
+        }
+
+        /**
+         * Checks one profile
+         * @param {Object} profile - Profile as returned by get
+         * @returns {string[]} - Problems found; empty if the profile is valid
+         */
+        static validate(profile) {
+            const problems = [];
+            const allowed = RFC3986_COMPONENT_CHARS[profile.component];
+            if (!allowed) {
+                return [`unknown URL component '${profile.component}'`];
+            }
+
+            const illegal = [...new Set(profile.chars)].filter(char => !allowed.includes(char));
+            if (illegal.length > 0) {
+                problems.push(`characters not allowed in a ${profile.component} by RFC 3986: ${illegal.join(' ')}`);
+            }
+            if (new Set(profile.chars).size !== profile.chars.length) {
+                problems.push('duplicate characters');
+            }
+            if (!profile.chars.includes(window.CONFIG.HEADER.MAGIC)) {
+                problems.push(`missing header magic '${window.CONFIG.HEADER.MAGIC}'`);
+            }
+            if (profile.marker && !/^[0-9]$/.test(profile.marker)) {
+                problems.push(`marker '${profile.marker}' is not a single digit`);
+            }
+            if (profile.marker && !profile.chars.includes(profile.marker)) {
+                problems.push(`marker '${profile.marker}' is not in the character set`);
+            }
+            if (profile.caseInsensitive && profile.chars !== profile.chars.toLowerCase()) {
+                problems.push('case-insensitive profile contains uppercase characters');
+            }
+            return problems;
+        }
+
+        /**
+         * Checks every profile and that markers are unique
+         * Problems of the non-strict standard profile do not throw; they are its
+         * warnings, which the encoder shows when the profile is chosen.
+         * @throws {Error} - Naming the first strict profile with problems
+         */
+        static validateAll() {
+            const markers = new Map();
+
+            for (const profile of this.list()) {
+                const problems = this.validate(profile);
+                if (profile.marker) {
+                    if (markers.has(profile.marker)) {
+                        problems.push(`marker '${profile.marker}' is also used by '${markers.get(profile.marker)}'`);
+                    }
+                    markers.set(profile.marker, profile.id);
+                }
+
+                if (problems.length > 0 && profile.strict) {
+                    throw new Error(`Alphabet profile '${profile.id}': ${problems.join('; ')}`);
+                }
+            }
+        }
+    };
+
+    window.AlphabetProfiles.validateAll();
+})();
@@ -11,18 +11,19 @@ const OriginalEncoder = window.GPUBitStreamEncoderImpl || window.GPUBitStreamEnc
 
 // Define the adapter class
 window.GPUBitStreamEncoder = class GPUBitStreamEncoder {
-    constructor(safeChars) {
+    constructor(safeChars, profileMarker = '') {
         console.log('Creating BitStream adapter with backward compatibility');
         
         // Create both encoder and decoder instances
-        this._encoder = new OriginalEncoder(safeChars);
-        this._decoder = new window.GPUBitStreamDecoder(safeChars);
+        this._encoder = new OriginalEncoder(safeChars, profileMarker);
+        this._decoder = new window.GPUBitStreamDecoder(safeChars, profileMarker);
         
         // Copy properties from encoder for compatibility
         this.SAFE_CHARS = safeChars;
         this.RADIX = safeChars.length;
         this.charToIndex = this._encoder.charToIndex;
         this.indexToChar = this._encoder.indexToChar;
+        this.blockGeometry = this._encoder.blockGeometry;
         this.gpuAccelerationEnabled = this._encoder.gpuAccelerationEnabled;
         
         // Reference to WebGL context (if available)
@@ -31,10 +32,26 @@ window.GPUBitStreamEncoder = class GPUBitStreamEncoder {
     }
     
     // Methods forwarded to encoder
-    async encodeBits(data) {
-        return this._encoder.encodeBits(data);
+    async encodeBits(data, options) {
+        return this._encoder.encodeBits(data, options);
     }
     
+    estimateEncodedLength(byteLength) {
+        return this._encoder.estimateEncodedLength(byteLength);
+    }
+
+    getEncodedLength(byteLength, options) {
+        return this._encoder.getEncodedLength(byteLength, options);
+    }
+
+    getMaxPayloadBytes(charBudget, options) {
+        return this._encoder.getMaxPayloadBytes(charBudget, options);
+    }
+
+    setEncodeOptions(options) {
+        return this._encoder.setEncodeOptions(options);
+    }
+
     toBitArray(buffer) {
         return this._encoder.toBitArray(buffer);
     }
@@ -47,16 +64,44 @@ window.GPUBitStreamEncoder = class GPUBitStreamEncoder {
     async decodeBits(encodedString) {
         return this._decoder.decodeBits(encodedString);
     }
+
+    async decodeStream(encodedString, options) {
+        return this._decoder.decodeStream(encodedString, options);
+    }
     
     // Additional compatibility methods
     extractMetadata(encodedString) {
         return this._decoder.extractMetadata(encodedString);
     }
+
+    hasHeader(encodedString) {
+        return this._decoder.payloadHeader.isHeader(encodedString);
+    }
+
+    extractHeaderMetadata(encodedString) {
+        return this._decoder.extractHeaderMetadata(encodedString);
+    }
+
+    get lastErrorCorrection() {
+        return this._decoder.lastErrorCorrection;
+    }
     
     verifyChecksum(data, expectedChecksum) {
         const actualChecksum = this._decoder.calculateChecksum(data);
         return actualChecksum === expectedChecksum;
     }
+
+    verifyCrc32(buffer, expectedChecksum) {
+        return this._decoder.verifyCrc32(buffer, expectedChecksum);
+    }
+
+    inspectPayload(encodedString) {
+        return this._decoder.inspectPayload(encodedString);
+    }
+
+    decodePartial(encodedString) {
+        return this._decoder.decodePartial(encodedString);
+    }
     
     // Handle potential WebGL context loss - keeping as getter for backward compatibility
     get isContextLost() {
@@ -24,6 +24,11 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
                     encodeTime: 0, 
                     processingPath: 'unknown',
                     totalTime: 0
+                },
+                codecs: {
+                    size: 0,
+                    wholeStream: { encodeTime: 0, decodeTime: 0, throughput: 0 },
+                    block: { encodeTime: 0, decodeTime: 0, throughput: 0 }
                 }
             },
             device: {
@@ -137,6 +142,9 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
             };
             this.results.largeDataScore = 1000 / largeDataResults.totalTime; // Normalize to higher = better
             
+            // Compare whole-stream and block codecs on a payload that fills a full-length link
+            await this.benchmarkCodecs(encoder);
+            
             // Calculate normalized scores
             // Normalize by data size to get a fair comparison (time per KB)
             const smallNormalized = this.results.smallDataScore * smallDataSize / 1024;
@@ -232,16 +240,16 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
      * Benchmark processing performance for a given data size
      * @param {Object} encoder - BitStream encoder instance
      * @param {ArrayBuffer} testData - Test data
+     * @param {string} [codec='legacy'] - Codec mode to encode with
      * @returns {Object} Benchmark results
      */
-    async benchmarkProcessing(encoder, testData) {
+    async benchmarkProcessing(encoder, testData, codec = 'legacy') {
         try {
             // Track times
             const startEncodeTime = performance.now();
             
-            // Convert to bits and encode
-            const bits = await encoder.toBitArray(testData);
-            const encoded = await encoder.encodeBits(bits);
+            // Encode the raw bytes - GPU vs CPU only applies to the legacy group codec
+            const encoded = await encoder.encodeBits(testData, { codec });
             
             const endEncodeTime = performance.now();
             
@@ -275,6 +283,29 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
         }
     }
     
+    /**
+     * Measure whole-stream (divide-and-conquer) against block codec throughput
+     * The test size is the largest payload that fits in CONFIG.MAX_URL_LENGTH,
+     * which is what the compression search encodes repeatedly.
+     * @param {Object} encoder - BitStream encoder instance
+     */
+    async benchmarkCodecs(encoder) {
+        const size = Math.floor(window.CONFIG.MAX_URL_LENGTH * Math.log2(encoder.RADIX) / 8);
+        const testData = this.generateTestData(size);
+        const codecs = { size };
+
+        for (const codec of ['wholeStream', 'block']) {
+            const timing = await this.benchmarkProcessing(encoder, testData, codec);
+            codecs[codec] = {
+                encodeTime: timing.encodeTime,
+                decodeTime: timing.decodeTime,
+                throughput: (size / 1024) / (timing.totalTime / 1000) // KB/s for a full round trip
+            };
+        }
+
+        this.results.details.codecs = codecs;
+    }
+    
     /**
      * Check if WebGL2 is supported
      * @returns {boolean} Whether WebGL2 is supported
@@ -393,6 +424,12 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
         summary += `- Small data (${smallDataKB.toFixed(2)}KB): ${smallDataMS}ms (${smallDataSpeedPerKB}ms/KB)\n`;
         summary += `- Large data (${largeDataKB.toFixed(2)}KB): ${largeDataMS}ms (${largeDataSpeedPerKB}ms/KB)\n`;
         
+        const codecs = this.results.details.codecs;
+        if (codecs.size > 0) {
+            summary += `- Whole-stream codec (${(codecs.size / 1024).toFixed(2)}KB): ${codecs.wholeStream.throughput.toFixed(0)}KB/s\n`;
+            summary += `- Block codec (${(codecs.size / 1024).toFixed(2)}KB): ${codecs.block.throughput.toFixed(0)}KB/s\n`;
+        }
+        
         if (this.results.device.gpuSupported) {
             summary += `- GPU acceleration available\n`;
         } else {
@@ -0,0 +1,1721 @@
+/**
+ * BitStreamCodec.js
+ *
+ * Environment-neutral core of the BitStream codec: payload header, whole-stream,
+ * block and range codecs, Reed-Solomon protection, checksums, partial decoding,
+ * capacity calculation and the CPU implementation of the legacy format.
+ * It never touches the DOM or WebGL, so it runs unchanged in Node (see nodeCodec.js).
+ *
+ * GPUBitStreamEncoderImpl and GPUBitStreamDecoder extend this class and only add
+ * WebGL acceleration for the legacy group format, through encodeLegacyData and
+ * decodeLegacyData.
+ */
+window.BitStreamCodec = class BitStreamCodec {
+    /**
+     * Creates a codec for the given character set
+     * @param {string} safeChars - Character set for encoding (must be URL-safe)
+     * @param {string} [profileMarker=''] - Header marker of the alphabet profile (AlphabetProfiles.js)
+     */
+    constructor(safeChars, profileMarker = '') {
+        // Validate character set to ensure URL-safe encoding is possible
+        if (!safeChars || typeof safeChars !== 'string' || safeChars.length === 0) {
+            throw new Error('Invalid safeChars parameter');
+        }
+
+        // Ensure no duplicate characters
+        const uniqueChars = new Set(safeChars);
+        if (uniqueChars.size !== safeChars.length) {
+            throw new Error('safeChars contains duplicate characters');
+        }
+
+        this.SAFE_CHARS = safeChars;
+        this.RADIX = safeChars.length;  // Base for conversion equals character set size
+        
+        this.createLookupTables();
+        
+        // PTA_4: Block codec geometry is derived from the character set alone
+        this.blockGeometry = this.computeBlockGeometry();
+        
+        // Divide-and-conquer big integer conversion for the whole-stream codec
+        this.radixConverter = new window.RadixConverter(this.RADIX);
+        
+        // Versioned header shared by all headered codecs
+        this.payloadHeader = new window.PayloadHeader(safeChars, profileMarker);
+        
+        // Optional Reed-Solomon parity over the digit stream
+        this.reedSolomon = new window.ReedSolomon(this.RADIX);
+        
+        // Entropy coder for the range codec
+        this.rangeCoder = new window.RangeCoder(this.RADIX);
+        
+        // User-selected defaults applied to every encodeBits call
+        this.encodeOptions = { fecParity: window.CONFIG.FEC.DEFAULT_PARITY };
+        
+        // Error correction outcome of the most recent decode (null without FEC)
+        this.lastErrorCorrection = null;
+
+        // Most recent repair, so inspecting and then decoding a link corrects it once
+        this.correctionCache = null;
+    }
+
+    /**
+     * Creates lookup tables for fast encoding
+     */
+    createLookupTables() {
+        // Create lookup tables for fast encoding/decoding
+        this.charToIndex = new Map();
+        this.indexToChar = new Map();
+        
+        for (let i = 0; i < this.SAFE_CHARS.length; i++) {
+            this.charToIndex.set(this.SAFE_CHARS[i], i);
+            this.indexToChar.set(i, this.SAFE_CHARS[i]);
+        }
+        
+        // Verify table creation
+        if (this.charToIndex.size !== this.SAFE_CHARS.length || 
+            this.indexToChar.size !== this.SAFE_CHARS.length) {
+            console.error('Failed to create complete lookup tables', {
+                safeCharsLength: this.SAFE_CHARS.length,
+                charToIndexSize: this.charToIndex.size,
+                indexToCharSize: this.indexToChar.size
+            });
+            throw new Error('Failed to initialize character mapping tables');
+        }
+    }
+
+    /**
+     * Convert array buffer to bit array
+     * @param {ArrayBuffer|Uint8Array} buffer - Binary data to convert
+     * @returns {Uint8Array} - Array of bits
+     */
+    toBitArray(buffer) {
+        // Convert ArrayBuffer to Uint8Array if needed
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        
+        // Create a bit array from bytes
+        const bits = new Uint8Array(bytes.length * 8);
+        
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            // Process each bit in little-endian order (PTA_3)
+            for (let j = 0; j < 8; j++) {
+                bits[i * 8 + j] = (byte >> j) & 1;
+            }
+        }
+        
+        return bits;
+    }
+
+    /**
+     * Sets defaults for later encodeBits calls, e.g. the user's error correction choice
+     * @param {Object} options - Same shape as the encodeBits options
+     */
+    setEncodeOptions(options) {
+        this.encodeOptions = { ...this.encodeOptions, ...options };
+    }
+
+    /**
+     * Main encoding function
+     * @param {ArrayBuffer|Uint8Array} data - Binary data to encode
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.codec] - Codec mode ('wholeStream', 'block', 'range' or 'legacy'), defaults to CONFIG.CODEC_MODE
+     * @param {number} [options.fecParity] - Reed-Solomon parity symbols per codeword, 0 to disable
+     * @param {boolean} [options.deflated] - Data is already a raw deflate stream (DeflateStage); sets the header flag
+     * @param {boolean} [options.templated] - Data holds template references (TemplateDictionary); sets the header flag
+     * @param {boolean} [options.oriented] - Data starts with an orientation hint (MetadataStripper); sets the header flag
+     * @param {boolean} [options.encrypted] - Data will be encrypted; counts the cipher overhead and sets the header flag, so lengths can be measured without the passphrase
+     * @param {string} [options.passphrase] - Encrypts the data with this passphrase (PayloadCipher); sets the header flag
+     * @param {Object} [options.signer] - Signs the data with this key pair (PayloadSigner); sets the header flag
+     * @param {boolean} [options.album] - Data is an image container (AlbumContainer); sets the header flag
+     * @param {boolean} [options.file] - Data is a named file of any type (FilePayload); sets the header flag
+     * @param {Object} [options.fields] - Caption fields written in front of the data (PayloadFields); sets the header flag
+     * @returns {Promise<string>} - URL-safe encoded string
+     */
+    async encodeBits(data, options = {}) {
+        // Phase 3: Data Preparation
+        if (!data) {
+            throw new Error('Input data is required');
+        }
+
+        // Uint8Array provides direct access to raw bytes without conversion overhead
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        // Validate input size
+        if (bytes.length === 0) {
+            throw new Error('Input data cannot be empty');
+        }
+
+        // PTA_2: Whole-stream mode converts the entire payload as a single number
+        const settings = { ...this.encodeOptions, ...options };
+        const codec = this.getCodec(settings);
+        if (codec === 'wholeStream' || codec === 'block' || codec === 'range') {
+            // Encryption and signing come last, so the checksum and parity cover the ciphertext
+            // and the signature can be checked without the passphrase
+            let payload = settings.fields ? window.PayloadFields.prepend(bytes, settings.fields) : bytes;
+            if (this.isEncrypted(settings)) {
+                if (!settings.passphrase) {
+                    throw new Error('Encrypted payloads need a passphrase');
+                }
+                payload = await window.PayloadCipher.encrypt(payload, settings.passphrase, this.getHeaderFlags(settings));
+            }
+            if (settings.signer) {
+                payload = await window.PayloadSigner.sign(payload, this.getHeaderFlags(settings), settings.signer);
+            }
+            return this.encodeWithHeader(payload, codec, settings);
+        }
+        if (settings.deflated) {
+            throw new Error('Legacy payloads cannot carry deflated data');
+        }
+        if (settings.templated) {
+            throw new Error('Legacy payloads cannot carry templated data');
+        }
+        if (settings.oriented) {
+            throw new Error('Legacy payloads cannot carry an orientation hint');
+        }
+        if (this.isEncrypted(settings)) {
+            throw new Error('Legacy payloads cannot be encrypted');
+        }
+        if (settings.signer) {
+            throw new Error('Legacy payloads cannot be signed');
+        }
+        if (settings.album) {
+            throw new Error('Legacy payloads cannot carry an album');
+        }
+        if (settings.file) {
+            throw new Error('Legacy payloads cannot carry a file');
+        }
+        if (settings.fields && window.PayloadFields.hasFields(settings.fields)) {
+            throw new Error('Legacy payloads cannot carry caption fields');
+        }
+        if (this.payloadHeader.MARKER) {
+            throw new Error('Legacy payloads cannot record an alphabet profile');
+        }
+
+        // Small data optimization - if data is less than 32 bytes, use direct encoding
+        if (bytes.length <= 32) {
+            return this.encodeSmallData(bytes);
+        }
+
+        return this.encodeLegacyData(bytes);
+    }
+
+    /**
+     * Encodes a legacy payload too large for the small format
+     * Subclasses may override this with an accelerated implementation.
+     * @param {Uint8Array} bytes - Binary data to encode
+     * @returns {Promise<string>|string} - Encoded URL-safe string
+     */
+    encodeLegacyData(bytes) {
+        return this.encodeWithCPU(bytes);
+    }
+
+    /**
+     * CPU-based encoding implementation for fallback or small data
+     * @param {Uint8Array} bytes - Binary data to encode
+     * @returns {string} - Encoded URL-safe string
+     */
+    encodeWithCPU(bytes) {
+        // Optimization for small inputs - skip metadata for very small payloads
+        if (bytes.length <= window.CONFIG.ENCODE_SMALL_THRESHOLD) {
+            return this.encodeSmallData(bytes);
+        }
+
+        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
+        const processedData = new Uint32Array(Math.ceil(bytes.length / BYTE_SIZE) * BYTE_SIZE);
+        
+        // Process each byte group
+        for (let i = 0; i < bytes.length; i += BYTE_SIZE) {
+            // Read up to 4 bytes (padded with zeros if needed)
+            const byteValues = [
+                i < bytes.length ? bytes[i] : 0,
+                i + 1 < bytes.length ? bytes[i + 1] : 0,
+                i + 2 < bytes.length ? bytes[i + 2] : 0,
+                i + 3 < bytes.length ? bytes[i + 3] : 0
+            ];
+            
+            // Combine bytes into a 32-bit integer (little-endian)
+            const combined = byteValues[0] | 
+                           (byteValues[1] << 8) | 
+                           (byteValues[2] << 16) | 
+                           (byteValues[3] << 24);
+            
+            // Convert to base-N representation
+            let value = combined;
+            const resultIndex = Math.floor(i / BYTE_SIZE) * BYTE_SIZE;
+            for (let j = 0; j < BYTE_SIZE; j++) {
+                processedData[resultIndex + j] = value % this.RADIX;
+                value = Math.floor(value / this.RADIX);
+            }
+        }
+        
+        return this.convertToString(processedData, bytes.length);
+    }
+
+    /**
+     * Encodes with a versioned header, adding Reed-Solomon parity when requested
+     * @param {Uint8Array} bytes - Binary data to encode
+     * @param {string} codec - 'wholeStream', 'block' or 'range'
+     * @param {Object} settings - Merged encode options
+     * @returns {string} - Encoded URL-safe string
+     */
+    encodeWithHeader(bytes, codec, settings) {
+        const parity = settings.fecParity || 0;
+        const flags = this.getHeaderFlags(settings);
+
+        let body;
+        switch (codec) {
+            case 'block':
+                body = this.encodeBlocks(bytes);
+                break;
+            case 'range':
+                body = this.encodeRange(bytes);
+                break;
+            default:
+                body = this.encodeWholeStream(bytes);
+        }
+
+        const header = this.payloadHeader.encode({
+            codec: window.CONFIG.HEADER.CODECS[codec],
+            flags,
+            parity,
+            length: bytes.length,
+            checksum: this.calculateCrc32(bytes)
+        });
+
+        if (parity === 0) {
+            return header + body;
+        }
+
+        // Protect everything after the preamble, including length and checksum
+        const { preambleLength } = this.payloadHeader.decodePreamble(header);
+        const protectedPart = header.slice(preambleLength) + body;
+        const digits = new Uint8Array(protectedPart.length);
+        for (let i = 0; i < protectedPart.length; i++) {
+            digits[i] = this.charToIndex.get(protectedPart[i]);
+        }
+
+        let result = header.slice(0, preambleLength);
+        for (const digit of this.reedSolomon.encode(digits, parity)) {
+            result += this.indexToChar.get(digit);
+        }
+        return result;
+    }
+
+    /**
+     * Codec a payload is written with
+     * Ciphertext does not compress, so encrypted payloads take the whole-stream
+     * codec instead of the range coder. Their length then depends only on the
+     * byte count, and candidates can be measured without encrypting them.
+     * @param {Object} settings - Merged encode options
+     * @returns {string} - Codec mode
+     */
+    getCodec(settings) {
+        const codec = settings.codec || window.CONFIG.CODEC_MODE || 'legacy';
+        return codec === 'range' && this.isEncrypted(settings) ? 'wholeStream' : codec;
+    }
+
+    /**
+     * Checks whether the encode settings ask for encryption
+     * @param {Object} settings - Merged encode options
+     * @returns {boolean} - True with a passphrase or the encrypted option
+     */
+    isEncrypted(settings) {
+        return Boolean(settings.passphrase || settings.encrypted);
+    }
+
+    /**
+     * Header flag bits implied by the encode settings
+     * @param {Object} settings - Merged encode options
+     * @returns {number} - Flags from CONFIG.HEADER.FLAGS
+     */
+    getHeaderFlags(settings) {
+        let flags = 0;
+        if (settings.fecParity > 0) flags |= window.CONFIG.HEADER.FLAGS.FEC;
+        if (settings.deflated) flags |= window.CONFIG.HEADER.FLAGS.DEFLATE;
+        if (settings.templated) flags |= window.CONFIG.HEADER.FLAGS.TEMPLATE;
+        if (settings.oriented) flags |= window.CONFIG.HEADER.FLAGS.ORIENTATION;
+        if (this.isEncrypted(settings)) flags |= window.CONFIG.HEADER.FLAGS.ENCRYPTED;
+        if (settings.signer) flags |= window.CONFIG.HEADER.FLAGS.SIGNED;
+        if (settings.album) flags |= window.CONFIG.HEADER.FLAGS.ALBUM;
+        if (settings.file) flags |= window.CONFIG.HEADER.FLAGS.FILE;
+        if (settings.fields && window.PayloadFields.hasFields(settings.fields)) flags |= window.CONFIG.HEADER.FLAGS.FIELDS;
+        return flags;
+    }
+
+    /**
+     * Whole-stream encoding (PTA_2)
+     * Treats the entire byte stream as one unsigned integer (little-endian, PTA_3)
+     * and writes it in base RADIX; the payload header is added by encodeWithHeader.
+     * The data section always has getWholeStreamDigitCount(length) digits, so
+     * leading zero bytes and the exact byte length survive the round trip.
+     * @param {Uint8Array} bytes - Binary data to encode
+     * @returns {string} - Data digits
+     */
+    encodeWholeStream(bytes) {
+        const digitCount = this.getWholeStreamDigitCount(bytes.length);
+        const value = this.bytesToBigInt(bytes);
+        const digits = this.bigIntToDigits(value, digitCount);
+
+        let data = '';
+        for (let i = 0; i < digits.length; i++) {
+            data += this.indexToChar.get(digits[i]);
+        }
+        return data;
+    }
+
+    /**
+     * Number of base-RADIX digits needed to hold any value of the given byte length
+     * Smallest d such that RADIX^d >= 256^byteLength (PTA_4: derived from the character set)
+     * @param {number} byteLength - Payload length in bytes
+     * @returns {number} - Digit count
+     */
+    getWholeStreamDigitCount(byteLength) {
+        const radix = BigInt(this.RADIX);
+        const limit = 1n << BigInt(byteLength * 8);
+
+        // Floating point estimate, then correct it with exact integer comparisons
+        let digits = Math.ceil(byteLength * 8 / Math.log2(this.RADIX));
+        while (radix ** BigInt(digits) < limit) digits++;
+        while (digits > 0 && radix ** BigInt(digits - 1) >= limit) digits--;
+        return digits;
+    }
+
+    /**
+     * Picks the block codec geometry: N bytes map to M base-RADIX digits
+     * Tries every block size whose values (and digit sums) stay exact in a double
+     * and keeps the one that wastes the fewest bits per character.
+     * @returns {Object} - { bytes, chars, efficiency }
+     */
+    computeBlockGeometry() {
+        const exactBits = Math.log2(Number.MAX_SAFE_INTEGER + 1);
+        const bitsPerChar = Math.log2(this.RADIX);
+        let best = null;
+
+        for (let bytes = 1; bytes * 8 <= exactBits; bytes++) {
+            const chars = this.getWholeStreamDigitCount(bytes);
+            if (chars * bitsPerChar > exactBits) break;
+
+            const efficiency = (bytes * 8) / (chars * bitsPerChar);
+            if (!best || efficiency > best.efficiency) {
+                best = { bytes, chars, efficiency };
+            }
+        }
+
+        if (!best) {
+            throw new Error(`No usable block geometry for radix ${this.RADIX}`);
+        }
+        return best;
+    }
+
+    /**
+     * Range encoding
+     * Entropy-codes the payload straight into base-RADIX digits. The digit count
+     * depends on the content, so the body starts with it:
+     *   digit count (varint) | data digits
+     * @param {Uint8Array} bytes - Binary data to encode
+     * @returns {string} - Digit count and data digits
+     */
+    encodeRange(bytes) {
+        const digits = this.rangeCoder.encode(bytes);
+
+        let data = this.payloadHeader.encodeVarint(digits.length);
+        for (let i = 0; i < digits.length; i++) {
+            data += this.indexToChar.get(digits[i]);
+        }
+        return data;
+    }
+
+    /**
+     * Block encoding
+     * Splits the payload into N-byte blocks (little-endian, PTA_3) and writes each
+     * as exactly M digits; a short final block uses the minimum digits for its size.
+     * The body after the payload header is:
+     *   N | M | data digits
+     * @param {Uint8Array} bytes - Binary data to encode
+     * @returns {string} - Geometry and data digits
+     */
+    encodeBlocks(bytes) {
+        const { bytes: blockBytes, chars: blockChars } = this.blockGeometry;
+        let data = '';
+
+        for (let offset = 0; offset < bytes.length; offset += blockBytes) {
+            const length = Math.min(blockBytes, bytes.length - offset);
+            const digitCount = length === blockBytes ? blockChars : this.getWholeStreamDigitCount(length);
+
+            let value = 0;
+            for (let i = length - 1; i >= 0; i--) {
+                value = value * 256 + bytes[offset + i];
+            }
+
+            for (let i = 0; i < digitCount; i++) {
+                const digit = value % this.RADIX;
+                data += this.indexToChar.get(digit);
+                value = Math.floor(value / this.RADIX);
+            }
+        }
+
+        return this.indexToChar.get(blockBytes) + this.indexToChar.get(blockChars) + data;
+    }
+
+    /**
+     * CRC-32 of the original bytes, stored in the payload header
+     * @param {Uint8Array} bytes - Binary data
+     * @returns {number} - Unsigned 32-bit CRC
+     */
+    calculateCrc32(bytes) {
+        return window.Crc32.compute(bytes);
+    }
+
+    /**
+     * Exact encoded length for a payload of the given size
+     * Whole-stream and block output depends only on the byte length, so the
+     * length is closed-form: header, block geometry, data digits,
+     * Reed-Solomon parity and the payload overhead are all counted.
+     * @param {number} byteLength - Payload length in bytes, before caption fields and encryption
+     * @param {Object} [options] - Same shape as the encodeBits options
+     * @returns {number|null} - Number of characters, or null if the codec's output depends on the content
+     */
+    getEncodedLength(byteLength, options = {}) {
+        if (!Number.isSafeInteger(byteLength) || byteLength < 0) {
+            throw new Error(`Invalid byte length: ${byteLength}`);
+        }
+
+        const settings = { ...this.encodeOptions, ...options };
+        const codec = this.getCodec(settings);
+        if (codec !== 'wholeStream' && codec !== 'block') {
+            return null;
+        }
+
+        // The checksum field has a fixed width, so any value gives the real header length
+        const parity = settings.fecParity || 0;
+        const payloadLength = byteLength + this.getPayloadOverhead(settings);
+        const header = this.payloadHeader.encode({
+            codec: window.CONFIG.HEADER.CODECS[codec],
+            flags: this.getHeaderFlags(settings),
+            parity,
+            length: payloadLength,
+            checksum: 0
+        });
+        const bodyLength = codec === 'block' ?
+            2 + this.getBlockDigitCount(payloadLength) :
+            this.getWholeStreamDigitCount(payloadLength);
+
+        if (parity === 0) {
+            return header.length + bodyLength;
+        }
+
+        const { preambleLength } = this.payloadHeader.decodePreamble(header);
+        const protectedLength = header.length - preambleLength + bodyLength;
+        return preambleLength + protectedLength + this.reedSolomon.getOverhead(protectedLength, parity);
+    }
+
+    /**
+     * Bytes caption fields, encryption and signing add to the payload
+     * @param {Object} settings - Merged encode options
+     * @returns {number} - Fields section, salt, IV and tag with a passphrase, plus fingerprint and signature with a signer
+     */
+    getPayloadOverhead(settings) {
+        return (settings.fields ? window.PayloadFields.getLength(settings.fields) : 0) +
+            (this.isEncrypted(settings) ? window.PayloadCipher.getOverhead() : 0) +
+            (settings.signer ? window.PayloadSigner.getOverhead() : 0);
+    }
+
+    /**
+     * Largest payload that fits in a character budget
+     * @param {number} charBudget - Maximum number of encoded characters
+     * @param {Object} [options] - Same shape as the encodeBits options
+     * @returns {number|null} - Maximum byte length (0 if nothing fits), or null if the codec's output depends on the content
+     */
+    getMaxPayloadBytes(charBudget, options = {}) {
+        if (this.getEncodedLength(1, options) === null) {
+            return null;
+        }
+
+        // Data digits alone need byteLength * 8 / log2(RADIX) characters, which bounds the search
+        let low = 0;
+        let high = Math.max(0, Math.floor(charBudget * Math.log2(this.RADIX) / 8) + 1);
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.getEncodedLength(mid, options) <= charBudget) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Number of data digits a block payload of the given length uses
+     * @param {number} byteLength - Payload length in bytes
+     * @returns {number} - Digit count
+     */
+    getBlockDigitCount(byteLength) {
+        const { bytes: blockBytes, chars: blockChars } = this.blockGeometry;
+        const tailBytes = byteLength % blockBytes;
+        return Math.floor(byteLength / blockBytes) * blockChars + (tailBytes ? this.getWholeStreamDigitCount(tailBytes) : 0);
+    }
+
+    /**
+     * Encoded length for a payload of the given size, used to skip hopeless candidates
+     * Exact for the whole-stream and block codecs (see getEncodedLength); a lower
+     * bound for content-dependent codecs. Includes Reed-Solomon parity, caption
+     * fields, the salt, IV and tag of encrypted links and the signature of signed
+     * links, so the compression search counts them against the URL budget.
+     * @param {number} byteLength - Payload length in bytes
+     * @returns {number} - Minimum number of characters
+     */
+    estimateEncodedLength(byteLength) {
+        const exactLength = this.getEncodedLength(byteLength);
+        if (exactLength !== null) {
+            return exactLength;
+        }
+
+        // Entropy coding can shrink the payload arbitrarily, so there is no useful bound
+        const codec = this.getCodec(this.encodeOptions);
+        const payloadLength = byteLength + this.getPayloadOverhead(this.encodeOptions);
+        const dataLength = codec === 'range' ? 0 : Math.ceil(payloadLength * 8 / Math.log2(this.RADIX));
+        const parity = this.encodeOptions.fecParity || 0;
+        return parity > 0 ? dataLength + this.reedSolomon.getOverhead(dataLength, parity) : dataLength;
+    }
+
+    /**
+     * Interpret bytes as one little-endian unsigned integer (PTA_3)
+     * @param {Uint8Array} bytes - Binary data
+     * @returns {bigint} - Integer value
+     */
+    bytesToBigInt(bytes) {
+        // BigInt parses big-endian hex, so emit the most significant byte first
+        let hex = '';
+        for (let i = bytes.length - 1; i >= 0; i--) {
+            hex += bytes[i].toString(16).padStart(2, '0');
+        }
+        return hex.length > 0 ? BigInt('0x' + hex) : 0n;
+    }
+
+    /**
+     * Convert an integer to a fixed number of base-RADIX digits, least significant first
+     * Uses the divide-and-conquer converter so large payloads stay subquadratic.
+     * @param {bigint} value - Integer to convert
+     * @param {number} digitCount - Number of digits to produce
+     * @returns {Uint8Array} - Digits in little-endian order
+     */
+    bigIntToDigits(value, digitCount) {
+        return this.radixConverter.toDigits(value, digitCount);
+    }
+
+    /**
+     * Optimized encoding for small data (<= 32 bytes)
+     * Uses simpler format without complex metadata
+     * @param {Uint8Array} bytes - Small binary data to encode
+     * @returns {string} - Encoded string
+     */
+    encodeSmallData(bytes) {
+        let result = '';
+        // Use a simple marker to indicate small data format - single tilde character
+        result += '~';
+
+        // Encode length as one or two base-N characters
+        const lengthChars = this.encodeInteger(bytes.length);
+        result += lengthChars;
+        
+        // Calculate checksum for validation
+        let checksum = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            checksum = (checksum + bytes[i]) % this.RADIX;
+        }
+        result += this.indexToChar.get(checksum);
+        
+        // Directly encode each byte
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            
+            // Encode each byte as 1-2 characters depending on RADIX
+            if (this.RADIX < 256) {
+                // Need 2 chars for each byte
+                const char1 = this.indexToChar.get(byte % this.RADIX);
+                const char2 = this.indexToChar.get(Math.floor(byte / this.RADIX) % this.RADIX);
+                result += char1 + char2;
+            } else {
+                // Single char can encode a full byte
+                result += this.indexToChar.get(byte);
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Encode an integer using the encoder's character set
+     * @param {number} value - Integer to encode
+     * @returns {string} - Encoded value
+     */
+    encodeInteger(value) {
+        if (value === 0) return this.indexToChar.get(0);
+        
+        let result = '';
+        while (value > 0) {
+            result = this.indexToChar.get(value % this.RADIX) + result;
+            value = Math.floor(value / this.RADIX);
+        }
+        return result;
+    }
+
+    /**
+     * Convert processed data to URL-safe string
+     * @param {Uint32Array} processedData - Processed data from GPU or CPU
+     * @param {number} originalLength - Original data length in bytes
+     * @returns {string} - URL-safe encoded string
+     */
+    convertToString(processedData, originalLength) {
+        let result = '';
+        let checksum = 0;
+        
+        // Ensure we know how many complete groups and remaining bytes
+        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
+        const completeGroups = Math.floor(originalLength / BYTE_SIZE);
+        const remainingBytes = originalLength % BYTE_SIZE;
+        
+        // Process complete groups
+        for (let i = 0; i < completeGroups; i++) {
+            const baseIndex = i * BYTE_SIZE;
+            
+            // Add main digits to result
+            for (let j = 0; j < BYTE_SIZE; j++) {
+                const index = baseIndex + j;
+                // Only include the value if it's in range
+                if (index < processedData.length) {
+                    const value = processedData[index];
+                    
+                    // Ensure value is within valid range for RADIX
+                    const safeValue = value % this.RADIX;
+                    result += this.indexToChar.get(safeValue);
+                    checksum = (checksum + safeValue) % this.RADIX;
+                }
+            }
+        }
+
+        // Handle remaining bytes if any
+        if (remainingBytes > 0) {
+            const baseIndex = completeGroups * BYTE_SIZE;
+            for (let j = 0; j < remainingBytes; j++) {
+                const index = baseIndex + j;
+                // Only include the value if it's in range
+                if (index < processedData.length) {
+                    const value = processedData[index];
+                    
+                    // Ensure value is within valid range for RADIX
+                    const safeValue = value % this.RADIX;
+                    result += this.indexToChar.get(safeValue);
+                    checksum = (checksum + safeValue) % this.RADIX;
+                }
+            }
+        }
+        
+        // Append metadata
+        const metadata = this.encodeMetadata(originalLength, checksum);
+        
+        return metadata + result;
+    }
+
+    /**
+     * Encode metadata for decoding
+     * @param {number} length - Original data length
+     * @param {number} checksum - Calculated checksum
+     * @returns {string} - Encoded metadata
+     */
+    encodeMetadata(length, checksum) {
+        // Encode length and checksum in a format of fixed-width of base-N where N is the radix
+        const numDigits = Math.ceil(Math.log(length) / Math.log(this.RADIX));
+        let metadata = '';
+        
+        // Add length prefix
+        let remainingLength = length;
+        for (let i = 0; i < numDigits; i++) {
+            const digit = remainingLength % this.RADIX;
+            metadata = this.indexToChar.get(digit) + metadata;
+            remainingLength = Math.floor(remainingLength / this.RADIX);
+        }
+
+        // Pad with leading zeros if necessary
+        while (metadata.length < numDigits) {
+            metadata = this.indexToChar.get(0) + metadata;
+        }
+        
+        // Add checksum
+        metadata += this.indexToChar.get(checksum);
+        
+        // Add metadata length indicator
+        return this.indexToChar.get(metadata.length) + metadata;
+    }
+
+    /**
+     * Main decoding function
+     * @param {string} encodedString - Encoded URL-safe string
+     * @returns {Promise<ArrayBuffer>} - Decoded binary data
+     */
+    async decodeBits(encodedString) {
+        if (!encodedString) {
+            throw new Error('No encoded data provided');
+        }
+
+        // A link that was cut off must not reach the length-guessing legacy fallback
+        const layout = this.inspectPayload(encodedString);
+        if (layout && layout.receivedLength < layout.expectedLength) {
+            throw new window.TruncatedPayloadError(this.decodePartial(encodedString));
+        }
+
+        // Versioned payloads describe their own codec
+        if (this.payloadHeader.isHeader(encodedString)) {
+            return this.decodeWithHeader(encodedString);
+        }
+
+        // No header: legacy link. Check for small data format (optimized encoding for small inputs)
+        if (encodedString.startsWith('~')) {
+            return this.decodeSmallData(encodedString);
+        }
+        
+        try {
+            // Extract metadata and verify integrity
+            const { originalLength, dataSection, expectedChecksum } = this.extractMetadata(encodedString);
+            
+            // Verify checksum
+            const actualChecksum = this.calculateChecksum(dataSection);
+            const checksumValid = (expectedChecksum === actualChecksum);
+            
+            if (!checksumValid) {
+                // Legacy checksums stay advisory: links from the old GPU path stored
+                // a byte sum instead of a digit sum and would otherwise never open
+                console.warn('Checksum verification failed, data may be corrupted');
+            }
+            
+            return await this.decodeLegacyData(dataSection, originalLength);
+        } catch (error) {
+            // If anything goes wrong with metadata extraction or decoding,
+            // try the legacy format as a last resort
+            console.warn(`Standard decoding failed: ${error.message}. Trying legacy format.`);
+            try {
+                return this.decodeWithCPULegacy(encodedString);
+            } catch (legacyError) {
+                throw new Error(`Decoding failed: ${error.message}. Legacy fallback also failed: ${legacyError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Decodes the data section of a legacy payload
+     * Subclasses may override this with an accelerated implementation.
+     * @param {string} dataSection - Data digits after the legacy metadata
+     * @param {number} originalLength - Original data length in bytes
+     * @returns {Promise<ArrayBuffer>|ArrayBuffer} - Decoded binary data
+     */
+    decodeLegacyData(dataSection, originalLength) {
+        return this.decodeWithCPU(dataSection, originalLength);
+    }
+
+    /**
+     * Works out how long a payload should be from its header (or legacy metadata)
+     * Only the leading fields need to be intact. Reed-Solomon payloads are
+     * corrected first, so a damaged length field is repaired rather than read
+     * as a truncation; if correction fails, as it does for a cut-off link, the
+     * header is read as received, which works because the data stays in place
+     * ahead of the parity.
+     * @param {string} encodedString - Encoded string
+     * @returns {Object|null} - Layout, or null if the leading fields are unreadable
+     *   { format, flags, originalLength, dataStart, dataDigits, expectedLength, receivedLength,
+     *     firstBadOffset, corrected }, where corrected is true if error correction confirmed the header
+     */
+    inspectPayload(encodedString) {
+        let layout;
+        try {
+            if (this.payloadHeader.isHeader(encodedString)) {
+                const preamble = this.payloadHeader.decodePreamble(encodedString);
+                let headerSource = encodedString;
+                let corrected = false;
+                if (preamble.flags & window.CONFIG.HEADER.FLAGS.FEC) {
+                    try {
+                        headerSource = this.correctErrors(encodedString, preamble).encodedString;
+                        corrected = true;
+                    } catch (error) {
+                        // Cut off or beyond repair: fall back to the header as received
+                    }
+                }
+
+                const header = this.payloadHeader.decode(headerSource);
+                let dataStart = header.bodyOffset;
+                let dataDigits;
+                switch (header.codec) {
+                    case window.CONFIG.HEADER.CODECS.block:
+                        dataStart += 2;
+                        dataDigits = this.getBlockDigitCount(header.length);
+                        break;
+                    case window.CONFIG.HEADER.CODECS.range: {
+                        const count = this.payloadHeader.decodeVarint(headerSource, dataStart);
+                        dataStart = count.next;
+                        dataDigits = count.value;
+                        break;
+                    }
+                    default:
+                        dataDigits = this.getWholeStreamDigitCount(header.length);
+                }
+
+                // Reed-Solomon appends tweak and parity digits after the protected part
+                const protectedLength = dataStart + dataDigits - header.preambleLength;
+                const parityDigits = header.parity > 0 ? this.reedSolomon.getOverhead(protectedLength, header.parity) : 0;
+
+                layout = {
+                    format: header.codecName,
+                    flags: header.flags,
+                    originalLength: header.length,
+                    dataStart,
+                    dataDigits,
+                    expectedLength: dataStart + dataDigits + parityDigits,
+                    corrected
+                };
+            } else if (!encodedString.startsWith('~')) {
+                const { originalLength, dataSection } = this.extractMetadata(encodedString);
+                const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
+                const dataDigits = Math.floor(originalLength / BYTE_SIZE) * BYTE_SIZE + originalLength % BYTE_SIZE;
+                const dataStart = encodedString.length - dataSection.length;
+
+                layout = {
+                    format: 'legacy',
+                    flags: 0,
+                    originalLength,
+                    dataStart,
+                    dataDigits,
+                    expectedLength: dataStart + dataDigits,
+                    corrected: false
+                };
+            } else {
+                return null;
+            }
+        } catch (error) {
+            return null;
+        }
+
+        layout.receivedLength = encodedString.length;
+
+        // First character that is not usable: a foreign character or the cut-off point
+        let firstBadOffset = null;
+        for (let i = 0; i < encodedString.length; i++) {
+            if (!this.charToIndex.has(encodedString[i])) {
+                firstBadOffset = i;
+                break;
+            }
+        }
+        if (firstBadOffset === null && layout.receivedLength < layout.expectedLength) {
+            firstBadOffset = layout.receivedLength;
+        }
+        layout.firstBadOffset = firstBadOffset;
+
+        return layout;
+    }
+
+    /**
+     * Decodes whatever prefix of a damaged or truncated payload can be recovered
+     * Never throws; everything that went wrong is described in the report.
+     * Recovered bytes are exact but cannot be checksum-verified when incomplete.
+     * @param {string} encodedString - Encoded string
+     * @returns {Object} - Report:
+     *   { complete, format, flags, expectedLength, receivedLength, firstBadOffset,
+     *     expectedBytes, decodedBytes, usable, bytes, error }
+     */
+    decodePartial(encodedString) {
+        const report = {
+            complete: false,
+            format: 'unknown',
+            flags: 0,
+            expectedLength: null,
+            receivedLength: encodedString ? encodedString.length : 0,
+            firstBadOffset: null,
+            expectedBytes: null,
+            decodedBytes: 0,
+            usable: false,
+            bytes: new Uint8Array(0),
+            error: null
+        };
+
+        const layout = encodedString ? this.inspectPayload(encodedString) : null;
+        if (!layout) {
+            report.error = 'Payload header is missing or unreadable';
+            return report;
+        }
+
+        report.format = layout.format;
+        report.flags = layout.flags;
+        report.expectedLength = layout.expectedLength;
+        report.firstBadOffset = layout.firstBadOffset;
+        report.expectedBytes = layout.originalLength;
+
+        // Intact length and characters: a full decode either works or explains itself
+        if (layout.firstBadOffset === null && layout.receivedLength >= layout.expectedLength) {
+            try {
+                const buffer = layout.format === 'legacy' ?
+                    this.decodeWithCPU(encodedString.slice(layout.dataStart), layout.originalLength) :
+                    this.decodeWithHeader(encodedString);
+                report.bytes = new Uint8Array(buffer);
+                report.decodedBytes = report.bytes.length;
+                report.complete = true;
+                report.usable = true;
+            } catch (error) {
+                report.error = error.message;
+            }
+            return report;
+        }
+
+        report.error = layout.receivedLength < layout.expectedLength ?
+            `Payload is truncated: expected ${layout.expectedLength} characters, received ${layout.receivedLength}` :
+            `Invalid character at offset ${layout.firstBadOffset}`;
+
+        // Data digits that are present and valid
+        const goodEnd = layout.firstBadOffset === null ? layout.receivedLength : layout.firstBadOffset;
+        const available = Math.max(0, Math.min(goodEnd, layout.dataStart + layout.dataDigits) - layout.dataStart);
+        const digitString = encodedString.slice(layout.dataStart, layout.dataStart + available);
+
+        try {
+            report.bytes = this.decodePrefix(layout.format, digitString, layout.originalLength);
+        } catch (error) {
+            report.error += `; prefix could not be decoded: ${error.message}`;
+        }
+        report.decodedBytes = report.bytes.length;
+        report.usable = report.decodedBytes > 0;
+        return report;
+    }
+
+    /**
+     * Decodes the bytes that a prefix of the data digits fully determines
+     * @param {string} format - 'wholeStream', 'block', 'range' or 'legacy'
+     * @param {string} digitString - Leading data digits
+     * @param {number} originalLength - Full payload length in bytes
+     * @returns {Uint8Array} - Recovered leading bytes
+     */
+    decodePrefix(format, digitString, originalLength) {
+        if (format === 'block') {
+            const blocks = Math.floor(digitString.length / this.blockGeometry.chars);
+            const length = Math.min(blocks * this.blockGeometry.bytes, originalLength);
+            return new Uint8Array(this.decodeBlocks(digitString.slice(0, this.getBlockDigitCount(length)), length));
+        }
+
+        if (format === 'range') {
+            return this.rangeCoder.decodePrefix(this.toDigitArray(digitString), originalLength);
+        }
+
+        if (format === 'legacy') {
+            const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
+            const groups = Math.floor(digitString.length / BYTE_SIZE);
+            const length = Math.min(groups * BYTE_SIZE, originalLength);
+            return new Uint8Array(this.decodeWithCPU(digitString.slice(0, groups * BYTE_SIZE), length));
+        }
+
+        // Whole-stream: k low digits give the value mod RADIX^k, which fixes the
+        // value mod 2^(k * v) where 2^v is the largest power of two dividing RADIX
+        let twoAdic = 0;
+        for (let r = this.RADIX; r % 2 === 0; r /= 2) twoAdic++;
+
+        const length = Math.min(Math.floor(digitString.length * twoAdic / 8), originalLength);
+        if (length === 0) {
+            return new Uint8Array(0);
+        }
+
+        const value = this.digitsToBigInt(this.toDigitArray(digitString)) & ((1n << BigInt(length * 8)) - 1n);
+        return this.bigIntToBytes(value, length);
+    }
+
+    /**
+     * Maps encoded characters to digit values
+     * @param {string} digitString - Characters from the shared alphabet
+     * @returns {Uint8Array} - Digit values
+     */
+    toDigitArray(digitString) {
+        const digits = new Uint8Array(digitString.length);
+        for (let i = 0; i < digitString.length; i++) {
+            digits[i] = this.charToIndex.get(digitString[i]);
+        }
+        return digits;
+    }
+
+    /**
+     * Decodes a payload that starts with a versioned header
+     * @param {string} encodedString - Encoded string starting with the header magic
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeWithHeader(encodedString) {
+        const { header, dataSection, expectedChecksum } = this.prepareHeaderDecode(encodedString);
+
+        let buffer;
+        switch (header.codec) {
+            case window.CONFIG.HEADER.CODECS.wholeStream:
+                buffer = this.decodeWholeStream(dataSection, header.length);
+                break;
+            case window.CONFIG.HEADER.CODECS.block:
+                buffer = this.decodeBlocks(dataSection, header.length);
+                break;
+            case window.CONFIG.HEADER.CODECS.range:
+                buffer = this.decodeRange(dataSection, header.length);
+                break;
+            default:
+                throw new Error(`Unsupported codec: ${header.codecName}`);
+        }
+
+        if (header.checksumType === 'crc32') {
+            this.verifyCrc32(buffer, expectedChecksum);
+        }
+        return buffer;
+    }
+
+    /**
+     * Reads and repairs a header payload and runs the checks that come before decoding
+     * @param {string} encodedString - Encoded string starting with the header magic
+     * @returns {Object} - Result of extractHeaderMetadata
+     * @throws {ChecksumError} - If a version 1 digit sum does not match
+     */
+    prepareHeaderDecode(encodedString) {
+        const metadata = this.extractHeaderMetadata(encodedString);
+        const { header, dataSection, expectedChecksum, errorCorrection } = metadata;
+
+        this.lastErrorCorrection = errorCorrection;
+        if (errorCorrection && errorCorrection.correctedSymbols > 0) {
+            console.log(`Error correction repaired ${errorCorrection.correctedSymbols} characters`);
+        }
+
+        // Version 1 headers carry a digit sum, which can be checked before decoding
+        if (header.checksumType === 'sum') {
+            const actualChecksum = this.calculateChecksum(dataSection);
+            if (actualChecksum !== expectedChecksum) {
+                throw new window.ChecksumError(expectedChecksum, actualChecksum);
+            }
+        }
+        return metadata;
+    }
+
+    /**
+     * Decodes a payload incrementally, reporting progress and honouring cancellation
+     * Header payloads are decoded CONFIG.STREAMING.CHUNK_BYTES at a time in
+     * byte order, yielding to the event loop between chunks; legacy payloads
+     * are decoded in one piece. The result is verified exactly like decodeBits.
+     * @param {string} encodedString - Encoded URL-safe string
+     * @param {Object} [options] - Streaming options
+     * @param {Function} [options.onProgress] - Called after every chunk with
+     *   { bytesDone, totalBytes, chunk }, where chunk holds the newly decoded bytes
+     *   (not yet checksum-verified)
+     * @param {AbortSignal} [options.signal] - Aborts the decode between chunks
+     * @returns {Promise<ArrayBuffer>} - Decoded binary data
+     */
+    async decodeStream(encodedString, { onProgress = () => {}, signal } = {}) {
+        if (signal) signal.throwIfAborted();
+
+        if (!encodedString || !this.payloadHeader.isHeader(encodedString)) {
+            const buffer = await this.decodeBits(encodedString);
+            onProgress({ bytesDone: buffer.byteLength, totalBytes: buffer.byteLength, chunk: new Uint8Array(buffer) });
+            return buffer;
+        }
+
+        // Same truncation check as decodeBits
+        const layout = this.inspectPayload(encodedString);
+        if (layout && layout.receivedLength < layout.expectedLength) {
+            throw new window.TruncatedPayloadError(this.decodePartial(encodedString));
+        }
+
+        const { header, dataSection, expectedChecksum } = this.prepareHeaderDecode(encodedString);
+        const output = new Uint8Array(header.length);
+        let bytesDone = 0;
+
+        for (const chunk of this.decodeChunks(header, dataSection, window.CONFIG.STREAMING.CHUNK_BYTES)) {
+            output.set(chunk, bytesDone);
+            bytesDone += chunk.length;
+            onProgress({ bytesDone, totalBytes: header.length, chunk: chunk.slice() });
+
+            // Let the page repaint and cancel requests arrive
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (signal) signal.throwIfAborted();
+        }
+
+        if (header.checksumType === 'crc32') {
+            this.verifyCrc32(output, expectedChecksum);
+        }
+        return output.buffer;
+    }
+
+    /**
+     * Decodes the data section of a header payload in byte order, a chunk at a time
+     * @param {Object} header - Decoded header
+     * @param {string} dataSection - Data digits after the header
+     * @param {number} chunkBytes - Approximate bytes per chunk
+     * @yields {Uint8Array} - Next decoded bytes
+     */
+    *decodeChunks(header, dataSection, chunkBytes) {
+        switch (header.codec) {
+            case window.CONFIG.HEADER.CODECS.wholeStream:
+                yield* this.decodeWholeStreamChunks(dataSection, header.length, chunkBytes);
+                break;
+            case window.CONFIG.HEADER.CODECS.block:
+                yield* this.decodeBlockChunks(dataSection, header.length, chunkBytes);
+                break;
+            case window.CONFIG.HEADER.CODECS.range: {
+                const { value: digitCount, next } = this.payloadHeader.decodeVarint(dataSection, 0);
+                if (dataSection.length - next !== digitCount) {
+                    throw new Error(`Expected ${digitCount} range-coded digits, found ${dataSection.length - next}`);
+                }
+                yield* this.rangeCoder.decodeChunks(this.toDigitArray(dataSection.slice(next)), header.length, chunkBytes);
+                break;
+            }
+            default:
+                throw new Error(`Unsupported codec: ${header.codecName}`);
+        }
+    }
+
+    /**
+     * Decodes whole-stream data digits incrementally
+     * The low k digits fix the value mod 2^(k * v), where 2^v is the largest
+     * power of two dividing RADIX (see decodePrefix), so low bytes are final
+     * before the high digits are read. An odd radix gives no such bytes and
+     * decodes in one chunk.
+     * @param {string} dataSection - Data digits after the header
+     * @param {number} originalLength - Original byte length
+     * @param {number} chunkBytes - Approximate bytes per chunk
+     * @yields {Uint8Array} - Next decoded bytes
+     */
+    *decodeWholeStreamChunks(dataSection, originalLength, chunkBytes) {
+        let twoAdic = 0;
+        for (let r = this.RADIX; r % 2 === 0; r /= 2) twoAdic++;
+
+        if (twoAdic === 0) {
+            yield new Uint8Array(this.decodeWholeStream(dataSection, originalLength));
+            return;
+        }
+
+        const digitCount = this.getWholeStreamDigitCount(originalLength);
+        if (dataSection.length !== digitCount) {
+            throw new Error(`Expected ${digitCount} data digits for ${originalLength} bytes, found ${dataSection.length}`);
+        }
+
+        const digits = this.toDigitArray(dataSection);
+        const digitsPerChunk = Math.max(1, Math.ceil(chunkBytes * 8 / twoAdic));
+
+        // value = emitted bytes + 256^emitted * (pending + scale * remaining digits);
+        // scale stays an integer because RADIX^k carries at least 8 * emitted factors of two
+        let pending = 0n;
+        let scale = 1n;
+        let emitted = 0;
+
+        for (let start = 0; start < digits.length; start += digitsPerChunk) {
+            const end = Math.min(start + digitsPerChunk, digits.length);
+            pending += this.digitsToBigInt(digits.subarray(start, end)) * scale;
+            scale *= BigInt(this.RADIX) ** BigInt(end - start);
+
+            const last = end === digits.length;
+            const ready = last ? originalLength : Math.min(Math.floor(end * twoAdic / 8), originalLength);
+            const count = ready - emitted;
+            if (count <= 0) continue;
+
+            const bits = BigInt(count * 8);
+            if (last && pending >> bits !== 0n) {
+                throw new Error(`Decoded value exceeds ${originalLength} bytes`);
+            }
+
+            yield this.bigIntToBytes(pending & ((1n << bits) - 1n), count);
+            pending >>= bits;
+            scale >>= bits;
+            emitted = ready;
+        }
+    }
+
+    /**
+     * Decodes block data digits a group of blocks at a time
+     * @param {string} dataSection - Data digits after the header and geometry
+     * @param {number} originalLength - Original byte length
+     * @param {number} chunkBytes - Approximate bytes per chunk
+     * @yields {Uint8Array} - Next decoded bytes
+     */
+    *decodeBlockChunks(dataSection, originalLength, chunkBytes) {
+        const expectedDigits = this.getBlockDigitCount(originalLength);
+        if (dataSection.length !== expectedDigits) {
+            throw new Error(`Expected ${expectedDigits} data digits for ${originalLength} bytes, found ${dataSection.length}`);
+        }
+
+        // Chunks start on block boundaries, where the digit offset is known
+        const step = Math.max(1, Math.round(chunkBytes / this.blockGeometry.bytes)) * this.blockGeometry.bytes;
+        for (let start = 0; start < originalLength; start += step) {
+            const end = Math.min(start + step, originalLength);
+            const digits = dataSection.slice(this.getBlockDigitCount(start), this.getBlockDigitCount(end));
+            yield new Uint8Array(this.decodeBlocks(digits, end - start));
+        }
+    }
+
+    /**
+     * Verifies decoded bytes against the CRC-32 stored in the header
+     * @param {ArrayBuffer|Uint8Array} buffer - Decoded bytes
+     * @param {number} expectedChecksum - CRC-32 from the header
+     * @throws {ChecksumError} - If the bytes do not match
+     */
+    verifyCrc32(buffer, expectedChecksum) {
+        const actualChecksum = window.Crc32.compute(buffer);
+        if (actualChecksum !== expectedChecksum) {
+            throw new window.ChecksumError(expectedChecksum, actualChecksum);
+        }
+    }
+
+    /**
+     * Reads the header and splits off the data section
+     * Reed-Solomon protected payloads are corrected first, so the length and
+     * checksum fields benefit from the parity too. Block payloads carry their
+     * geometry ahead of the data, which is checked here.
+     * @param {string} encodedString - Encoded string starting with the header magic
+     * @returns {Object} - Header, original length, data section, expected checksum
+     *                     and error correction summary (null without FEC)
+     */
+    extractHeaderMetadata(encodedString) {
+        const preamble = this.payloadHeader.decodePreamble(encodedString);
+        let errorCorrection = null;
+        if (preamble.flags & window.CONFIG.HEADER.FLAGS.FEC) {
+            ({ encodedString, errorCorrection } = this.correctErrors(encodedString, preamble));
+        }
+
+        const header = this.payloadHeader.decode(encodedString);
+        let dataStart = header.bodyOffset;
+
+        if (header.codec === window.CONFIG.HEADER.CODECS.block) {
+            const blockBytes = this.charToIndex.get(encodedString[dataStart]);
+            const blockChars = this.charToIndex.get(encodedString[dataStart + 1]);
+
+            // The payload geometry must match what this alphabet produces
+            if (blockBytes !== this.blockGeometry.bytes || blockChars !== this.blockGeometry.chars) {
+                throw new Error(
+                    `Block geometry mismatch: payload uses ${blockBytes}:${blockChars}, ` +
+                    `alphabet gives ${this.blockGeometry.bytes}:${this.blockGeometry.chars}`
+                );
+            }
+            dataStart += 2;
+        }
+
+        const dataSection = encodedString.slice(dataStart);
+        for (const char of dataSection) {
+            if (!this.charToIndex.has(char)) {
+                throw new Error(`Invalid character in data: '${char}'`);
+            }
+        }
+
+        return {
+            header,
+            originalLength: header.length,
+            dataSection,
+            expectedChecksum: header.checksum,
+            errorCorrection
+        };
+    }
+
+    /**
+     * Repairs the Reed-Solomon protected part of a payload and strips the parity
+     * Characters outside the alphabet are treated as damaged digits. The last
+     * repair is kept, so correcting the same string again costs nothing.
+     * @param {string} encodedString - Encoded string with the FEC flag set
+     * @param {Object} preamble - Result of PayloadHeader.decodePreamble
+     * @returns {Object} - { encodedString, errorCorrection } with the parity removed
+     */
+    correctErrors(encodedString, preamble) {
+        if (this.correctionCache && this.correctionCache.input === encodedString) {
+            return this.correctionCache.result;
+        }
+
+        const protectedPart = encodedString.slice(preamble.preambleLength);
+        const received = new Uint8Array(protectedPart.length);
+        for (let i = 0; i < protectedPart.length; i++) {
+            received[i] = this.charToIndex.get(protectedPart[i]) || 0;
+        }
+
+        const { digits, corrected, codewords } = this.reedSolomon.decode(received, preamble.parity);
+
+        let repaired = encodedString.slice(0, preamble.preambleLength);
+        for (const digit of digits) {
+            repaired += this.indexToChar.get(digit);
+        }
+
+        const result = {
+            encodedString: repaired,
+            errorCorrection: { correctedSymbols: corrected, codewords, parity: preamble.parity }
+        };
+        this.correctionCache = { input: encodedString, result };
+        return result;
+    }
+
+    /**
+     * Decodes whole-stream data digits (PTA_2)
+     * @param {string} dataSection - Data digits after the header
+     * @param {number} originalLength - Original byte length
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeWholeStream(dataSection, originalLength) {
+        const digitCount = this.getWholeStreamDigitCount(originalLength);
+        if (dataSection.length !== digitCount) {
+            throw new Error(`Expected ${digitCount} data digits for ${originalLength} bytes, found ${dataSection.length}`);
+        }
+
+        const value = this.digitsToBigInt(this.toDigitArray(dataSection));
+        if (value >> BigInt(originalLength * 8) !== 0n) {
+            throw new Error(`Decoded value exceeds ${originalLength} bytes`);
+        }
+
+        return this.bigIntToBytes(value, originalLength).buffer;
+    }
+
+    /**
+     * Decodes range-coded data
+     * @param {string} dataSection - Digit count (varint) and data digits after the header
+     * @param {number} originalLength - Original byte length
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeRange(dataSection, originalLength) {
+        const { value: digitCount, next } = this.payloadHeader.decodeVarint(dataSection, 0);
+        if (dataSection.length - next !== digitCount) {
+            throw new Error(`Expected ${digitCount} range-coded digits, found ${dataSection.length - next}`);
+        }
+
+        return this.rangeCoder.decode(this.toDigitArray(dataSection.slice(next)), originalLength).buffer;
+    }
+
+    /**
+     * Decodes block data digits
+     * @param {string} dataSection - Data digits after the header and geometry
+     * @param {number} originalLength - Original byte length
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeBlocks(dataSection, originalLength) {
+        const { bytes: blockBytes, chars: blockChars } = this.blockGeometry;
+
+        const expectedDigits = this.getBlockDigitCount(originalLength);
+        if (dataSection.length !== expectedDigits) {
+            throw new Error(`Expected ${expectedDigits} data digits for ${originalLength} bytes, found ${dataSection.length}`);
+        }
+
+        const result = new Uint8Array(originalLength);
+        let charIndex = 0;
+
+        for (let offset = 0; offset < originalLength; offset += blockBytes) {
+            const length = Math.min(blockBytes, originalLength - offset);
+            const digitCount = length === blockBytes ? blockChars : this.getWholeStreamDigitCount(length);
+
+            // Digits are least significant first
+            let value = 0;
+            for (let i = digitCount - 1; i >= 0; i--) {
+                value = value * this.RADIX + this.charToIndex.get(dataSection[charIndex + i]);
+            }
+            charIndex += digitCount;
+
+            if (value >= 2 ** (length * 8)) {
+                throw new Error(`Block at byte ${offset} exceeds ${length} bytes`);
+            }
+
+            for (let i = 0; i < length; i++) {
+                result[offset + i] = value % 256;
+                value = Math.floor(value / 256);
+            }
+        }
+
+        return result.buffer;
+    }
+
+    /**
+     * Rebuild an integer from base-RADIX digits, least significant first
+     * Uses the divide-and-conquer converter so large payloads stay subquadratic.
+     * @param {Uint8Array} digits - Digits in little-endian order
+     * @returns {bigint} - Integer value
+     */
+    digitsToBigInt(digits) {
+        return this.radixConverter.fromDigits(digits);
+    }
+
+    /**
+     * Write an integer as little-endian bytes (PTA_3)
+     * @param {bigint} value - Integer value
+     * @param {number} byteLength - Exact number of bytes to produce
+     * @returns {Uint8Array} - Byte array, zero padded to byteLength
+     */
+    bigIntToBytes(value, byteLength) {
+        const bytes = new Uint8Array(byteLength);
+        const hex = value.toString(16).padStart(byteLength * 2, '0');
+
+        // Hex is big-endian, so the last pair is the least significant byte
+        for (let i = 0; i < byteLength; i++) {
+            const offset = hex.length - (i + 1) * 2;
+            bytes[i] = parseInt(hex.substr(offset, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Decodes small data format (optimized encoding for small inputs)
+     * @param {string} encodedString - Encoded string starting with '~'
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeSmallData(encodedString) {
+        try {
+            // Strip the marker '~'
+            const dataStr = encodedString.substring(1);
+            
+            // Need at least 3 chars (1 for length, 1 for checksum, 1+ for data)
+            if (dataStr.length < 3) {
+                throw new Error('Invalid small data format: too short');
+            }
+            
+            // First try with explicit length detection by checking format
+            const smallThreshold = window.CONFIG.ENCODE_SMALL_THRESHOLD || 32;
+            let length = 0;
+            let lengthChars = 0;
+            let checksumIndex = 0;
+            
+            // Try single character length (most common for very small data)
+            if (this.RADIX > smallThreshold) {
+                // If RADIX is large enough, a single character can encode the entire length
+                length = this.charToIndex.get(dataStr[0]);
+                lengthChars = 1;
+                checksumIndex = 1;
+            } else {
+                // For smaller RADIX values, we need to check if we're using 1 or 2 characters
+                // First, try to decode with 1 character and see if it's plausible
+                const singleCharLength = this.charToIndex.get(dataStr[0]);
+                
+                // Check if single char length is plausible based on string length
+                const expectedLengthSingle = singleCharLength * 2 + 2; // 2 chars per byte + length char + checksum char
+                
+                if (singleCharLength < smallThreshold && Math.abs(dataStr.length - expectedLengthSingle) <= 2) {
+                    // Single char length is plausible
+                    length = singleCharLength;
+                    lengthChars = 1; 
+                    checksumIndex = 1;
+                } else {
+                    // Try 2 character length encoding
+                    const twoCharLength = this.charToIndex.get(dataStr[0]) * this.RADIX + 
+                                       this.charToIndex.get(dataStr[1]);
+                    
+                    // Check if two char length is plausible
+                    const expectedLengthDouble = twoCharLength * 2 + 3; // 2 chars per byte + 2 length chars + checksum char
+                    
+                    if (twoCharLength <= smallThreshold && Math.abs(dataStr.length - expectedLengthDouble) <= 4) {
+                        length = twoCharLength;
+                        lengthChars = 2;
+                        checksumIndex = 2;
+                    } else {
+                        throw new Error('Could not determine valid length encoding');
+                    }
+                }
+            }
+            
+            // Get checksum character
+            const checksumChar = dataStr[checksumIndex];
+            const expectedChecksum = this.charToIndex.get(checksumChar);
+            
+            // Extract data section
+            const dataSection = dataStr.substring(checksumIndex + 1);
+            
+            // Decode data
+            const result = new Uint8Array(length);
+            let byteIndex = 0;
+            
+            if (this.RADIX < 256) {
+                // Each byte takes 2 characters (for most common base64-like encodings)
+                for (let i = 0; i < dataSection.length && byteIndex < length; i += 2) {
+                    if (i + 1 < dataSection.length) {
+                        const low = this.charToIndex.get(dataSection[i]);
+                        const high = this.charToIndex.get(dataSection[i + 1]);
+                        result[byteIndex++] = low + high * this.RADIX;
+                    } else {
+                        // Handle odd number of characters (shouldn't happen in proper encoding)
+                        result[byteIndex++] = this.charToIndex.get(dataSection[i]);
+                    }
+                }
+            } else {
+                // Each character represents a full byte
+                for (let i = 0; i < dataSection.length && byteIndex < length; i++) {
+                    result[byteIndex++] = this.charToIndex.get(dataSection[i]);
+                }
+            }
+            
+            // Verify data length
+            if (byteIndex !== length) {
+                console.warn(`Decoded data length (${byteIndex}) doesn't match expected length (${length})`);
+            }
+            
+            // Calculate and verify checksum
+            let checksum = 0;
+            for (let i = 0; i < length; i++) {
+                checksum = (checksum + result[i]) % this.RADIX;
+            }
+            
+            if (checksum !== expectedChecksum) {
+                console.warn('Small data checksum verification failed, data may be corrupted');
+            }
+            
+            return result.buffer;
+        } catch (error) {
+            console.error('Small data decoding error:', error);
+            throw new Error(`Small data format decoding failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Extracts metadata from encoded string
+     * @param {string} encodedString - Encoded URL-safe string
+     * @returns {Object} - Extracted metadata, data section, and checksum
+     */
+    extractMetadata(encodedString) {
+        // Read metadata length indicator (first character)
+        const metadataLengthChar = encodedString[0];
+        if (!this.charToIndex.has(metadataLengthChar)) {
+            throw new Error(`Invalid metadata length character: '${metadataLengthChar}'`);
+        }
+        
+        const metadataLength = this.charToIndex.get(metadataLengthChar);
+        
+        // Check for valid metadata length
+        if (metadataLength <= 0 || metadataLength >= encodedString.length) {
+            throw new Error(`Invalid metadata length: ${metadataLength}`);
+        }
+        
+        // Extract metadata and data sections
+        const metadataStr = encodedString.slice(1, metadataLength + 1);
+        const dataSection = encodedString.slice(metadataLength + 1);
+        
+        // Parse checksum (last character of metadata)
+        const checksumChar = metadataStr[metadataStr.length - 1];
+        if (!this.charToIndex.has(checksumChar)) {
+            throw new Error(`Invalid checksum character: '${checksumChar}'`);
+        }
+        
+        const expectedChecksum = this.charToIndex.get(checksumChar);
+        
+        // Extract length information (all metadata except checksum)
+        const lengthStr = metadataStr.slice(0, -1);
+        
+        // Calculate original length from base-N encoding
+        let originalLength = 0;
+        
+        for (const char of lengthStr) {
+            if (!this.charToIndex.has(char)) {
+                throw new Error(`Invalid character in length encoding: '${char}'`);
+            }
+            originalLength = originalLength * this.RADIX + this.charToIndex.get(char);
+        }
+        
+        // Validate original length
+        if (originalLength <= 0) {
+            throw new Error(`Invalid original length: ${originalLength}`);
+        }
+        
+        return { originalLength, dataSection, expectedChecksum };
+    }
+
+    /**
+     * Calculate checksum of encoded data for validation
+     * @param {string} data - Encoded data string
+     * @returns {number} - Calculated checksum
+     */
+    calculateChecksum(data) {
+        let checksum = 0;
+        for (const char of data) {
+            if (!this.charToIndex.has(char)) {
+                throw new Error(`Invalid character in data: '${char}'`);
+            }
+            checksum = (checksum + this.charToIndex.get(char)) % this.RADIX;
+        }
+        return checksum;
+    }
+
+    /**
+     * CPU-based decoding implementation
+     * @param {string} encodedData - Encoded data string
+     * @param {number} originalLength - Original data length in bytes
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeWithCPU(encodedData, originalLength) {
+        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
+        const CHARS_PER_GROUP = BYTE_SIZE;
+        
+        const result = new Uint8Array(originalLength);
+        let byteIndex = 0;
+        
+        // Process characters in groups
+        for (let i = 0; i < encodedData.length; i += CHARS_PER_GROUP) {
+            if (byteIndex >= originalLength) break;
+            
+            // Read up to CHARS_PER_GROUP characters (handle partial groups at the end)
+            const groupSize = Math.min(CHARS_PER_GROUP, encodedData.length - i);
+            
+            // Convert chars to values and calculate decimal value
+            let value = 0;
+            for (let j = 0; j < groupSize; j++) {
+                const charIndex = i + j;
+                if (charIndex < encodedData.length) {
+                    const char = encodedData[charIndex];
+                    if (!this.charToIndex.has(char)) {
+                        throw new Error(`Invalid character in data: '${char}'`);
+                    }
+                    const digitValue = this.charToIndex.get(char);
+                    value += digitValue * Math.pow(this.RADIX, j);
+                }
+            }
+            
+            // Extract bytes in little-endian order
+            const bytesToExtract = Math.min(BYTE_SIZE, originalLength - byteIndex);
+            for (let j = 0; j < bytesToExtract; j++) {
+                result[byteIndex++] = (value >> (j * 8)) & 0xFF;
+            }
+        }
+        
+        return result.buffer;
+    }
+
+    /**
+     * Legacy CPU decoder for backward compatibility
+     * @param {string} encodedData - Full encoded string
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeWithCPULegacy(encodedData) {
+        // Simple heuristic: try to estimate original length
+        const estimatedBytes = Math.floor(encodedData.length * 0.6); // Assume ~60% compression
+        
+        // Try decoding directly
+        const result = new Uint8Array(estimatedBytes);
+        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
+        let byteIndex = 0;
+        
+        try {
+            // Process characters in groups
+            for (let i = 0; i < encodedData.length; i += BYTE_SIZE) {
+                if (byteIndex >= estimatedBytes) {
+                    // Expand buffer if needed
+                    const newBuffer = new Uint8Array(estimatedBytes * 1.5);
+                    newBuffer.set(result);
+                    result = newBuffer;
+                }
+                
+                // Read up to BYTE_SIZE characters
+                const groupSize = Math.min(BYTE_SIZE, encodedData.length - i);
+                
+                // Convert chars to values and calculate decimal value
+                let value = 0;
+                for (let j = 0; j < groupSize; j++) {
+                    const charIndex = i + j;
+                    if (charIndex < encodedData.length) {
+                        const char = encodedData[charIndex];
+                        if (!this.charToIndex.has(char)) {
+                            continue; // Skip invalid chars in legacy mode
+                        }
+                        const digitValue = this.charToIndex.get(char);
+                        value += digitValue * Math.pow(this.RADIX, j);
+                    }
+                }
+                
+                // Extract bytes in little-endian order
+                for (let j = 0; j < BYTE_SIZE && byteIndex < result.length; j++) {
+                    result[byteIndex++] = (value >> (j * 8)) & 0xFF;
+                }
+            }
+            
+            // Trim buffer to actual size
+            return result.slice(0, byteIndex).buffer;
+        } catch (error) {
+            throw new Error(`Legacy decoding failed: ${error.message}`);
+        }
+    }
+};
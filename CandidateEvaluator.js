@@ -0,0 +1,37 @@
+/**
+ * CandidateEvaluator.js
+ *
+ * Measures compression candidates for the compression search. Shared by
+ * CompressionEngine on the main thread and by codecWorker.js, so both reject
+ * and measure candidates the same way; only the rendering differs.
+ */
+window.CandidateEvaluator = class CandidateEvaluator {
+    /**
+     * Measures the encoded length of a rendered candidate
+     * Candidates whose estimate is already over budget are not encoded, and
+     * deterministic codecs have an exact length, so only content-dependent
+     * codecs encode here. Lengths are measured on the templated bytes that
+     * will actually be encoded.
+     * @param {BitStreamCodec} codec - Codec with the user's encode options applied
+     * @param {ArrayBuffer} buffer - Compressed image
+     * @param {number} maxLength - Encoded length budget
+     * @returns {Promise<Object>} - { buffer, size, encodedLength, encoded, estimated } where
+     *   estimated tells that encodedLength is only a lower bound and buffer was dropped
+     */
+    static async measure(codec, buffer, maxLength) {
+        const size = buffer.byteLength;
+        const payload = window.TemplateDictionary.apply(new Uint8Array(buffer));
+        const estimatedLength = codec.estimateEncodedLength(payload.bytes.length);
+        if (estimatedLength > maxLength) {
+            return { buffer: null, size, encodedLength: estimatedLength, encoded: null, estimated: true };
+        }
+
+        let encoded = null;
+        let encodedLength = codec.getEncodedLength(payload.bytes.length, { templated: payload.templated });
+        if (encodedLength === null) {
+            encoded = await codec.encodeBits(payload.bytes, { templated: payload.templated });
+            encodedLength = encoded.length;
+        }
+        return { buffer, size, encodedLength, encoded, estimated: false };
+    }
+};
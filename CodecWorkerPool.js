@@ -0,0 +1,335 @@
+/**
+ * CodecWorkerPool.js
+ *
+ * Runs codec work in a pool of Web Workers (codecWorker.js) so large payloads
+ * and compression searches do not freeze the page. Sized by
+ * CONFIG.CONCURRENT_OPERATIONS_MAX and enabled by
+ * CONFIG.ADVANCED.ENABLE_WORKER_THREADS.
+ *
+ * Each task resolves with the worker's result or rejects with the worker's
+ * error, rebuilt as ChecksumError / TruncatedPayloadError where applicable.
+ * Tasks take an optional AbortSignal; cancelled tasks reject with an AbortError.
+ * Progress, results and errors are also reported through the onEvent
+ * callback as { type, task, message, duration }.
+ */
+
+(() => {
+    // Resolve the worker next to this script; the viewer's page path is the payload itself
+    const CODEC_WORKER_BASE = document.currentScript ? document.currentScript.src : window.location.href;
+
+    window.CodecWorkerPool = class CodecWorkerPool {
+        /**
+         * Checks whether workers can be used in this browser and configuration
+         * @returns {boolean} - True if a pool can be created
+         */
+        static isSupported() {
+            return window.CONFIG.ADVANCED.ENABLE_WORKER_THREADS && typeof window.Worker === 'function';
+        }
+
+        /**
+         * Starts the workers
+         * @param {Object} [options] - Pool options
+         * @param {number} [options.size] - Number of workers, defaults to CONFIG.CONCURRENT_OPERATIONS_MAX
+         *   capped by the number of cores
+         * @param {Function} [options.onEvent] - Receives { type, task, message, duration } for every
+         *   progress message, result and error
+         */
+        constructor({ size, onEvent } = {}) {
+            this.size = size || Math.max(1, Math.min(
+                window.CONFIG.CONCURRENT_OPERATIONS_MAX,
+                navigator.hardwareConcurrency || 1
+            ));
+            this.onEvent = onEvent || (() => {});
+            this.scriptUrl = new URL(window.CONFIG.ADVANCED.WORKER_SCRIPT, CODEC_WORKER_BASE).href;
+
+            this.encodeOptions = {};
+            this.nextId = 1;
+            this.queue = [];
+            this.pending = new Map();
+            this.capabilities = null;
+
+            this.ready = new Promise(resolve => {
+                this.resolveReady = resolve;
+            });
+
+            this.workers = [];
+            for (let i = 0; i < this.size; i++) {
+                this.workers.push(this.spawnWorker());
+            }
+        }
+
+        /**
+         * Creates one worker and wires its messages to the pool
+         * @returns {Object} - Worker slot { worker, taskId, ready }
+         */
+        spawnWorker() {
+            const slot = { worker: new Worker(this.scriptUrl), taskId: null, ready: false };
+            slot.worker.onmessage = (event) => this.handleMessage(slot, event.data);
+            slot.worker.onerror = (event) => this.handleWorkerError(slot, event);
+            return slot;
+        }
+
+        /**
+         * Sets the encoding options sent with every encode task
+         * Mirrors BitStreamCodec.setEncodeOptions so workers encode like the main encoder;
+         * alphabetProfile selects the profile's codec in the worker.
+         * @param {Object} options - Options such as { fecParity, alphabetProfile }
+         */
+        setEncodeOptions(options) {
+            this.encodeOptions = { ...this.encodeOptions, ...options };
+        }
+
+        /**
+         * Checks whether the workers can run a task
+         * @param {string} task - Task name
+         * @returns {Promise<boolean>} - True once a worker has reported the capability
+         */
+        async supports(task) {
+            const capabilities = await this.ready;
+            return Boolean(capabilities[task]);
+        }
+
+        /**
+         * Encodes bytes in a worker
+         * @param {Uint8Array} bytes - Data to encode (copied, not transferred)
+         * @param {Object} [options] - Options for BitStreamCodec.encodeBits
+         * @returns {Promise<string>} - Encoded URL data
+         */
+        async encode(bytes, options = {}) {
+            const { encoded } = await this.run('encode', { bytes, options, encodeOptions: this.encodeOptions });
+            return encoded;
+        }
+
+        /**
+         * Decodes URL data in a worker, streaming progress (see BitStreamCodec.decodeStream)
+         * @param {string} encoded - Encoded URL data
+         * @param {Object} [options] - { onProgress, signal }; onProgress receives
+         *   { bytesDone, totalBytes, chunk }
+         * @returns {Promise<Object>} - { buffer, errorCorrection } with the decoded bytes and the
+         *   worker codec's lastErrorCorrection
+         */
+        decode(encoded, options) {
+            return this.run('decode', { encoded }, options);
+        }
+
+        /**
+         * Renders and measures a compression candidate in a worker
+         * @param {ImageBitmap} bitmap - Source image (cloned into the worker)
+         * @param {Object} params - { format, quality, width, height }
+         * @param {number} maxLength - Encoded length budget
+         * @returns {Promise<Object>} - { buffer, size, encodedLength, encoded, estimated }
+         */
+        evaluateCandidate(bitmap, params, maxLength) {
+            return this.run('evaluateCandidate', {
+                bitmap,
+                ...params,
+                maxLength,
+                encodeOptions: this.encodeOptions
+            });
+        }
+
+        /**
+         * Queues a task for the next free worker
+         * @param {string} task - Task name understood by codecWorker.js
+         * @param {Object} payload - Task input
+         * @param {Object} [options] - Task options
+         * @param {Function} [options.onProgress] - Receives the detail of the task's progress messages
+         * @param {AbortSignal} [options.signal] - Cancels the task
+         * @returns {Promise<Object>} - Task result
+         */
+        run(task, payload, { onProgress, signal } = {}) {
+            if (!this.workers) {
+                return Promise.reject(new Error('Worker pool has been terminated'));
+            }
+            if (signal && signal.aborted) {
+                return Promise.reject(signal.reason);
+            }
+
+            return new Promise((resolve, reject) => {
+                const id = this.nextId++;
+                const onAbort = () => this.cancel(id);
+                // The abort listener leaves with the task, so a long-lived signal does not collect one per task
+                const settle = callback => value => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    callback(value);
+                };
+                this.pending.set(id, {
+                    id, task, payload, resolve: settle(resolve), reject: settle(reject), onProgress, slot: null, startTime: 0
+                });
+                this.queue.push(id);
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+                this.dispatch();
+            });
+        }
+
+        /**
+         * Cancels one task: a queued task is dropped, a running one is asked to stop
+         * @param {number} id - Task id
+         */
+        cancel(id) {
+            const job = this.pending.get(id);
+            if (!job) return;
+
+            if (job.slot) {
+                // The worker answers with an AbortError once it reaches a checkpoint
+                job.slot.worker.postMessage({ id, type: 'cancel' });
+                return;
+            }
+
+            this.queue = this.queue.filter(queuedId => queuedId !== id);
+            this.pending.delete(id);
+            job.reject(new DOMException('Task cancelled', 'AbortError'));
+        }
+
+        /**
+         * Hands queued tasks to idle workers
+         */
+        dispatch() {
+            for (const slot of this.workers) {
+                if (this.queue.length === 0) return;
+                if (slot.taskId !== null) continue;
+
+                const job = this.pending.get(this.queue.shift());
+                job.startTime = performance.now();
+                job.slot = slot;
+                slot.taskId = job.id;
+                slot.worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+            }
+        }
+
+        /**
+         * Routes a worker message to its task
+         * @param {Object} slot - Worker slot
+         * @param {Object} data - Message from codecWorker.js
+         */
+        handleMessage(slot, data) {
+            if (data.type === 'ready') {
+                slot.ready = true;
+                if (!this.capabilities) {
+                    this.capabilities = data.capabilities;
+                    this.resolveReady(data.capabilities);
+                }
+                return;
+            }
+
+            const job = this.pending.get(data.id);
+            if (!job) return;
+
+            if (data.type === 'progress') {
+                this.onEvent({ type: 'progress', task: job.task, message: data.message });
+                if (job.onProgress && data.detail) {
+                    job.onProgress(data.detail);
+                }
+                return;
+            }
+
+            const duration = performance.now() - job.startTime;
+            this.finishJob(slot, job);
+
+            if (data.type === 'result') {
+                this.onEvent({ type: 'result', task: job.task, message: `${job.task} finished`, duration });
+                job.resolve(data.result);
+            } else {
+                const error = this.reviveError(data.error);
+                this.onEvent({ type: 'error', task: job.task, message: error.message, duration });
+                job.reject(error);
+            }
+        }
+
+        /**
+         * Fails the running task of a crashed worker and replaces the worker
+         * @param {Object} slot - Worker slot
+         * @param {ErrorEvent} event - Worker error event
+         */
+        handleWorkerError(slot, event) {
+            event.preventDefault();
+            const message = `Codec worker failed: ${event.message || 'script error'}`;
+
+            // A worker that never got ready could not load its scripts; respawning would fail the same way
+            if (!slot.ready) {
+                console.warn(`${message}. Codec work stays on the main thread.`);
+                this.onEvent({ type: 'error', task: null, message });
+                this.terminate();
+                return;
+            }
+            console.error(message);
+
+            const job = this.pending.get(slot.taskId);
+            slot.worker.terminate();
+            const index = this.workers.indexOf(slot);
+            if (index !== -1) {
+                this.workers[index] = this.spawnWorker();
+            }
+
+            this.onEvent({ type: 'error', task: job ? job.task : null, message });
+            if (job) {
+                this.pending.delete(job.id);
+                job.reject(new Error(message));
+            }
+            this.dispatch();
+        }
+
+        /**
+         * Frees a worker after its task settles and starts the next task
+         * @param {Object} slot - Worker slot
+         * @param {Object} job - Settled task
+         */
+        finishJob(slot, job) {
+            this.pending.delete(job.id);
+            slot.taskId = null;
+            this.dispatch();
+        }
+
+        /**
+         * Rebuilds an error posted by a worker
+         * @param {Object} data - { name, message, report, expected, actual }
+         * @returns {Error} - ChecksumError, TruncatedPayloadError, AbortError or Error
+         */
+        reviveError(data) {
+            if (data.name === 'AbortError') {
+                return new DOMException(data.message, 'AbortError');
+            }
+            if (data.name === 'ChecksumError' && window.ChecksumError) {
+                return new window.ChecksumError(data.expected, data.actual);
+            }
+            if (data.name === 'TruncatedPayloadError' && window.TruncatedPayloadError) {
+                return new window.TruncatedPayloadError(data.report);
+            }
+            return new Error(data.message);
+        }
+
+        /**
+         * Rejects tasks that have not started yet, e.g. when the user cancels
+         */
+        cancelQueued() {
+            for (const id of this.queue) {
+                const job = this.pending.get(id);
+                this.pending.delete(id);
+                job.reject(new DOMException('Task cancelled', 'AbortError'));
+            }
+            this.queue = [];
+        }
+
+        /**
+         * Stops all workers and rejects every unfinished task
+         */
+        terminate() {
+            if (!this.workers) return;
+
+            for (const slot of this.workers) {
+                slot.worker.terminate();
+            }
+            for (const job of this.pending.values()) {
+                job.reject(new Error('Worker pool has been terminated'));
+            }
+            this.pending.clear();
+            this.queue = [];
+            this.workers = null;
+            this.resolveReady({});
+        }
+    };
+})();
@@ -0,0 +1,42 @@
+/**
+ * Crc32.js
+ *
+ * CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320) over decoded payload bytes.
+ * The encoder, the decoder and the image viewer all verify payloads through this
+ * one implementation so they cannot disagree.
+ */
+window.Crc32 = class Crc32 {
+    /**
+     * Lookup table for byte-at-a-time CRC computation, built on first use
+     * @returns {Uint32Array} - 256-entry table
+     */
+    static getTable() {
+        if (!Crc32.table) {
+            Crc32.table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                Crc32.table[n] = c >>> 0;
+            }
+        }
+        return Crc32.table;
+    }
+
+    /**
+     * Computes the CRC-32 of a byte array
+     * @param {Uint8Array|ArrayBuffer} data - Bytes to checksum
+     * @returns {number} - Unsigned 32-bit CRC
+     */
+    static compute(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const table = Crc32.getTable();
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+};
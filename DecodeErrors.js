@@ -0,0 +1,46 @@
+/**
+ * DecodeErrors.js
+ *
+ * Errors raised while decoding a link. They carry structured details so the
+ * viewer can tell the user what went wrong instead of a generic failure.
+ */
+
+/**
+ * Raised when a payload fails its integrity check
+ */
+window.ChecksumError = class ChecksumError extends Error {
+    /**
+     * @param {number} expected - Checksum stored in the payload
+     * @param {number} actual - Checksum computed from the received data
+     */
+    constructor(expected, actual) {
+        super(`Checksum mismatch: expected ${expected}, computed ${actual}. The link is corrupted or incomplete.`);
+        this.name = 'ChecksumError';
+        this.expected = expected;
+        this.actual = actual;
+    }
+};
+
+/**
+ * Raised when a payload is shorter than its header says it should be
+ */
+window.TruncatedPayloadError = class TruncatedPayloadError extends Error {
+    /**
+     * @param {Object} report - Partial decode report from GPUBitStreamDecoder.decodePartial
+     */
+    constructor(report) {
+        super(`Link is truncated: expected ${report.expectedLength} characters, received ${report.receivedLength}`);
+        this.name = 'TruncatedPayloadError';
+        this.report = report;
+    }
+};
+
+/**
+ * Raised when an encrypted payload does not open with the given passphrase
+ */
+window.PassphraseError = class PassphraseError extends Error {
+    constructor() {
+        super('Wrong passphrase');
+        this.name = 'PassphraseError';
+    }
+};
@@ -0,0 +1,113 @@
+/**
+ * DeflateStage.js
+ *
+ * Optional lossless stage between the image file and the radix codec (R_2).
+ * PNG, BMP and SVG containers often hold easily compressible bytes, so the
+ * payload is run through raw deflate and kept only when that makes it shorter.
+ * Payloads that went through this stage carry the DEFLATE header flag, and the
+ * viewer inflates them before detecting the image format.
+ *
+ * Uses the platform CompressionStream / DecompressionStream.
+ */
+window.DeflateStage = class DeflateStage {
+    /**
+     * Checks whether the platform provides deflate streams
+     * @returns {boolean} - True if compression and decompression are available
+     */
+    static isSupported() {
+        return typeof window.CompressionStream === 'function' &&
+            typeof window.DecompressionStream === 'function';
+    }
+
+    /**
+     * Deflates a payload
+     * @param {Uint8Array|ArrayBuffer} data - Bytes to compress
+     * @returns {Promise<Uint8Array>} - Raw deflate stream
+     */
+    static async compress(data) {
+        if (!DeflateStage.isSupported()) {
+            throw new Error('Deflate compression is not supported in this browser');
+        }
+
+        const stream = new window.CompressionStream(window.CONFIG.DEFLATE.FORMAT);
+        return DeflateStage.pipe(data, stream, false);
+    }
+
+    /**
+     * Inflates a payload
+     * @param {Uint8Array|ArrayBuffer} data - Raw deflate stream
+     * @param {Object} [options] - Decompression options
+     * @param {boolean} [options.partial=false] - Return the bytes inflated so far
+     *   instead of failing when the stream is cut off (used for truncated links)
+     * @returns {Promise<Uint8Array>} - Inflated bytes
+     */
+    static async decompress(data, { partial = false } = {}) {
+        if (!DeflateStage.isSupported()) {
+            throw new Error('This link is deflate-compressed, but this browser cannot inflate it');
+        }
+
+        const stream = new window.DecompressionStream(window.CONFIG.DEFLATE.FORMAT);
+        return DeflateStage.pipe(data, stream, partial);
+    }
+
+    /**
+     * Deflates a payload when that makes it shorter
+     * @param {Uint8Array} bytes - Original payload
+     * @returns {Promise<Object>} - { bytes, deflated } where deflated tells whether the stage applied
+     */
+    static async tryCompress(bytes) {
+        // Legacy payloads have no header to carry the flag
+        if (!window.CONFIG.DEFLATE.ENABLED || window.CONFIG.CODEC_MODE === 'legacy' || !DeflateStage.isSupported()) {
+            return { bytes, deflated: false };
+        }
+
+        try {
+            const compressed = await DeflateStage.compress(bytes);
+            if (compressed.length < bytes.length) {
+                return { bytes: compressed, deflated: true };
+            }
+        } catch (error) {
+            console.warn('Deflate stage failed, keeping the original bytes:', error);
+        }
+        return { bytes, deflated: false };
+    }
+
+    /**
+     * Pushes bytes through a transform stream and collects the output
+     * @param {Uint8Array|ArrayBuffer} data - Input bytes
+     * @param {TransformStream} stream - Compression or decompression stream
+     * @param {boolean} partial - Keep the output read before a stream error
+     * @returns {Promise<Uint8Array>} - Concatenated output
+     */
+    static async pipe(data, stream, partial) {
+        const input = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+
+        // Errors surface on the reader; the writer side is only awaited to avoid unhandled rejections
+        writer.write(input).then(() => writer.close()).catch(() => {});
+
+        const chunks = [];
+        let total = 0;
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                total += value.length;
+            }
+        } catch (error) {
+            if (!partial) {
+                throw new Error(`Deflate stream is corrupted: ${error.message}`);
+            }
+        }
+
+        const output = new Uint8Array(total);
+        let offset = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+};
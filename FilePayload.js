@@ -0,0 +1,142 @@
+/**
+ * FilePayload.js
+ *
+ * Wrapper for small files that are not images, e.g. config snippets and log
+ * excerpts. It records the MIME type and file name in front of the file
+ * bytes; the result is deflated, encrypted and signed like an image, but
+ * never stripped, templated or recompressed. Payloads carrying a file have
+ * the FILE header flag.
+ *
+ * Layout:
+ *   [file version byte][type byte][MIME length byte and MIME bytes, type 0 only]
+ *   [name length byte][name bytes][file bytes]
+ * Type bytes index CONFIG.FILE.TYPES from 1; type 0 spells the MIME type out.
+ * Names are UTF-8 and never contain a directory.
+ */
+window.FilePayload = class FilePayload {
+    /**
+     * Writes a file payload
+     * @param {Object} file - { type, name, bytes }
+     * @returns {Uint8Array} - Payload bytes
+     */
+    static pack({ type, name, bytes }) {
+        const encodedName = new TextEncoder().encode(FilePayload.getBaseName(name));
+        if (encodedName.length > window.CONFIG.FILE.MAX_NAME_BYTES) {
+            throw new Error(`File name is ${encodedName.length} bytes; at most ${window.CONFIG.FILE.MAX_NAME_BYTES} fit in a link`);
+        }
+
+        const header = [window.CONFIG.FILE.VERSION, ...FilePayload.encodeType(type), encodedName.length, ...encodedName];
+        const output = new Uint8Array(header.length + bytes.length);
+        output.set(header);
+        output.set(bytes, header.length);
+        return output;
+    }
+
+    /**
+     * Reads a file payload
+     * @param {Uint8Array|ArrayBuffer} data - Payload bytes
+     * @returns {Object} - { type, name, bytes }; bytes is a view into data
+     */
+    static unpack(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const { VERSION, TYPES } = window.CONFIG.FILE;
+        if (bytes[0] !== VERSION) {
+            throw new Error(`This link uses file version ${bytes[0]}, but this viewer only supports version ${VERSION}`);
+        }
+
+        let position = 2;
+        let type = TYPES[bytes[1] - 1];
+        if (bytes[1] === 0) {
+            type = FilePayload.readText(bytes, position);
+            position += 1 + bytes[position];
+        } else if (!type) {
+            throw new Error(`File has unknown type ${bytes[1]}`);
+        }
+
+        const name = FilePayload.getBaseName(FilePayload.readText(bytes, position)) || 'file';
+        position += 1 + bytes[position];
+        return { type, name, bytes: bytes.subarray(position) };
+    }
+
+    /**
+     * Guesses the MIME type of a file the platform could not name
+     * PDFs are recognized by their signature and UTF-8 text by decoding it,
+     * with JSON and Markdown told apart by extension; everything else is
+     * treated as opaque bytes.
+     * @param {string} name - File name
+     * @param {Uint8Array} bytes - File bytes
+     * @returns {string} - MIME type
+     */
+    static guessType(name, bytes) {
+        if (String.fromCharCode(...bytes.subarray(0, 5)) === '%PDF-') {
+            return 'application/pdf';
+        }
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return 'application/octet-stream';
+        }
+        // Control characters other than tabs, line breaks and form feeds mean binary data
+        if (/[\u0000-\u0008\u000B\u000E-\u001F]/.test(text)) {
+            return 'application/octet-stream';
+        }
+        if (/\.json$/i.test(name)) {
+            return 'application/json';
+        }
+        return /\.(md|markdown)$/i.test(name) ? 'text/markdown' : 'text/plain';
+    }
+
+    /**
+     * Checks whether a file can be previewed as text
+     * @param {string} type - MIME type
+     * @returns {boolean} - True for text/*, JSON, XML and the CONFIG.FILE.TEXT_TYPES
+     */
+    static isText(type) {
+        return type.startsWith('text/') || /\+(json|xml)$/.test(type) || window.CONFIG.FILE.TEXT_TYPES.includes(type);
+    }
+
+    /**
+     * @param {string} type - MIME type
+     * @returns {boolean} - True for application/json and +json types
+     */
+    static isJson(type) {
+        return type === 'application/json' || type.endsWith('+json');
+    }
+
+    /**
+     * @param {string} name - File name, possibly with a directory
+     * @returns {string} - Last path component, without leading dots
+     */
+    static getBaseName(name) {
+        return String(name || '').split(/[\\/]/).pop().replace(/^\.+/, '');
+    }
+
+    /**
+     * @param {string} type - MIME type
+     * @returns {number[]} - Table index from 1, or 0 followed by the spelled-out type
+     */
+    static encodeType(type) {
+        const index = window.CONFIG.FILE.TYPES.indexOf(type);
+        if (index >= 0) {
+            return [index + 1];
+        }
+        const spelled = Array.from(new TextEncoder().encode(type));
+        if (spelled.length === 0 || spelled.length > 0xFF) {
+            throw new Error(`Cannot store MIME type '${type}' in a link`);
+        }
+        return [0, spelled.length, ...spelled];
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Payload bytes
+     * @param {number} position - Offset of a length byte followed by UTF-8 text
+     * @returns {string} - Decoded text
+     */
+    static readText(bytes, position) {
+        if (position >= bytes.length || position + 1 + bytes[position] > bytes.length) {
+            throw new Error('File ends inside its header');
+        }
+        return new TextDecoder().decode(bytes.subarray(position + 1, position + 1 + bytes[position]));
+    }
+};
@@ -2,32 +2,17 @@
  * GPU-Accelerated BitStream Decoder
  * File: GPUBitStreamDecoder.js
  *
- * Handles decoding of URL-safe strings back to binary data with GPU acceleration when available.
- * Includes automatic CPU fallback for compatibility across all devices.
+ * Adds WebGL acceleration for the legacy group format on top of BitStreamCodec,
+ * which holds all CPU decoding logic and is used whenever the GPU is unavailable.
  */
-window.GPUBitStreamDecoder = class GPUBitStreamDecoder {
+window.GPUBitStreamDecoder = class GPUBitStreamDecoder extends window.BitStreamCodec {
     /**
      * Creates a new decoder instance
      * @param {string} safeChars - Character set for decoding (must match the encoder)
+     * @param {string} [profileMarker=''] - Header marker of the alphabet profile
      */
-    constructor(safeChars) {
-        // Validation
-        if (!safeChars || typeof safeChars !== 'string' || safeChars.length === 0) {
-            throw new Error('Invalid safeChars parameter');
-        }
-
-        // Ensure no duplicate characters
-        const uniqueChars = new Set(safeChars);
-        if (uniqueChars.size !== safeChars.length) {
-            throw new Error('safeChars contains duplicate characters');
-        }
-
-        // Store configuration
-        this.SAFE_CHARS = safeChars;
-        this.RADIX = safeChars.length;
-        
-        // Initialize lookup tables
-        this.createLookupTables();
+    constructor(safeChars, profileMarker = '') {
+        super(safeChars, profileMarker);
         
         // Track whether GPU acceleration is available
         this.gpuAccelerationEnabled = false;
@@ -238,345 +223,24 @@ window.GPUBitStreamDecoder = class GPUBitStreamDecoder {
     }
 
     /**
-     * Creates lookup tables for fast encoding and decoding
-     */
-    createLookupTables() {
-        this.charToIndex = new Map();
-        this.indexToChar = new Map();
-        
-        for (let i = 0; i < this.SAFE_CHARS.length; i++) {
-            this.charToIndex.set(this.SAFE_CHARS[i], i);
-            this.indexToChar.set(i, this.SAFE_CHARS[i]);
-        }
-    }
-
-    /**
-     * Main decoding function that processes encoded data using GPU or CPU
-     * @param {string} encodedString - Encoded URL-safe string
-     * @returns {Promise<ArrayBuffer>} - Decoded binary data
-     */
-    async decodeBits(encodedString) {
-        if (!encodedString) {
-            throw new Error('No encoded data provided');
-        }
-
-        // Check for small data format (optimized encoding for small inputs)
-        if (encodedString.startsWith('~')) {
-            return this.decodeSmallData(encodedString);
-        }
-        
-        try {
-            // Extract metadata and verify integrity
-            const { originalLength, dataSection, expectedChecksum } = this.extractMetadata(encodedString);
-            
-            // Verify checksum
-            const actualChecksum = this.calculateChecksum(dataSection);
-            const checksumValid = (expectedChecksum === actualChecksum);
-            
-            if (!checksumValid) {
-                console.warn('Checksum verification failed, data may be corrupted');
-                // We continue with decoding despite checksum failure
-                // as partial data recovery is better than nothing
-            }
-            
-            // Choose implementation based on GPU availability and data size
-            const smallDataThreshold = window.CONFIG && window.CONFIG.GPU_USE_THRESHOLD || 5000;
-            if (originalLength < smallDataThreshold || !this.gpuAccelerationEnabled || 
-                (this.gl && this.gl.isContextLost())) {
-                return this.decodeWithCPU(dataSection, originalLength);
-            } else {
-                try {
-                    return await this.decodeWithGPU(dataSection, originalLength);
-                } catch (error) {
-                    console.warn(`GPU decoding failed: ${error.message}. Falling back to CPU.`);
-                    return this.decodeWithCPU(dataSection, originalLength);
-                }
-            }
-        } catch (error) {
-            // If anything goes wrong with metadata extraction or decoding,
-            // try the legacy format as a last resort
-            console.warn(`Standard decoding failed: ${error.message}. Trying legacy format.`);
-            try {
-                return this.decodeWithCPULegacy(encodedString);
-            } catch (legacyError) {
-                throw new Error(`Decoding failed: ${error.message}. Legacy fallback also failed: ${legacyError.message}`);
-            }
-        }
-    }
-
-    /**
-     * Decodes small data format (optimized encoding for small inputs)
-     * @param {string} encodedString - Encoded string starting with '~'
-     * @returns {ArrayBuffer} - Decoded binary data
-     */
-    decodeSmallData(encodedString) {
-        try {
-            // Strip the marker '~'
-            const dataStr = encodedString.substring(1);
-            
-            // Need at least 3 chars (1 for length, 1 for checksum, 1+ for data)
-            if (dataStr.length < 3) {
-                throw new Error('Invalid small data format: too short');
-            }
-            
-            // First try with explicit length detection by checking format
-            const smallThreshold = window.CONFIG.ENCODE_SMALL_THRESHOLD || 32;
-            let length = 0;
-            let lengthChars = 0;
-            let checksumIndex = 0;
-            
-            // Try single character length (most common for very small data)
-            if (this.RADIX > smallThreshold) {
-                // If RADIX is large enough, a single character can encode the entire length
-                length = this.charToIndex.get(dataStr[0]);
-                lengthChars = 1;
-                checksumIndex = 1;
-            } else {
-                // For smaller RADIX values, we need to check if we're using 1 or 2 characters
-                // First, try to decode with 1 character and see if it's plausible
-                const singleCharLength = this.charToIndex.get(dataStr[0]);
-                
-                // Check if single char length is plausible based on string length
-                const expectedLengthSingle = singleCharLength * 2 + 2; // 2 chars per byte + length char + checksum char
-                
-                if (singleCharLength < smallThreshold && Math.abs(dataStr.length - expectedLengthSingle) <= 2) {
-                    // Single char length is plausible
-                    length = singleCharLength;
-                    lengthChars = 1; 
-                    checksumIndex = 1;
-                } else {
-                    // Try 2 character length encoding
-                    const twoCharLength = this.charToIndex.get(dataStr[0]) * this.RADIX + 
-                                       this.charToIndex.get(dataStr[1]);
-                    
-                    // Check if two char length is plausible
-                    const expectedLengthDouble = twoCharLength * 2 + 3; // 2 chars per byte + 2 length chars + checksum char
-                    
-                    if (twoCharLength <= smallThreshold && Math.abs(dataStr.length - expectedLengthDouble) <= 4) {
-                        length = twoCharLength;
-                        lengthChars = 2;
-                        checksumIndex = 2;
-                    } else {
-                        throw new Error('Could not determine valid length encoding');
-                    }
-                }
-            }
-            
-            // Get checksum character
-            const checksumChar = dataStr[checksumIndex];
-            const expectedChecksum = this.charToIndex.get(checksumChar);
-            
-            // Extract data section
-            const dataSection = dataStr.substring(checksumIndex + 1);
-            
-            // Decode data
-            const result = new Uint8Array(length);
-            let byteIndex = 0;
-            
-            if (this.RADIX < 256) {
-                // Each byte takes 2 characters (for most common base64-like encodings)
-                for (let i = 0; i < dataSection.length && byteIndex < length; i += 2) {
-                    if (i + 1 < dataSection.length) {
-                        const low = this.charToIndex.get(dataSection[i]);
-                        const high = this.charToIndex.get(dataSection[i + 1]);
-                        result[byteIndex++] = low + high * this.RADIX;
-                    } else {
-                        // Handle odd number of characters (shouldn't happen in proper encoding)
-                        result[byteIndex++] = this.charToIndex.get(dataSection[i]);
-                    }
-                }
-            } else {
-                // Each character represents a full byte
-                for (let i = 0; i < dataSection.length && byteIndex < length; i++) {
-                    result[byteIndex++] = this.charToIndex.get(dataSection[i]);
-                }
-            }
-            
-            // Verify data length
-            if (byteIndex !== length) {
-                console.warn(`Decoded data length (${byteIndex}) doesn't match expected length (${length})`);
-            }
-            
-            // Calculate and verify checksum
-            let checksum = 0;
-            for (let i = 0; i < length; i++) {
-                checksum = (checksum + result[i]) % this.RADIX;
-            }
-            
-            if (checksum !== expectedChecksum) {
-                console.warn('Small data checksum verification failed, data may be corrupted');
-            }
-            
-            return result.buffer;
-        } catch (error) {
-            console.error('Small data decoding error:', error);
-            throw new Error(`Small data format decoding failed: ${error.message}`);
-        }
-    }
-
-    /**
-     * Extracts metadata from encoded string
-     * @param {string} encodedString - Encoded URL-safe string
-     * @returns {Object} - Extracted metadata, data section, and checksum
-     */
-    extractMetadata(encodedString) {
-        // Read metadata length indicator (first character)
-        const metadataLengthChar = encodedString[0];
-        if (!this.charToIndex.has(metadataLengthChar)) {
-            throw new Error(`Invalid metadata length character: '${metadataLengthChar}'`);
-        }
-        
-        const metadataLength = this.charToIndex.get(metadataLengthChar);
-        
-        // Check for valid metadata length
-        if (metadataLength <= 0 || metadataLength >= encodedString.length) {
-            throw new Error(`Invalid metadata length: ${metadataLength}`);
-        }
-        
-        // Extract metadata and data sections
-        const metadataStr = encodedString.slice(1, metadataLength + 1);
-        const dataSection = encodedString.slice(metadataLength + 1);
-        
-        // Parse checksum (last character of metadata)
-        const checksumChar = metadataStr[metadataStr.length - 1];
-        if (!this.charToIndex.has(checksumChar)) {
-            throw new Error(`Invalid checksum character: '${checksumChar}'`);
-        }
-        
-        const expectedChecksum = this.charToIndex.get(checksumChar);
-        
-        // Extract length information (all metadata except checksum)
-        const lengthStr = metadataStr.slice(0, -1);
-        
-        // Calculate original length from base-N encoding
-        let originalLength = 0;
-        
-        for (const char of lengthStr) {
-            if (!this.charToIndex.has(char)) {
-                throw new Error(`Invalid character in length encoding: '${char}'`);
-            }
-            originalLength = originalLength * this.RADIX + this.charToIndex.get(char);
-        }
-        
-        // Validate original length
-        if (originalLength <= 0) {
-            throw new Error(`Invalid original length: ${originalLength}`);
-        }
-        
-        return { originalLength, dataSection, expectedChecksum };
-    }
-
-    /**
-     * Calculate checksum of encoded data for validation
-     * @param {string} data - Encoded data string
-     * @returns {number} - Calculated checksum
-     */
-    calculateChecksum(data) {
-        let checksum = 0;
-        for (const char of data) {
-            if (!this.charToIndex.has(char)) {
-                throw new Error(`Invalid character in data: '${char}'`);
-            }
-            checksum = (checksum + this.charToIndex.get(char)) % this.RADIX;
-        }
-        return checksum;
-    }
-
-    /**
-     * CPU-based decoding implementation
-     * @param {string} encodedData - Encoded data string
+     * Decodes the data section of a legacy payload on the GPU when it is worthwhile
+     * @param {string} dataSection - Data digits after the legacy metadata
      * @param {number} originalLength - Original data length in bytes
-     * @returns {ArrayBuffer} - Decoded binary data
+     * @returns {Promise<ArrayBuffer>} - Decoded binary data
      */
-    decodeWithCPU(encodedData, originalLength) {
-        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
-        const CHARS_PER_GROUP = BYTE_SIZE;
-        
-        const result = new Uint8Array(originalLength);
-        let byteIndex = 0;
-        
-        // Process characters in groups
-        for (let i = 0; i < encodedData.length; i += CHARS_PER_GROUP) {
-            if (byteIndex >= originalLength) break;
-            
-            // Read up to CHARS_PER_GROUP characters (handle partial groups at the end)
-            const groupSize = Math.min(CHARS_PER_GROUP, encodedData.length - i);
-            
-            // Convert chars to values and calculate decimal value
-            let value = 0;
-            for (let j = 0; j < groupSize; j++) {
-                const charIndex = i + j;
-                if (charIndex < encodedData.length) {
-                    const char = encodedData[charIndex];
-                    if (!this.charToIndex.has(char)) {
-                        throw new Error(`Invalid character in data: '${char}'`);
-                    }
-                    const digitValue = this.charToIndex.get(char);
-                    value += digitValue * Math.pow(this.RADIX, j);
-                }
-            }
-            
-            // Extract bytes in little-endian order
-            const bytesToExtract = Math.min(BYTE_SIZE, originalLength - byteIndex);
-            for (let j = 0; j < bytesToExtract; j++) {
-                result[byteIndex++] = (value >> (j * 8)) & 0xFF;
-            }
+    async decodeLegacyData(dataSection, originalLength) {
+        // Choose implementation based on GPU availability and data size
+        const smallDataThreshold = window.CONFIG && window.CONFIG.GPU_USE_THRESHOLD || 5000;
+        if (originalLength < smallDataThreshold || !this.gpuAccelerationEnabled || 
+            (this.gl && this.gl.isContextLost())) {
+            return super.decodeLegacyData(dataSection, originalLength);
         }
-        
-        return result.buffer;
-    }
 
-    /**
-     * Legacy CPU decoder for backward compatibility
-     * @param {string} encodedData - Full encoded string
-     * @returns {ArrayBuffer} - Decoded binary data
-     */
-    decodeWithCPULegacy(encodedData) {
-        // Simple heuristic: try to estimate original length
-        const estimatedBytes = Math.floor(encodedData.length * 0.6); // Assume ~60% compression
-        
-        // Try decoding directly
-        const result = new Uint8Array(estimatedBytes);
-        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
-        let byteIndex = 0;
-        
         try {
-            // Process characters in groups
-            for (let i = 0; i < encodedData.length; i += BYTE_SIZE) {
-                if (byteIndex >= estimatedBytes) {
-                    // Expand buffer if needed
-                    const newBuffer = new Uint8Array(estimatedBytes * 1.5);
-                    newBuffer.set(result);
-                    result = newBuffer;
-                }
-                
-                // Read up to BYTE_SIZE characters
-                const groupSize = Math.min(BYTE_SIZE, encodedData.length - i);
-                
-                // Convert chars to values and calculate decimal value
-                let value = 0;
-                for (let j = 0; j < groupSize; j++) {
-                    const charIndex = i + j;
-                    if (charIndex < encodedData.length) {
-                        const char = encodedData[charIndex];
-                        if (!this.charToIndex.has(char)) {
-                            continue; // Skip invalid chars in legacy mode
-                        }
-                        const digitValue = this.charToIndex.get(char);
-                        value += digitValue * Math.pow(this.RADIX, j);
-                    }
-                }
-                
-                // Extract bytes in little-endian order
-                for (let j = 0; j < BYTE_SIZE && byteIndex < result.length; j++) {
-                    result[byteIndex++] = (value >> (j * 8)) & 0xFF;
-                }
-            }
-            
-            // Trim buffer to actual size
-            return result.slice(0, byteIndex).buffer;
+            return await this.decodeWithGPU(dataSection, originalLength);
         } catch (error) {
-            throw new Error(`Legacy decoding failed: ${error.message}`);
+            console.warn(`GPU decoding failed: ${error.message}. Falling back to CPU.`);
+            return super.decodeLegacyData(dataSection, originalLength);
         }
     }
 
@@ -2,36 +2,20 @@
  * GPU-Accelerated BitStream Encoder 
  * File: GPUBitStreamEncoder.js
  *
- * Handles encoding of binary data to URL-safe strings with GPU acceleration when available.
- * Includes automatic CPU fallback for compatibility across all devices.
+ * Adds WebGL acceleration for the legacy group format on top of BitStreamCodec,
+ * which holds all CPU encoding logic and is used whenever the GPU is unavailable.
  */
-window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
+window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl extends window.BitStreamCodec {
     /**
      * Creates a new encoder instance
      * @param {string} safeChars - Character set for encoding (must be URL-safe)
+     * @param {string} [profileMarker=''] - Header marker of the alphabet profile
      */
-    constructor(safeChars) {
-        // Phase 1: Initialization and Validation
-        // Validate character set to ensure URL-safe encoding is possible
-        if (!safeChars || typeof safeChars !== 'string' || safeChars.length === 0) {
-            throw new Error('Invalid safeChars parameter');
-        }
-
-        // Ensure no duplicate characters
-        const uniqueChars = new Set(safeChars);
-        if (uniqueChars.size !== safeChars.length) {
-            throw new Error('safeChars contains duplicate characters');
-        }
-
-        // Store configuration and set up processing environment
-        this.SAFE_CHARS = safeChars;
-        this.RADIX = safeChars.length;  // Base for conversion equals character set size
+    constructor(safeChars, profileMarker = '') {
+        super(safeChars, profileMarker);
         
         console.log(`Initializing encoder with ${this.RADIX} characters in safe set`);
         
-        // Initialize lookup tables early for CPU fallbacks
-        this.createLookupTables();
-        
         // Track whether GPU acceleration is available
         this.gpuAccelerationEnabled = false;
         
@@ -279,88 +263,20 @@ window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
     }
 
     /**
-     * Convert array buffer to bit array
-     * @param {ArrayBuffer|Uint8Array} buffer - Binary data to convert
-     * @returns {Uint8Array} - Array of bits
-     */
-    toBitArray(buffer) {
-        // Convert ArrayBuffer to Uint8Array if needed
-        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
-        
-        // Create a bit array from bytes
-        const bits = new Uint8Array(bytes.length * 8);
-        
-        for (let i = 0; i < bytes.length; i++) {
-            const byte = bytes[i];
-            // Process each bit in little-endian order (PTA_3)
-            for (let j = 0; j < 8; j++) {
-                bits[i * 8 + j] = (byte >> j) & 1;
-            }
-        }
-        
-        return bits;
-    }
-
-    /**
-     * Creates lookup tables for fast encoding
-     */
-    createLookupTables() {
-        // Create lookup tables for fast encoding/decoding
-        this.charToIndex = new Map();
-        this.indexToChar = new Map();
-        
-        for (let i = 0; i < this.SAFE_CHARS.length; i++) {
-            this.charToIndex.set(this.SAFE_CHARS[i], i);
-            this.indexToChar.set(i, this.SAFE_CHARS[i]);
-        }
-        
-        // Verify table creation
-        if (this.charToIndex.size !== this.SAFE_CHARS.length || 
-            this.indexToChar.size !== this.SAFE_CHARS.length) {
-            console.error('Failed to create complete lookup tables', {
-                safeCharsLength: this.SAFE_CHARS.length,
-                charToIndexSize: this.charToIndex.size,
-                indexToCharSize: this.indexToChar.size
-            });
-            throw new Error('Failed to initialize character mapping tables');
-        }
-    }
-
-    /**
-     * Main encoding function that processes binary data using GPU or CPU
-     * @param {ArrayBuffer|Uint8Array} data - Binary data to encode
-     * @returns {Promise<string>} - URL-safe encoded string
+     * Encodes a legacy payload on the GPU when it is available
+     * @param {Uint8Array} bytes - Binary data to encode
+     * @returns {Promise<string>} - Encoded URL-safe string
      */
-    async encodeBits(data) {
-        // Phase 3: Data Preparation
-        if (!data) {
-            throw new Error('Input data is required');
-        }
-        
-        // Uint8Array provides direct access to raw bytes without conversion overhead
-        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
-        
-        // Validate input size
-        if (bytes.length === 0) {
-            throw new Error('Input data cannot be empty');
-        }
-
-        // Small data optimization - if data is less than 32 bytes, use direct encoding
-        if (bytes.length <= 32) {
-            return this.encodeSmallData(bytes);
-        }
-
+    async encodeLegacyData(bytes) {
         // Choose implementation based on GPU availability
         if (this.gpuAccelerationEnabled && this.gl && !this.gl.isContextLost()) {
             try {
                 return await this.encodeWithGPU(bytes);
             } catch (error) {
                 console.warn(`GPU encoding failed: ${error.message}. Falling back to CPU implementation.`);
-                return this.encodeWithCPU(bytes);
             }
-        } else {
-            return this.encodeWithCPU(bytes);
         }
+        return super.encodeLegacyData(bytes);
     }
 
     /**
@@ -398,105 +314,6 @@ window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
         }
     }
 
-    /**
-     * CPU-based encoding implementation for fallback or small data
-     * @param {Uint8Array} bytes - Binary data to encode
-     * @returns {string} - Encoded URL-safe string
-     */
-    encodeWithCPU(bytes) {
-        // Optimization for small inputs - skip metadata for very small payloads
-        if (bytes.length <= window.CONFIG.ENCODE_SMALL_THRESHOLD) {
-            return this.encodeSmallData(bytes);
-        }
-
-        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
-        const processedData = new Uint32Array(Math.ceil(bytes.length / BYTE_SIZE) * BYTE_SIZE);
-        
-        // Process each byte group
-        for (let i = 0; i < bytes.length; i += BYTE_SIZE) {
-            // Read up to 4 bytes (padded with zeros if needed)
-            const byteValues = [
-                i < bytes.length ? bytes[i] : 0,
-                i + 1 < bytes.length ? bytes[i + 1] : 0,
-                i + 2 < bytes.length ? bytes[i + 2] : 0,
-                i + 3 < bytes.length ? bytes[i + 3] : 0
-            ];
-            
-            // Combine bytes into a 32-bit integer (little-endian)
-            const combined = byteValues[0] | 
-                           (byteValues[1] << 8) | 
-                           (byteValues[2] << 16) | 
-                           (byteValues[3] << 24);
-            
-            // Convert to base-N representation
-            let value = combined;
-            const resultIndex = Math.floor(i / BYTE_SIZE) * BYTE_SIZE;
-            for (let j = 0; j < BYTE_SIZE; j++) {
-                processedData[resultIndex + j] = value % this.RADIX;
-                value = Math.floor(value / this.RADIX);
-            }
-        }
-        
-        return this.convertToString(processedData, bytes.length);
-    }
-
-    /**
-     * Optimized encoding for small data (<= 32 bytes)
-     * Uses simpler format without complex metadata
-     * @param {Uint8Array} bytes - Small binary data to encode
-     * @returns {string} - Encoded string
-     */
-    encodeSmallData(bytes) {
-        let result = '';
-        // Use a simple marker to indicate small data format - single tilde character
-        result += '~';
-
-        // Encode length as one or two base-N characters
-        const lengthChars = this.encodeInteger(bytes.length);
-        result += lengthChars;
-        
-        // Calculate checksum for validation
-        let checksum = 0;
-        for (let i = 0; i < bytes.length; i++) {
-            checksum = (checksum + bytes[i]) % this.RADIX;
-        }
-        result += this.indexToChar.get(checksum);
-        
-        // Directly encode each byte
-        for (let i = 0; i < bytes.length; i++) {
-            const byte = bytes[i];
-            
-            // Encode each byte as 1-2 characters depending on RADIX
-            if (this.RADIX < 256) {
-                // Need 2 chars for each byte
-                const char1 = this.indexToChar.get(byte % this.RADIX);
-                const char2 = this.indexToChar.get(Math.floor(byte / this.RADIX) % this.RADIX);
-                result += char1 + char2;
-            } else {
-                // Single char can encode a full byte
-                result += this.indexToChar.get(byte);
-            }
-        }
-        
-        return result;
-    }
-
-    /**
-     * Encode an integer using the encoder's character set
-     * @param {number} value - Integer to encode
-     * @returns {string} - Encoded value
-     */
-    encodeInteger(value) {
-        if (value === 0) return this.indexToChar.get(0);
-        
-        let result = '';
-        while (value > 0) {
-            result = this.indexToChar.get(value % this.RADIX) + result;
-            value = Math.floor(value / this.RADIX);
-        }
-        return result;
-    }
-
     /**
      * Calculate dimensions for optimal texture usage
      * @param {number} dataLength - Length of data in bytes
@@ -571,12 +388,13 @@ window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
     }
 
     /**
-     * Calculate checksum for data validation
+     * Calculate the byte-sum checksum passed to the GPU shader
+     * Differs from BitStreamCodec.calculateChecksum, which sums encoded digits.
      * @param {Uint8Array} bytes - Data to checksum
      * @param {number} radix - Base for modulo operation
      * @returns {number} - Checksum value
      */
-    calculateChecksum(bytes, radix) {
+    calculateByteChecksum(bytes, radix) {
         // Use a running sum with periodic modulo to prevent overflow
         return bytes.reduce((sum, byte) => {
             // Apply modulo every step to maintain numerical stability
@@ -650,7 +468,7 @@ window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
             gl.uniform1ui(this.shaderProgram.locations.dataLength, bytes.length);
             
             // Calculate and set initial checksum
-            const checksum = this.calculateChecksum(bytes, this.RADIX);
+            const checksum = this.calculateByteChecksum(bytes, this.RADIX);
             gl.uniform1ui(this.shaderProgram.locations.checksum, checksum);
     
             // Execute GPU processing to draw and read back results
@@ -677,94 +495,6 @@ window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
         }
     }
 
-    /**
-     * Convert processed data to URL-safe string
-     * @param {Uint32Array} processedData - Processed data from GPU or CPU
-     * @param {number} originalLength - Original data length in bytes
-     * @returns {string} - URL-safe encoded string
-     */
-    convertToString(processedData, originalLength) {
-        let result = '';
-        let checksum = 0;
-        
-        // Ensure we know how many complete groups and remaining bytes
-        const BYTE_SIZE = window.CONFIG.BYTE_SIZE || 4;
-        const completeGroups = Math.floor(originalLength / BYTE_SIZE);
-        const remainingBytes = originalLength % BYTE_SIZE;
-        
-        // Process complete groups
-        for (let i = 0; i < completeGroups; i++) {
-            const baseIndex = i * BYTE_SIZE;
-            
-            // Add main digits to result
-            for (let j = 0; j < BYTE_SIZE; j++) {
-                const index = baseIndex + j;
-                // Only include the value if it's in range
-                if (index < processedData.length) {
-                    const value = processedData[index];
-                    
-                    // Ensure value is within valid range for RADIX
-                    const safeValue = value % this.RADIX;
-                    result += this.indexToChar.get(safeValue);
-                    checksum = (checksum + safeValue) % this.RADIX;
-                }
-            }
-        }
-
-        // Handle remaining bytes if any
-        if (remainingBytes > 0) {
-            const baseIndex = completeGroups * BYTE_SIZE;
-            for (let j = 0; j < remainingBytes; j++) {
-                const index = baseIndex + j;
-                // Only include the value if it's in range
-                if (index < processedData.length) {
-                    const value = processedData[index];
-                    
-                    // Ensure value is within valid range for RADIX
-                    const safeValue = value % this.RADIX;
-                    result += this.indexToChar.get(safeValue);
-                    checksum = (checksum + safeValue) % this.RADIX;
-                }
-            }
-        }
-        
-        // Append metadata
-        const metadata = this.encodeMetadata(originalLength, checksum);
-        
-        return metadata + result;
-    }
-
-    /**
-     * Encode metadata for decoding
-     * @param {number} length - Original data length
-     * @param {number} checksum - Calculated checksum
-     * @returns {string} - Encoded metadata
-     */
-    encodeMetadata(length, checksum) {
-        // Encode length and checksum in a format of fixed-width of base-N where N is the radix
-        const numDigits = Math.ceil(Math.log(length) / Math.log(this.RADIX));
-        let metadata = '';
-        
-        // Add length prefix
-        let remainingLength = length;
-        for (let i = 0; i < numDigits; i++) {
-            const digit = remainingLength % this.RADIX;
-            metadata = this.indexToChar.get(digit) + metadata;
-            remainingLength = Math.floor(remainingLength / this.RADIX);
-        }
-
-        // Pad with leading zeros if necessary
-        while (metadata.length < numDigits) {
-            metadata = this.indexToChar.get(0) + metadata;
-        }
-        
-        // Add checksum
-        metadata += this.indexToChar.get(checksum);
-        
-        // Add metadata length indicator
-        return this.indexToChar.get(metadata.length) + metadata;
-    }
-
     /**
      * Clean up GPU resources after processing
      * @param {WebGLTexture} inputTexture - Input texture
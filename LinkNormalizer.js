@@ -0,0 +1,141 @@
+/**
+ * LinkNormalizer.js
+ *
+ * Repairs payloads that were mangled between the sharer and the viewer. Chat
+ * and mail clients percent-escape characters, wrap long links over several
+ * lines, put quotes or angle brackets around them, and let the linkifier
+ * swallow trailing punctuation or a label.
+ *
+ * Repairs, in order:
+ *   whitespace - line-wrap whitespace and invisible characters, raw or escaped
+ *   wrapper    - quotes or brackets in front of the payload
+ *   percent    - %XX escapes of characters in the payload's alphabet; other
+ *                escapes are kept, so validation still rejects them
+ *   trailing   - characters past the length recorded in the header, or
+ *                characters outside the alphabet at the end of headerless payloads
+ *                and of FEC payloads whose recorded length fails correction
+ *
+ * Every repair that changed the payload is reported as { type, message }.
+ */
+
+(() => {
+    // Whitespace and invisible characters a client may insert when wrapping, raw or (doubly) escaped
+    const LINK_WHITESPACE = /(?:\s|[\u00AD\u200B-\u200D\u2060\uFEFF]|%(?:25)*(?:20|09|0A|0D|C2%A0|C2%AD|E2%80%8[BCD]|E2%81%A0|EF%BB%BF))+/gi;
+
+    // Quotes and brackets clients put around links; no payload starts with one
+    const LINK_LEADING_WRAPPER = /^(?:["'<([]|%(?:25)*(?:22|27|3C|28|5B))+/i;
+
+    // Escape of one character, possibly escaped again ('%257B'); '%' is in no alphabet
+    const LINK_PERCENT_ESCAPE = /%(?:25)*([0-9A-Fa-f]{2})/g;
+
+    window.LinkNormalizer = class LinkNormalizer {
+        /**
+         * Normalizes a payload taken from a link
+         * @param {string} raw - Payload as found in the URL path, query or fragment, still escaped
+         * @param {Function} getCodec - Receives the payload's alphabet profile and returns a
+         *   codec for it (anything with inspectPayload), used to read the encoded length
+         *   from the header
+         * @returns {Object} - { encoded, profile, codec, repairs } where repairs lists
+         *   { type, message } for every change made
+         */
+        static normalize(raw, getCodec) {
+            const repairs = [];
+            let text = String(raw);
+
+            const compact = text.replace(LINK_WHITESPACE, '');
+            if (compact !== text) {
+                repairs.push({ type: 'whitespace', message: 'Removed line breaks and spaces' });
+                text = compact;
+            }
+
+            const wrapper = LINK_LEADING_WRAPPER.exec(text);
+            if (wrapper) {
+                repairs.push({ type: 'wrapper', message: `Removed ${this.describe(wrapper[0])} before the payload` });
+                text = text.slice(wrapper[0].length);
+            }
+
+            // The magic and marker digit are never escaped, so the profile is known before unescaping
+            const { profile, encoded } = window.AlphabetProfiles.resolve(text);
+            text = encoded;
+
+            let unescaped = 0;
+            text = text.replace(LINK_PERCENT_ESCAPE, (escape, hex) => {
+                const char = String.fromCharCode(parseInt(hex, 16));
+                const normalized = profile.caseInsensitive ? char.toLowerCase() : char;
+                if (!profile.chars.includes(normalized)) {
+                    return escape;
+                }
+                unescaped++;
+                return normalized;
+            });
+            if (unescaped > 0) {
+                repairs.push({ type: 'percent', message: `Unescaped ${unescaped} percent-encoded character${unescaped === 1 ? '' : 's'}` });
+            }
+
+            const codec = getCodec(profile);
+            const trimmed = this.trimTrailing(text, profile, codec);
+            if (trimmed.length < text.length) {
+                const junk = text.slice(trimmed.length);
+                repairs.push({ type: 'trailing', message: `Removed ${this.describe(junk)} after the payload` });
+                text = trimmed;
+            }
+
+            return { encoded: text, profile, codec, repairs };
+        }
+
+        /**
+         * Cuts characters a linkifier or label appended to the payload
+         * Header payloads record their exact length. A damaged length digit in an
+         * FEC payload could cut real characters, so those are only cut to the
+         * recorded length once error correction accepts the result. Headerless
+         * payloads, and FEC payloads correction does not accept, only lose
+         * trailing characters outside the alphabet and escapes of such characters.
+         * @param {string} text - Unescaped payload
+         * @param {Object} profile - Alphabet profile of the payload
+         * @param {Object} codec - Codec for the profile (anything with inspectPayload)
+         * @returns {string} - Payload without trailing junk
+         */
+        static trimTrailing(text, profile, codec) {
+            // Legacy layouts are guessed from the data, so only headers are trusted here
+            const layout = codec.inspectPayload(text);
+            if (layout && layout.format !== 'legacy') {
+                // Without a successful correction, the length of an FEC payload may itself be damaged
+                const trusted = !(layout.flags & window.CONFIG.HEADER.FLAGS.FEC) || layout.corrected;
+                if (layout.receivedLength > layout.expectedLength) {
+                    const trimmed = text.slice(0, layout.expectedLength);
+                    if (trusted || codec.inspectPayload(trimmed).corrected) {
+                        return trimmed;
+                    }
+                } else if (trusted) {
+                    return text;
+                }
+            }
+
+            // Escapes left after unescaping stand for characters outside the alphabet
+            let end = text.length;
+            while (end > 0) {
+                if (/%[0-9A-Fa-f]{2}$/.test(text.slice(0, end))) {
+                    end -= 3;
+                } else if (!profile.chars.includes(text[end - 1])) {
+                    end--;
+                } else {
+                    break;
+                }
+            }
+            return text.slice(0, end);
+        }
+
+        /**
+         * Quotes removed text for a repair message, shortening long runs
+         * @param {string} text - Removed characters
+         * @returns {string} - Description such as "'>'" or "12 characters ('|Open ima...')"
+         */
+        static describe(text) {
+            if (text.length <= 3) {
+                return `'${text}'`;
+            }
+            const preview = text.length > 12 ? `${text.slice(0, 12)}...` : text;
+            return `${text.length} characters ('${preview}')`;
+        }
+    };
+})();
@@ -0,0 +1,453 @@
+/**
+ * MarkdownRenderer.js
+ *
+ * Safe Markdown rendering for shared text snippets. The renderer builds DOM
+ * nodes directly and only ever sets text through text nodes, so HTML in the
+ * source is shown as typed and nothing in a link can run script.
+ *
+ * Supported: ATX headings, paragraphs with hard breaks, fenced code blocks,
+ * block quotes, ordered and unordered (nested) lists, thematic breaks,
+ * inline code, strong, emphasis, strikethrough, links and <autolinks>.
+ * Images become links so viewing a snippet never loads a remote resource.
+ * Links are kept only for http, https and mailto targets.
+ */
+window.MarkdownRenderer = class MarkdownRenderer {
+    /**
+     * Renders Markdown into a detached element
+     * @param {string} text - Markdown source
+     * @returns {HTMLElement} - Element holding the rendered blocks
+     */
+    static render(text) {
+        const root = document.createElement('div');
+        MarkdownRenderer.renderBlocks(text.replace(/\r\n?/g, '\n').split('\n'), root);
+        return root;
+    }
+
+    /**
+     * Renders block-level Markdown
+     * @param {string[]} lines - Source lines
+     * @param {HTMLElement} parent - Element to append blocks to
+     */
+    static renderBlocks(lines, parent) {
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/.exec(line);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // Closing fence; an unclosed block runs to the end
+                const pre = MarkdownRenderer.createElement('pre');
+                const codeElement = document.createElement('code');
+                codeElement.textContent = code.join('\n');
+                if (fence[2]) {
+                    codeElement.dataset.language = fence[2];
+                }
+                pre.appendChild(codeElement);
+                parent.appendChild(pre);
+                continue;
+            }
+
+            const heading = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/.exec(line);
+            if (heading) {
+                const element = MarkdownRenderer.createElement(`h${heading[1].length}`);
+                MarkdownRenderer.renderInline(heading[2] || '', element);
+                parent.appendChild(element);
+                i++;
+                continue;
+            }
+
+            if (MarkdownRenderer.isThematicBreak(line)) {
+                parent.appendChild(MarkdownRenderer.createElement('hr'));
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    i++;
+                }
+                const blockquote = MarkdownRenderer.createElement('blockquote');
+                MarkdownRenderer.renderBlocks(quoted, blockquote);
+                parent.appendChild(blockquote);
+                continue;
+            }
+
+            if (MarkdownRenderer.readListMarker(line)) {
+                i = MarkdownRenderer.renderList(lines, i, parent);
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !MarkdownRenderer.startsBlock(lines[i]))) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            const element = MarkdownRenderer.createElement('p');
+            MarkdownRenderer.renderInline(paragraph.join('\n').trim(), element);
+            parent.appendChild(element);
+        }
+    }
+
+    /**
+     * Renders a list and the items that belong to it
+     * Item lines after the first are dedented by the marker width, so nested
+     * lists and code blocks render through renderBlocks.
+     * @param {string[]} lines - Source lines
+     * @param {number} start - Index of the first item line
+     * @param {HTMLElement} parent - Element to append the list to
+     * @returns {number} - Index of the first line after the list
+     */
+    static renderList(lines, start, parent) {
+        const first = MarkdownRenderer.readListMarker(lines[start]);
+        const list = MarkdownRenderer.createElement(first.ordered ? 'ol' : 'ul');
+        if (first.ordered && first.number !== 1) {
+            list.start = first.number;
+        }
+
+        let i = start;
+        let loose = false;
+        const items = [];
+        while (i < lines.length) {
+            const marker = MarkdownRenderer.readListMarker(lines[i]);
+            if (!marker || marker.ordered !== first.ordered) break;
+
+            const content = [lines[i].slice(marker.width)];
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                const indent = line.length - line.trimStart().length;
+                if (line.trim() && indent < marker.width && (MarkdownRenderer.startsBlock(line) || !content[content.length - 1].trim())) {
+                    break;
+                }
+                content.push(indent >= marker.width ? line.slice(marker.width) : line.trimStart());
+                i++;
+            }
+
+            // Blank lines between items make every item a paragraph
+            const next = i < lines.length ? MarkdownRenderer.readListMarker(lines[i]) : null;
+            while (content.length > 1 && !content[content.length - 1].trim()) {
+                content.pop();
+                loose = loose || Boolean(next && next.ordered === first.ordered);
+            }
+            items.push(content);
+        }
+
+        for (const content of items) {
+            const item = document.createElement('li');
+            MarkdownRenderer.renderBlocks(content, item);
+            if (!loose && item.firstChild && item.firstChild.tagName === 'P') {
+                item.firstChild.replaceWith(...item.firstChild.childNodes);
+            }
+            list.appendChild(item);
+        }
+        parent.appendChild(list);
+        return i;
+    }
+
+    /**
+     * @param {string} line - Source line
+     * @returns {Object|null} - { ordered, number, width } where width is the indentation of the item content
+     */
+    static readListMarker(line) {
+        const match = /^( {0,3})([-*+]|(\d{1,9})[.)])( +|$)/.exec(line);
+        if (!match || MarkdownRenderer.isThematicBreak(line)) {
+            return null;
+        }
+        return {
+            ordered: match[3] !== undefined,
+            number: match[3] !== undefined ? parseInt(match[3], 10) : null,
+            width: match[0].length
+        };
+    }
+
+    /**
+     * @param {string} line - Source line
+     * @returns {boolean} - True for ---, *** and ___ lines
+     */
+    static isThematicBreak(line) {
+        return /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line);
+    }
+
+    /**
+     * Checks whether a line interrupts a paragraph
+     * @param {string} line - Source line
+     * @returns {boolean} - True if the line opens another block
+     */
+    static startsBlock(line) {
+        return /^ {0,3}(#{1,6}(\s|$)|`{3,}|~{3,}|>)/.test(line) ||
+            MarkdownRenderer.isThematicBreak(line) ||
+            Boolean(MarkdownRenderer.readListMarker(line));
+    }
+
+    /**
+     * Renders inline Markdown
+     * @param {string} text - Source text of one block
+     * @param {HTMLElement} parent - Element to append text and inline elements to
+     */
+    static renderInline(text, parent) {
+        let buffer = '';
+        const flush = () => {
+            if (buffer) {
+                parent.append(buffer);
+                buffer = '';
+            }
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\' && text[i + 1] === '\n') {
+                flush();
+                parent.appendChild(document.createElement('br'));
+                i += 2;
+                continue;
+            }
+            if (char === '\\' && /[!-/:-@[-`{-~]/.test(text[i + 1] || '')) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (char === '\n') {
+                // Two trailing spaces make a hard break; otherwise the line break is a space
+                if (buffer.endsWith('  ')) {
+                    buffer = buffer.trimEnd();
+                    flush();
+                    parent.appendChild(document.createElement('br'));
+                } else {
+                    buffer += '\n';
+                }
+                i++;
+                continue;
+            }
+
+            if (char === '`') {
+                const run = /^`+/.exec(text.slice(i))[0];
+                const close = MarkdownRenderer.findCodeSpanEnd(text, i + run.length, run.length);
+                if (close >= 0) {
+                    flush();
+                    let content = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                    if (/^ .*[^ ].* $/.test(content)) {
+                        content = content.slice(1, -1);
+                    }
+                    const code = MarkdownRenderer.createElement('code');
+                    code.textContent = content;
+                    parent.appendChild(code);
+                    i = close + run.length;
+                } else {
+                    buffer += run;
+                    i += run.length;
+                }
+                continue;
+            }
+
+            if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+                const link = MarkdownRenderer.readLink(text, char === '!' ? i + 1 : i);
+                if (link) {
+                    flush();
+                    const element = MarkdownRenderer.createLink(link.url);
+                    if (char === '!') {
+                        // Images are linked rather than loaded
+                        element.textContent = link.label || link.url;
+                    } else {
+                        MarkdownRenderer.renderInline(link.label, element);
+                    }
+                    parent.appendChild(element);
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            if (char === '<') {
+                const autolink = /^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i.exec(text.slice(i));
+                if (autolink) {
+                    flush();
+                    const element = MarkdownRenderer.createLink(autolink[1]);
+                    element.textContent = autolink[1];
+                    parent.appendChild(element);
+                    i += autolink[0].length;
+                    continue;
+                }
+            }
+
+            if (char === '*' || char === '_' || char === '~') {
+                const span = MarkdownRenderer.readEmphasis(text, i);
+                if (span) {
+                    flush();
+                    const element = MarkdownRenderer.createElement(span.tag);
+                    MarkdownRenderer.renderInline(span.content, element);
+                    parent.appendChild(element);
+                    i = span.end;
+                    continue;
+                }
+                // A run that opens nothing is literal text
+                const run = new RegExp(`^\\${char}+`).exec(text.slice(i))[0];
+                buffer += run;
+                i += run.length;
+                continue;
+            }
+
+            buffer += char;
+            i++;
+        }
+        flush();
+    }
+
+    /**
+     * @param {string} text - Source text
+     * @param {number} from - Index after the opening backticks
+     * @param {number} length - Number of opening backticks
+     * @returns {number} - Index of the closing run of the same length, or -1
+     */
+    static findCodeSpanEnd(text, from, length) {
+        const pattern = new RegExp(`(?<!\`)\`{${length}}(?!\`)`, 'g');
+        pattern.lastIndex = from;
+        const match = pattern.exec(text);
+        return match ? match.index : -1;
+    }
+
+    /**
+     * Reads [label](url "title") starting at an opening bracket
+     * @param {string} text - Source text
+     * @param {number} start - Index of '['
+     * @returns {Object|null} - { label, url, end }, or null if this is no link
+     */
+    static readLink(text, start) {
+        let depth = 0;
+        let close = -1;
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '[') {
+                depth++;
+            } else if (text[i] === ']' && --depth === 0) {
+                close = i;
+                break;
+            }
+        }
+        if (close < 0 || text[close + 1] !== '(') {
+            return null;
+        }
+
+        const target = /^\(\s*(<[^<>\n]*>|[^\s()]*)(?:\s+(?:"[^"]*"|'[^']*'))?\s*\)/.exec(text.slice(close + 1));
+        if (!target) {
+            return null;
+        }
+        return {
+            label: text.slice(start + 1, close),
+            url: target[1].replace(/^<|>$/g, ''),
+            end: close + 1 + target[0].length
+        };
+    }
+
+    /**
+     * Reads strong (**, __), emphasis (*, _) or strikethrough (~~) starting at a delimiter
+     * Delimiters must hug their content, and underscores do not work inside words.
+     * @param {string} text - Source text
+     * @param {number} start - Index of the first delimiter character
+     * @returns {Object|null} - { tag, content, end }, or null if nothing closes
+     */
+    static readEmphasis(text, start) {
+        const char = text[start];
+        if (char === '_' && /[\p{L}\p{N}]/u.test(text[start - 1] || '')) {
+            return null;
+        }
+
+        const candidates = char === '~' ?
+            [{ delimiter: '~~', tag: 'del' }] :
+            [{ delimiter: char.repeat(2), tag: 'strong' }, { delimiter: char, tag: 'em' }];
+        for (const { delimiter, tag } of candidates) {
+            const from = start + delimiter.length;
+            if (text.slice(start, from) !== delimiter || !text[from] || /\s/.test(text[from])) {
+                continue;
+            }
+
+            let close = text.indexOf(delimiter, from + 1);
+            while (close >= 0) {
+                const valid = !/\s/.test(text[close - 1]) &&
+                    text[close + delimiter.length] !== char &&
+                    !(char === '_' && /[\p{L}\p{N}]/u.test(text[close + delimiter.length] || ''));
+                if (valid) {
+                    return { tag, content: text.slice(from, close), end: close + delimiter.length };
+                }
+                close = text.indexOf(delimiter, close + 1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Creates a link that opens outside the viewer, or a plain span for unsafe targets
+     * @param {string} url - Link target from the source
+     * @returns {HTMLElement} - Anchor or span
+     */
+    static createLink(url) {
+        let parsed = null;
+        try {
+            parsed = new URL(url, window.location.href);
+        } catch (error) {
+            // Malformed targets are dropped below
+        }
+        if (!parsed || !['http:', 'https:', 'mailto:'].includes(parsed.protocol)) {
+            return document.createElement('span');
+        }
+
+        const link = MarkdownRenderer.createElement('a');
+        link.href = parsed.href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer nofollow';
+        return link;
+    }
+
+    /**
+     * Creates an element with the renderer's inline style for its tag
+     * @param {string} tag - Tag name
+     * @returns {HTMLElement} - New element
+     */
+    static createElement(tag) {
+        const element = document.createElement(tag);
+        const styles = {
+            pre: `
+                padding: 12px;
+                background: #f6f8fa;
+                border-radius: 6px;
+                overflow: auto;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 13px;
+            `,
+            code: `
+                padding: 1px 4px;
+                background: #f0f0f0;
+                border-radius: 3px;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 0.9em;
+            `,
+            blockquote: `
+                margin: 0 0 1em;
+                padding: 0 1em;
+                color: #555;
+                border-left: 4px solid #ddd;
+            `,
+            a: `
+                color: #1565c0;
+            `
+        };
+        if (styles[tag]) {
+            element.style.cssText = styles[tag];
+        }
+        return element;
+    }
+};
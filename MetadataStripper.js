@@ -0,0 +1,451 @@
+/**
+ * MetadataStripper.js
+ *
+ * Lossless stage that removes metadata from JPEG, PNG and WebP files before
+ * the fit check, so more originals are shared untouched instead of being
+ * recompressed. Pixel data, tables and chunks that affect rendering are kept
+ * byte for byte; EXIF, XMP, comments, embedded thumbnails, trailing data and,
+ * unless CONFIG.METADATA.KEEP_ICC is set, ICC profiles are dropped.
+ *
+ * A JPEG's EXIF orientation is kept as a 1-byte hint in front of the image
+ * (ORIENTATION header flag); the viewer puts a minimal EXIF segment back so
+ * the browser rotates the image and downloads keep the orientation. Without
+ * the hint (CONFIG.METADATA.ORIENTATION_HINT, legacy payloads) that segment
+ * is written into the stripped file instead. PNG and WebP files keep an EXIF
+ * chunk that carries a non-default orientation.
+ *
+ * Files that do not parse cleanly are returned unchanged.
+ */
+
+(() => {
+    // JPEG APPn and COM segments that only carry metadata. APP0 (JFIF) and APP14
+    // (Adobe, selects the color transform) are kept; APP2 holds ICC profiles.
+    const JPEG_METADATA_MARKERS = new Set([
+        0xE1, 0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xEB, 0xEC, 0xED, 0xEF, 0xFE
+    ]);
+
+    // PNG ancillary chunks that do not change how the image renders
+    const PNG_METADATA_CHUNKS = new Set(['tEXt', 'zTXt', 'iTXt', 'tIME', 'eXIf', 'pHYs', 'iCCP', 'sPLT', 'hIST', 'dSIG']);
+
+    // WebP chunks with metadata, and their bit in the VP8X feature flags
+    const WEBP_METADATA_CHUNKS = { 'ICCP': 0x20, 'EXIF': 0x08, 'XMP ': 0x04 };
+
+    // EXIF orientation tag (TIFF 6.0 / EXIF 2.3) and its default value
+    const EXIF_ORIENTATION_TAG = 0x0112;
+    const EXIF_ORIENTATION_DEFAULT = 1;
+
+    window.MetadataStripper = class MetadataStripper {
+        /**
+         * Removes metadata from an image file when that makes it shorter
+         * @param {Uint8Array} bytes - Original image file
+         * @returns {Object} - { bytes, oriented, removed } where oriented tells that bytes starts
+         *   with an orientation hint, and removed lists { name, length } for every dropped part
+         */
+        static strip(bytes) {
+            const unchanged = { bytes, oriented: false, removed: [] };
+            if (!window.CONFIG.METADATA.STRIP) {
+                return unchanged;
+            }
+
+            try {
+                const result = this.isJpeg(bytes) ? this.stripJpeg(bytes) :
+                    this.isPng(bytes) ? this.stripPng(bytes) :
+                    this.isWebp(bytes) ? this.stripWebp(bytes) :
+                    null;
+                if (!result || result.removed.length === 0 || result.bytes.length >= bytes.length) {
+                    return unchanged;
+                }
+                return result;
+            } catch (error) {
+                console.warn('Metadata stripping failed, keeping the original file:', error);
+                return unchanged;
+            }
+        }
+
+        /**
+         * Undoes the orientation hint of a stripped file
+         * @param {Uint8Array|ArrayBuffer} data - Orientation byte followed by the image
+         * @returns {Object} - { bytes, orientation } where bytes is a new array holding the image,
+         *   with a minimal EXIF segment put back into JPEGs
+         */
+        static restore(data) {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            if (bytes.length === 0) {
+                return { bytes, orientation: EXIF_ORIENTATION_DEFAULT };
+            }
+
+            const orientation = bytes[0];
+            const image = bytes.subarray(1);
+            if (!this.isJpeg(image) || orientation === EXIF_ORIENTATION_DEFAULT) {
+                return { bytes: image.slice(), orientation };
+            }
+
+            // EXIF must follow the JFIF segment when there is one
+            let insertAt = 2;
+            if (image[2] === 0xFF && image[3] === 0xE0 && image.length >= 6) {
+                insertAt = 4 + ((image[4] << 8) | image[5]);
+            }
+            const segment = this.buildOrientationSegment(orientation);
+            const restored = new Uint8Array(image.length + segment.length);
+            restored.set(image.subarray(0, insertAt));
+            restored.set(segment, insertAt);
+            restored.set(image.subarray(insertAt), insertAt + segment.length);
+            return { bytes: restored, orientation };
+        }
+
+        /**
+         * Builds the smallest APP1 segment that records an orientation
+         * @param {number} orientation - EXIF orientation 1 - 8
+         * @returns {Uint8Array} - Marker, length, 'Exif' header and a big-endian TIFF IFD with one entry
+         */
+        static buildOrientationSegment(orientation) {
+            return new Uint8Array([
+                0xFF, 0xE1, 0x00, 0x22,
+                0x45, 0x78, 0x69, 0x66, 0x00, 0x00,             // 'Exif'
+                0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // 'MM', 42, IFD0 at 8
+                0x00, 0x01,                                     // One entry
+                EXIF_ORIENTATION_TAG >> 8, EXIF_ORIENTATION_TAG & 0xFF,
+                0x00, 0x03, 0x00, 0x00, 0x00, 0x01,             // SHORT, count 1
+                0x00, orientation, 0x00, 0x00,
+                0x00, 0x00, 0x00, 0x00                          // No next IFD
+            ]);
+        }
+
+        /**
+         * Removes metadata segments and trailing data from a JPEG
+         * @param {Uint8Array} bytes - JPEG file
+         * @returns {Object|null} - Strip result, or null if the file does not parse
+         */
+        static stripJpeg(bytes) {
+            const kept = [bytes.subarray(0, 2)];
+            const removed = [];
+            let orientation = EXIF_ORIENTATION_DEFAULT;
+            let position = 2;
+
+            for (;;) {
+                if (position + 4 > bytes.length || bytes[position] !== 0xFF) {
+                    return null;
+                }
+                const marker = bytes[position + 1];
+                const end = position + 2 + ((bytes[position + 2] << 8) | bytes[position + 3]);
+                if (end > bytes.length) {
+                    return null;
+                }
+
+                if (marker === 0xDA) {
+                    // Scans and any tables between them run to EOI; whatever follows is not part of the image
+                    const imageEnd = this.findJpegEnd(bytes, end);
+                    if (imageEnd === null) {
+                        return null;
+                    }
+                    kept.push(bytes.subarray(position, imageEnd));
+                    if (imageEnd < bytes.length) {
+                        removed.push({ name: 'trailing data', length: bytes.length - imageEnd });
+                    }
+                    break;
+                }
+
+                const segment = bytes.subarray(position, end);
+                if (marker === 0xE1) {
+                    orientation = this.readExifOrientation(segment.subarray(4)) || orientation;
+                }
+                if (this.isJpegMetadata(marker, segment)) {
+                    removed.push({ name: this.describeJpegSegment(marker, segment), length: segment.length });
+                } else {
+                    kept.push(segment);
+                }
+                position = end;
+            }
+
+            const oriented = orientation !== EXIF_ORIENTATION_DEFAULT && this.canHintOrientation();
+            if (orientation !== EXIF_ORIENTATION_DEFAULT && !oriented) {
+                // Without a hint the orientation survives as the smallest EXIF segment that holds it
+                const afterJfif = kept.length > 1 && kept[1][1] === 0xE0 ? 2 : 1;
+                kept.splice(afterJfif, 0, this.buildOrientationSegment(orientation));
+            }
+            if (oriented) {
+                kept.unshift(new Uint8Array([orientation]));
+            }
+            return { bytes: this.concat(kept), oriented, removed };
+        }
+
+        /**
+         * Finds the end of a JPEG's EOI marker, skipping entropy-coded data and segments between scans
+         * @param {Uint8Array} bytes - JPEG file
+         * @param {number} position - Offset of the first entropy-coded byte
+         * @returns {number|null} - Offset just past EOI, or null if there is none
+         */
+        static findJpegEnd(bytes, position) {
+            while (position + 1 < bytes.length) {
+                if (bytes[position] !== 0xFF) {
+                    position++;
+                    continue;
+                }
+                const marker = bytes[position + 1];
+                // Stuffed zero bytes, restart markers and fill bytes belong to the scan
+                if (marker === 0x00 || marker === 0xFF || (marker >= 0xD0 && marker <= 0xD7)) {
+                    position += marker === 0xFF ? 1 : 2;
+                    continue;
+                }
+                if (marker === 0xD9) {
+                    return position + 2;
+                }
+                if (position + 4 > bytes.length) {
+                    return null;
+                }
+                position += 2 + ((bytes[position + 2] << 8) | bytes[position + 3]);
+            }
+            return null;
+        }
+
+        /**
+         * Decides whether a JPEG segment only carries metadata
+         * @param {number} marker - Segment marker
+         * @param {Uint8Array} segment - Whole segment
+         * @returns {boolean} - True if the segment can be dropped
+         */
+        static isJpegMetadata(marker, segment) {
+            if (!JPEG_METADATA_MARKERS.has(marker)) {
+                return false;
+            }
+            return !(marker === 0xE2 && window.CONFIG.METADATA.KEEP_ICC && this.hasPrefix(segment, 4, 'ICC_PROFILE'));
+        }
+
+        /**
+         * Names a JPEG metadata segment for the status report
+         * @param {number} marker - Segment marker
+         * @param {Uint8Array} segment - Whole segment
+         * @returns {string} - Name such as 'EXIF' or 'APP13'
+         */
+        static describeJpegSegment(marker, segment) {
+            if (marker === 0xFE) return 'comment';
+            if (marker === 0xE1 && this.hasPrefix(segment, 4, 'Exif')) return 'EXIF';
+            if (marker === 0xE1 && this.hasPrefix(segment, 4, 'http://ns.adobe.com/')) return 'XMP';
+            if (marker === 0xE2 && this.hasPrefix(segment, 4, 'ICC_PROFILE')) return 'ICC profile';
+            return `APP${marker - 0xE0}`;
+        }
+
+        /**
+         * Removes metadata chunks and trailing data from a PNG
+         * @param {Uint8Array} bytes - PNG file
+         * @returns {Object|null} - Strip result, or null if the file does not parse
+         */
+        static stripPng(bytes) {
+            const kept = [bytes.subarray(0, 8)];
+            const removed = [];
+            let position = 8;
+
+            for (;;) {
+                if (position + 12 > bytes.length) {
+                    return null;
+                }
+                const length = this.readUint32(bytes, position, false);
+                const type = this.readFourCC(bytes, position + 4);
+                const end = position + 12 + length;
+                if (end > bytes.length) {
+                    return null;
+                }
+
+                const chunk = bytes.subarray(position, end);
+                const keepIcc = type === 'iCCP' && window.CONFIG.METADATA.KEEP_ICC;
+                const keepExif = type === 'eXIf' &&
+                    this.readExifOrientation(chunk.subarray(8, 8 + length), false) > EXIF_ORIENTATION_DEFAULT;
+                if (PNG_METADATA_CHUNKS.has(type) && !keepIcc && !keepExif) {
+                    removed.push({ name: `${type} chunk`, length: chunk.length });
+                } else {
+                    kept.push(chunk);
+                }
+                position = end;
+
+                if (type === 'IEND') {
+                    if (position < bytes.length) {
+                        removed.push({ name: 'trailing data', length: bytes.length - position });
+                    }
+                    break;
+                }
+            }
+            return { bytes: this.concat(kept), oriented: false, removed };
+        }
+
+        /**
+         * Removes metadata chunks from an extended (VP8X) WebP and clears their feature flags
+         * @param {Uint8Array} bytes - WebP file
+         * @returns {Object|null} - Strip result, or null if the file does not parse or has no metadata
+         */
+        static stripWebp(bytes) {
+            if (this.readFourCC(bytes, 12) !== 'VP8X') {
+                return null;
+            }
+
+            const riffEnd = Math.min(bytes.length, 8 + this.readUint32(bytes, 4, true));
+            const kept = [];
+            const removed = [];
+            let clearedFlags = 0;
+            let position = 12;
+
+            while (position + 8 <= riffEnd) {
+                const type = this.readFourCC(bytes, position);
+                const length = this.readUint32(bytes, position + 4, true);
+                const end = position + 8 + length + (length % 2);
+                if (end > riffEnd) {
+                    return null;
+                }
+
+                const chunk = bytes.subarray(position, end);
+                const keepIcc = type === 'ICCP' && window.CONFIG.METADATA.KEEP_ICC;
+                const keepExif = type === 'EXIF' &&
+                    this.readExifOrientation(chunk.subarray(8, 8 + length), false) > EXIF_ORIENTATION_DEFAULT;
+                if (type in WEBP_METADATA_CHUNKS && !keepIcc && !keepExif) {
+                    removed.push({ name: `${type.trim()} chunk`, length: chunk.length });
+                    clearedFlags |= WEBP_METADATA_CHUNKS[type];
+                } else {
+                    kept.push(chunk);
+                }
+                position = end;
+            }
+            if (bytes.length > riffEnd) {
+                removed.push({ name: 'trailing data', length: bytes.length - riffEnd });
+            }
+
+            const body = this.concat(kept);
+            body[8] &= ~clearedFlags;
+            const output = new Uint8Array(12 + body.length);
+            output.set(bytes.subarray(0, 12));
+            output.set(body, 12);
+            new DataView(output.buffer).setUint32(4, 4 + body.length, true);
+            return { bytes: output, oriented: false, removed };
+        }
+
+        /**
+         * Reads the orientation from EXIF data
+         * @param {Uint8Array} data - APP1 or chunk payload: optional 'Exif\0\0' header, then TIFF data
+         * @param {boolean} [requireHeader=true] - Only accept data with the 'Exif' header (JPEG APP1)
+         * @returns {number|null} - Orientation 1 - 8, or null if there is none
+         */
+        static readExifOrientation(data, requireHeader = true) {
+            let tiff = data;
+            if (this.hasPrefix(data, 0, 'Exif\0\0')) {
+                tiff = data.subarray(6);
+            } else if (requireHeader) {
+                return null;
+            }
+            if (tiff.length < 8) {
+                return null;
+            }
+
+            const byteOrder = this.readFourCC(tiff, 0).slice(0, 2);
+            if (byteOrder !== 'II' && byteOrder !== 'MM') {
+                return null;
+            }
+            const littleEndian = byteOrder === 'II';
+            const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+            const ifd = view.getUint32(4, littleEndian);
+            if (ifd + 2 > tiff.length) {
+                return null;
+            }
+
+            const count = view.getUint16(ifd, littleEndian);
+            for (let i = 0; i < count; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 12 > tiff.length) {
+                    return null;
+                }
+                if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+                    const orientation = view.getUint16(entry + 8, littleEndian);
+                    return orientation >= 1 && orientation <= 8 ? orientation : null;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Checks whether the orientation can travel as a header-flagged hint
+         * @returns {boolean} - False for legacy payloads, which have no header
+         */
+        static canHintOrientation() {
+            return window.CONFIG.METADATA.ORIENTATION_HINT && window.CONFIG.CODEC_MODE !== 'legacy';
+        }
+
+        /**
+         * Checks for a JPEG SOI marker
+         * @param {Uint8Array} bytes - File bytes
+         * @returns {boolean}
+         */
+        static isJpeg(bytes) {
+            return bytes.length >= 4 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF;
+        }
+
+        /**
+         * Checks for the PNG signature
+         * @param {Uint8Array} bytes - File bytes
+         * @returns {boolean}
+         */
+        static isPng(bytes) {
+            return window.CONFIG.FORMAT_SIGNATURES.PNG.bytes.every((byte, i) => bytes[i] === byte);
+        }
+
+        /**
+         * Checks for a RIFF WEBP container
+         * @param {Uint8Array} bytes - File bytes
+         * @returns {boolean}
+         */
+        static isWebp(bytes) {
+            return bytes.length >= 20 && this.readFourCC(bytes, 0) === 'RIFF' && this.readFourCC(bytes, 8) === 'WEBP';
+        }
+
+        /**
+         * Checks whether ASCII text appears at an offset
+         * @param {Uint8Array} bytes - Data
+         * @param {number} offset - Start offset
+         * @param {string} text - Expected text
+         * @returns {boolean}
+         */
+        static hasPrefix(bytes, offset, text) {
+            if (offset + text.length > bytes.length) {
+                return false;
+            }
+            for (let i = 0; i < text.length; i++) {
+                if (bytes[offset + i] !== text.charCodeAt(i)) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Reads a four-character code
+         * @param {Uint8Array} bytes - Data
+         * @param {number} offset - Start offset
+         * @returns {string} - Four characters
+         */
+        static readFourCC(bytes, offset) {
+            return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        }
+
+        /**
+         * Reads an unsigned 32-bit integer
+         * @param {Uint8Array} bytes - Data
+         * @param {number} offset - Start offset
+         * @param {boolean} littleEndian - Byte order
+         * @returns {number}
+         */
+        static readUint32(bytes, offset, littleEndian) {
+            return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(offset, littleEndian);
+        }
+
+        /**
+         * Joins byte chunks
+         * @param {Uint8Array[]} chunks - Chunks in order
+         * @returns {Uint8Array} - Concatenated bytes
+         */
+        static concat(chunks) {
+            const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+            let offset = 0;
+            for (const chunk of chunks) {
+                output.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return output;
+        }
+    };
+})();
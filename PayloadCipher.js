@@ -0,0 +1,142 @@
+/**
+ * PayloadCipher.js
+ *
+ * Password protection for links. A key is derived from the passphrase with
+ * PBKDF2 and the payload is sealed with AES-GCM, both through WebCrypto.
+ * Encryption is the last stage before the radix codec, so the CRC covers the
+ * ciphertext and the viewer asks for the passphrase only after the link
+ * checked out. Payloads sealed here carry the ENCRYPTED header flag, and the
+ * header flags (32-bit little-endian) are bound as GCM additional data, so a
+ * link whose flags were changed no longer decrypts.
+ *
+ * Sealed layout:
+ *   [cipher version byte][salt][IV][ciphertext][GCM tag]
+ * Sizes and the PBKDF2 parameters come from CONFIG.ENCRYPTION; links only
+ * record the version, so changing any of them needs a new version.
+ */
+window.PayloadCipher = class PayloadCipher {
+    /**
+     * Checks whether the platform provides WebCrypto (browsers only expose it on secure origins)
+     * @returns {boolean} - True if payloads can be encrypted and decrypted
+     */
+    static isSupported() {
+        return Boolean(window.crypto && window.crypto.subtle);
+    }
+
+    /**
+     * Bytes added to every sealed payload
+     * @returns {number} - Version byte, salt, IV and tag
+     */
+    static getOverhead() {
+        const { SALT_BYTES, IV_BYTES, TAG_BYTES } = window.CONFIG.ENCRYPTION;
+        return 1 + SALT_BYTES + IV_BYTES + TAG_BYTES;
+    }
+
+    /**
+     * Encrypts a payload
+     * Every payload gets a fresh salt and IV, so no two links share a key and
+     * no passphrase is kept after the call.
+     * @param {Uint8Array} bytes - Plain payload
+     * @param {string} passphrase - User passphrase
+     * @param {number} flags - Header flags the payload is sent with
+     * @returns {Promise<Uint8Array>} - Sealed payload
+     */
+    static async encrypt(bytes, passphrase, flags) {
+        if (!PayloadCipher.isSupported()) {
+            throw new Error('Password protection needs WebCrypto, which this browser only offers on https pages');
+        }
+
+        const { VERSION, SALT_BYTES, IV_BYTES, TAG_BYTES } = window.CONFIG.ENCRYPTION;
+        const salt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const key = await PayloadCipher.deriveKey(passphrase, salt);
+        const iv = window.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const ciphertext = new Uint8Array(await window.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: PayloadCipher.getAdditionalData(flags), tagLength: TAG_BYTES * 8 },
+            key,
+            bytes
+        ));
+
+        const sealed = new Uint8Array(1 + salt.length + iv.length + ciphertext.length);
+        sealed[0] = VERSION;
+        sealed.set(salt, 1);
+        sealed.set(iv, 1 + salt.length);
+        sealed.set(ciphertext, 1 + salt.length + iv.length);
+        return sealed;
+    }
+
+    /**
+     * Decrypts a sealed payload
+     * @param {Uint8Array|ArrayBuffer} data - Sealed payload
+     * @param {string} passphrase - Passphrase entered by the viewer
+     * @param {number} flags - Header flags the payload was received with
+     * @returns {Promise<Uint8Array>} - Plain payload
+     * @throws {PassphraseError} - When the passphrase is wrong (or the payload or its flags were altered)
+     */
+    static async decrypt(data, passphrase, flags) {
+        if (!PayloadCipher.isSupported()) {
+            throw new Error('This link is password-protected, but this browser cannot decrypt it here (WebCrypto needs an https page)');
+        }
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const { VERSION, SALT_BYTES, IV_BYTES, TAG_BYTES } = window.CONFIG.ENCRYPTION;
+        if (bytes[0] !== VERSION) {
+            throw new Error(`This link uses cipher version ${bytes[0]}, but this viewer only supports version ${VERSION}`);
+        }
+        if (bytes.length < PayloadCipher.getOverhead()) {
+            throw new Error('Encrypted payload is too short');
+        }
+
+        const salt = bytes.subarray(1, 1 + SALT_BYTES);
+        const iv = bytes.subarray(1 + SALT_BYTES, 1 + SALT_BYTES + IV_BYTES);
+        const additionalData = PayloadCipher.getAdditionalData(flags);
+        const key = await PayloadCipher.deriveKey(passphrase, salt);
+        try {
+            return new Uint8Array(await window.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv, additionalData, tagLength: TAG_BYTES * 8 },
+                key,
+                bytes.subarray(1 + SALT_BYTES + IV_BYTES)
+            ));
+        } catch (error) {
+            // GCM cannot tell a wrong key from altered data; the CRC already ruled out corruption
+            throw new window.PassphraseError();
+        }
+    }
+
+    /**
+     * Additional data authenticated alongside the ciphertext
+     * @param {number} flags - Header flags
+     * @returns {Uint8Array} - Flags as a 32-bit little-endian integer
+     */
+    static getAdditionalData(flags) {
+        if (!Number.isInteger(flags) || flags < 0) {
+            throw new Error(`Invalid header flags: ${flags}`);
+        }
+        const data = new Uint8Array(4);
+        new DataView(data.buffer).setUint32(0, flags, true);
+        return data;
+    }
+
+    /**
+     * Derives an AES-GCM key from a passphrase with PBKDF2
+     * @param {string} passphrase - Passphrase; NFC-normalized so every device types the same bytes
+     * @param {Uint8Array} salt - Random salt stored in the payload
+     * @returns {Promise<CryptoKey>} - AES-GCM key
+     */
+    static async deriveKey(passphrase, salt) {
+        const { PBKDF2_ITERATIONS, PBKDF2_HASH, KEY_BITS } = window.CONFIG.ENCRYPTION;
+        const material = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase.normalize('NFC')),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return window.crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: PBKDF2_HASH },
+            material,
+            { name: 'AES-GCM', length: KEY_BITS },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+};
@@ -0,0 +1,195 @@
+/**
+ * PayloadFields.js
+ *
+ * Caption fields carried in front of the image: title, alt text, author and
+ * creation time. encodeBits adds the section to whatever bytes it is given,
+ * inside encryption and signing but outside deflate, so every compression
+ * candidate pays the same fixed cost and the viewer reads the fields before
+ * inflating. Payloads carrying fields have the FIELDS header flag.
+ *
+ * Section layout:
+ *   [section length varint][field]...
+ *   field: [type byte][value length varint][value]
+ * Type bytes come from CONFIG.FIELDS.TYPES. Text values are UTF-8; the
+ * creation time is a varint of Unix seconds. Readers skip unknown types, so
+ * adding a field needs no new version. Varints are LEB128.
+ */
+window.PayloadFields = class PayloadFields {
+    /**
+     * Checks whether any field has a value
+     * @param {Object|null} fields - { title, alt, author, created }, all optional
+     * @returns {boolean} - True if encoding the fields writes a section
+     */
+    static hasFields(fields) {
+        return Boolean(fields) && Object.keys(window.CONFIG.FIELDS.TYPES)
+            .some(name => fields[name] !== undefined && fields[name] !== null && fields[name] !== '');
+    }
+
+    /**
+     * Bytes the fields add to the payload
+     * @param {Object|null} fields - { title, alt, author, created }, all optional
+     * @returns {number} - Section length, 0 without fields
+     * @throws {Error} - When a field cannot be stored (see encode)
+     */
+    static getLength(fields) {
+        return PayloadFields.encode(fields).length;
+    }
+
+    /**
+     * Writes the fields section
+     * @param {Object|null} fields - { title, alt, author, created }, all optional
+     * @returns {Uint8Array} - Section bytes; empty without fields
+     * @throws {Error} - When a text is too long or the creation time is invalid
+     */
+    static encode(fields) {
+        if (!PayloadFields.hasFields(fields)) {
+            return new Uint8Array(0);
+        }
+
+        const body = [];
+        for (const [name, type] of Object.entries(window.CONFIG.FIELDS.TYPES)) {
+            const value = fields[name];
+            if (value === undefined || value === null || value === '') continue;
+
+            const bytes = PayloadFields.encodeValue(name, value);
+            body.push(type);
+            PayloadFields.writeVarint(body, bytes.length);
+            body.push(...bytes);
+        }
+
+        const section = [];
+        PayloadFields.writeVarint(section, body.length);
+        return new Uint8Array([...section, ...body]);
+    }
+
+    /**
+     * Puts the fields section in front of a payload
+     * @param {Uint8Array} bytes - Payload
+     * @param {Object|null} fields - { title, alt, author, created }, all optional
+     * @returns {Uint8Array} - Section and payload; the payload itself without fields
+     */
+    static prepend(bytes, fields) {
+        const section = PayloadFields.encode(fields);
+        if (section.length === 0) {
+            return bytes;
+        }
+
+        const output = new Uint8Array(section.length + bytes.length);
+        output.set(section);
+        output.set(bytes, section.length);
+        return output;
+    }
+
+    /**
+     * Separates the fields section from the payload behind it
+     * @param {Uint8Array|ArrayBuffer} data - Payload written by prepend
+     * @returns {Object} - { fields, payload }; payload is a view into data
+     */
+    static split(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const reader = { bytes, position: 0 };
+        const length = PayloadFields.readVarint(reader);
+        const end = reader.position + length;
+        if (end > bytes.length) {
+            throw new Error('Caption fields are longer than the payload');
+        }
+
+        const names = Object.fromEntries(Object.entries(window.CONFIG.FIELDS.TYPES).map(([name, type]) => [type, name]));
+        const fields = {};
+        const section = { bytes: bytes.subarray(0, end), position: reader.position };
+        while (section.position < end) {
+            const type = PayloadFields.readByte(section);
+            const valueLength = PayloadFields.readVarint(section);
+            if (section.position + valueLength > end) {
+                throw new Error('Caption field runs past the end of its section');
+            }
+            const value = bytes.subarray(section.position, section.position + valueLength);
+            section.position += valueLength;
+
+            // Fields from newer encoders are skipped
+            if (names[type]) {
+                fields[names[type]] = PayloadFields.decodeValue(names[type], value);
+            }
+        }
+
+        return { fields, payload: bytes.subarray(end) };
+    }
+
+    /**
+     * @param {string} name - Field name from CONFIG.FIELDS.TYPES
+     * @param {string|Date|number} value - Text, or the creation time as a Date or milliseconds
+     * @returns {number[]} - Value bytes
+     */
+    static encodeValue(name, value) {
+        if (name === 'created') {
+            const time = value instanceof Date ? value.getTime() : value;
+            if (!Number.isFinite(time) || time < 0) {
+                throw new Error('Creation time must be a valid date after 1970');
+            }
+            const bytes = [];
+            PayloadFields.writeVarint(bytes, Math.floor(time / 1000));
+            return bytes;
+        }
+
+        const bytes = Array.from(new TextEncoder().encode(String(value)));
+        const { MAX_TEXT_BYTES } = window.CONFIG.FIELDS;
+        if (bytes.length > MAX_TEXT_BYTES) {
+            throw new Error(`The ${name} field is ${bytes.length} bytes; fields hold at most ${MAX_TEXT_BYTES}`);
+        }
+        return bytes;
+    }
+
+    /**
+     * @param {string} name - Field name from CONFIG.FIELDS.TYPES
+     * @param {Uint8Array} bytes - Value bytes
+     * @returns {string|Date} - Text, or the creation time as a Date
+     */
+    static decodeValue(name, bytes) {
+        if (name === 'created') {
+            const reader = { bytes, position: 0 };
+            return new Date(PayloadFields.readVarint(reader) * 1000);
+        }
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * @param {number[]} output - Bytes to append to
+     * @param {number} value - Non-negative integer
+     */
+    static writeVarint(output, value) {
+        while (value >= 0x80) {
+            output.push((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        output.push(value);
+    }
+
+    /**
+     * @param {Object} reader - { bytes, position }
+     * @returns {number} - Next byte
+     */
+    static readByte(reader) {
+        if (reader.position >= reader.bytes.length) {
+            throw new Error('Caption fields end inside a field');
+        }
+        return reader.bytes[reader.position++];
+    }
+
+    /**
+     * @param {Object} reader - { bytes, position }
+     * @returns {number} - Decoded LEB128 value
+     */
+    static readVarint(reader) {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const byte = PayloadFields.readByte(reader);
+            value += (byte & 0x7F) * scale;
+            if (byte < 0x80) return value;
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Caption fields have a malformed length');
+            }
+        }
+    }
+};
@@ -0,0 +1,292 @@
+/**
+ * PayloadHeader.js
+ *
+ * Versioned, self-describing header written in front of every encoded payload.
+ * Layout (all fields are base-RADIX digits from the shared character set):
+ *
+ *   magic | [profile marker] | version | codec id | flags (varint) | [parity (varint)] | byte length (varint) | checksum | body
+ *
+ * The profile marker is a digit naming the alphabet profile (AlphabetProfiles.js).
+ * Payloads in the standard alphabet have none, so their version follows the magic.
+ *
+ * The fields up to and including the optional parity count form the preamble.
+ * When the FEC flag is set, everything after the preamble is protected by
+ * Reed-Solomon parity (see ReedSolomon.js). The preamble itself is not: it says
+ * where the parity is, so it has to be read before anything can be repaired.
+ * Damage to those first few characters is never corrected; it usually fails
+ * the header checks or the checksum, but a changed flag can go unnoticed.
+ *
+ * Since version 2 the checksum is a CRC-32 of the decoded bytes, written as a
+ * fixed number of little-endian digits (enough to hold 2^32). Version 1 headers
+ * carried a single sum-of-digits character and are still read.
+ *
+ * The magic character can never start a legacy payload: legacy strings begin
+ * with their metadata length (always 2-4 for real images) or the '~' small marker,
+ * so the decoder can tell the formats apart without guessing.
+ *
+ * Varints are little-endian groups of log2(RADIX / 2) bits. Digits below
+ * RADIX / 2 end the number; digits at or above it carry a continuation.
+ */
+window.PayloadHeader = class PayloadHeader {
+    /**
+     * Creates a header codec for the given character set
+     * @param {string} safeChars - Character set used for encoding
+     * @param {string} [marker=''] - Alphabet profile marker written after the magic
+     */
+    constructor(safeChars, marker = '') {
+        if (!safeChars.includes(window.CONFIG.HEADER.MAGIC)) {
+            throw new Error(`Character set does not contain header magic '${window.CONFIG.HEADER.MAGIC}'`);
+        }
+        if (marker && !safeChars.includes(marker)) {
+            throw new Error(`Character set does not contain profile marker '${marker}'`);
+        }
+
+        this.SAFE_CHARS = safeChars;
+        this.MARKER = marker;
+        this.PREFIX = window.CONFIG.HEADER.MAGIC + marker;
+        this.RADIX = safeChars.length;
+        this.VARINT_BASE = Math.floor(this.RADIX / 2);
+
+        // PTA_4: Smallest digit count with RADIX^d >= 2^CHECKSUM_BITS
+        this.CHECKSUM_DIGITS = 1;
+        while (BigInt(this.RADIX) ** BigInt(this.CHECKSUM_DIGITS) < 1n << BigInt(window.CONFIG.HEADER.CHECKSUM_BITS)) {
+            this.CHECKSUM_DIGITS++;
+        }
+
+        this.charToIndex = new Map();
+        this.indexToChar = new Map();
+        for (let i = 0; i < safeChars.length; i++) {
+            this.charToIndex.set(safeChars[i], i);
+            this.indexToChar.set(i, safeChars[i]);
+        }
+    }
+
+    /**
+     * Checks whether a string starts with a versioned header
+     * @param {string} encodedString - Encoded payload
+     * @returns {boolean} - True if the header magic is present
+     */
+    isHeader(encodedString) {
+        return typeof encodedString === 'string' && encodedString.startsWith(window.CONFIG.HEADER.MAGIC);
+    }
+
+    /**
+     * Writes a header
+     * @param {Object} fields - Header fields
+     * @param {number} fields.codec - Codec id from CONFIG.HEADER.CODECS
+     * @param {number} [fields.flags=0] - Flag bits from CONFIG.HEADER.FLAGS
+     * @param {number} [fields.parity] - Parity symbols per codeword, required with the FEC flag
+     * @param {number} fields.length - Original byte length
+     * @param {number} fields.checksum - CRC-32 of the original bytes
+     * @returns {string} - Encoded header
+     */
+    encode({ codec, flags = 0, parity, length, checksum }) {
+        if (!this.getCodecName(codec)) {
+            throw new Error(`Unknown codec id: ${codec}`);
+        }
+
+        const hasFec = (flags & window.CONFIG.HEADER.FLAGS.FEC) !== 0;
+        return this.PREFIX +
+            this.indexToChar.get(window.CONFIG.HEADER.VERSION) +
+            this.indexToChar.get(codec) +
+            this.encodeVarint(flags) +
+            (hasFec ? this.encodeVarint(parity) : '') +
+            this.encodeVarint(length) +
+            this.encodeFixed(checksum, this.CHECKSUM_DIGITS);
+    }
+
+    /**
+     * Reads a header
+     * @param {string} encodedString - Encoded payload starting with the header magic
+     * @returns {Object} - Preamble fields plus { length, checksum, checksumType, bodyOffset }
+     */
+    decode(encodedString) {
+        const preamble = this.decodePreamble(encodedString);
+        const { version } = preamble;
+        let offset = preamble.preambleLength;
+
+        const length = this.decodeVarint(encodedString, offset);
+        offset = length.next;
+        if (length.value <= 0) {
+            throw new Error(`Invalid original length: ${length.value}`);
+        }
+
+        // Version 1 used one sum-of-digits character over the body
+        const checksumType = version === 1 ? 'sum' : 'crc32';
+        const checksumDigits = version === 1 ? 1 : this.CHECKSUM_DIGITS;
+        const checksum = this.readFixed(encodedString, offset, checksumDigits);
+        offset += checksumDigits;
+
+        return {
+            ...preamble,
+            length: length.value,
+            checksum,
+            checksumType,
+            bodyOffset: offset
+        };
+    }
+
+    /**
+     * Reads the unprotected leading fields of a header
+     * @param {string} encodedString - Encoded payload starting with the header magic
+     * @returns {Object} - { version, codec, codecName, flags, parity, preambleLength }
+     */
+    decodePreamble(encodedString) {
+        if (!this.isHeader(encodedString)) {
+            throw new Error('Payload has no header');
+        }
+        if (!encodedString.startsWith(this.PREFIX) || (!this.MARKER && this.isProfileMarker(encodedString))) {
+            throw new Error('Payload was encoded with a different alphabet profile');
+        }
+
+        let offset = this.PREFIX.length;
+        const version = this.readDigit(encodedString, offset++);
+        if (version < 1 || version > window.CONFIG.HEADER.VERSION) {
+            throw new Error(`Unsupported header version: ${version}`);
+        }
+
+        const codec = this.readDigit(encodedString, offset++);
+        const codecName = this.getCodecName(codec);
+        if (!codecName) {
+            throw new Error(`Unknown codec id: ${codec}`);
+        }
+
+        const flags = this.decodeVarint(encodedString, offset);
+        offset = flags.next;
+
+        // Unknown flags change how the body must be read, so refuse rather than guess
+        const knownFlags = Object.values(window.CONFIG.HEADER.FLAGS).reduce((mask, bit) => mask | bit, 0);
+        if (flags.value & ~knownFlags) {
+            throw new Error(`Unsupported header flags: ${flags.value}`);
+        }
+
+        let parity = 0;
+        if (flags.value & window.CONFIG.HEADER.FLAGS.FEC) {
+            const parityField = this.decodeVarint(encodedString, offset);
+            parity = parityField.value;
+            offset = parityField.next;
+        }
+
+        return {
+            version,
+            codec,
+            codecName,
+            flags: flags.value,
+            parity,
+            preambleLength: offset
+        };
+    }
+
+    /**
+     * Writes a non-negative integer as a varint
+     * @param {number} value - Integer to encode
+     * @returns {string} - Varint digits, least significant group first
+     */
+    encodeVarint(value) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Invalid varint value: ${value}`);
+        }
+
+        let result = '';
+        do {
+            const group = value % this.VARINT_BASE;
+            value = Math.floor(value / this.VARINT_BASE);
+            result += this.indexToChar.get(value > 0 ? group + this.VARINT_BASE : group);
+        } while (value > 0);
+        return result;
+    }
+
+    /**
+     * Reads a varint
+     * @param {string} encodedString - Encoded payload
+     * @param {number} offset - Index of the first varint digit
+     * @returns {Object} - { value, next } where next is the index after the varint
+     */
+    decodeVarint(encodedString, offset) {
+        let value = 0;
+        let scale = 1;
+
+        for (let i = offset; ; i++) {
+            const digit = this.readDigit(encodedString, i);
+            if (digit < this.VARINT_BASE) {
+                return { value: value + digit * scale, next: i + 1 };
+            }
+
+            value += (digit - this.VARINT_BASE) * scale;
+            scale *= this.VARINT_BASE;
+            if (!Number.isSafeInteger(scale)) {
+                throw new Error('Varint is too long');
+            }
+        }
+    }
+
+    /**
+     * Writes a non-negative integer as a fixed number of digits, least significant first
+     * @param {number} value - Integer to encode
+     * @param {number} digitCount - Number of digits
+     * @returns {string} - Encoded digits
+     */
+    encodeFixed(value, digitCount) {
+        let result = '';
+        for (let i = 0; i < digitCount; i++) {
+            result += this.indexToChar.get(value % this.RADIX);
+            value = Math.floor(value / this.RADIX);
+        }
+        if (value > 0) {
+            throw new Error(`Value does not fit in ${digitCount} digits`);
+        }
+        return result;
+    }
+
+    /**
+     * Reads a fixed number of digits, least significant first
+     * @param {string} encodedString - Encoded payload
+     * @param {number} offset - Index of the first digit
+     * @param {number} digitCount - Number of digits
+     * @returns {number} - Decoded integer
+     */
+    readFixed(encodedString, offset, digitCount) {
+        let value = 0;
+        for (let i = digitCount - 1; i >= 0; i--) {
+            value = value * this.RADIX + this.readDigit(encodedString, offset + i);
+        }
+        return value;
+    }
+
+    /**
+     * Reads one digit, rejecting truncated headers and foreign characters
+     * @param {string} encodedString - Encoded payload
+     * @param {number} index - Character index
+     * @returns {number} - Digit value
+     */
+    readDigit(encodedString, index) {
+        if (index >= encodedString.length) {
+            throw new Error('Header is truncated');
+        }
+
+        const digit = this.charToIndex.get(encodedString[index]);
+        if (digit === undefined) {
+            throw new Error(`Invalid character in header: '${encodedString[index]}'`);
+        }
+        return digit;
+    }
+
+    /**
+     * Checks whether the character after the magic is another profile's marker
+     * @param {string} encodedString - Encoded payload starting with the header magic
+     * @returns {boolean} - True if a profile marker follows the magic
+     */
+    isProfileMarker(encodedString) {
+        const char = encodedString[window.CONFIG.HEADER.MAGIC.length];
+        return Object.values(window.CONFIG.ALPHABET_PROFILES).some(profile => profile.marker && profile.marker === char);
+    }
+
+    /**
+     * Looks up a codec name by id
+     * @param {number} codec - Codec id
+     * @returns {string|undefined} - Codec name from CONFIG.HEADER.CODECS
+     */
+    getCodecName(codec) {
+        return Object.keys(window.CONFIG.HEADER.CODECS).find(name => window.CONFIG.HEADER.CODECS[name] === codec);
+    }
+};
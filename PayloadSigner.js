@@ -0,0 +1,321 @@
+/**
+ * PayloadSigner.js
+ *
+ * Signed links. The sharer's ECDSA P-256 key pair lives in IndexedDB and
+ * signs the payload through WebCrypto; the signature and a short fingerprint
+ * of the public key are appended to the payload, which carries the SIGNED
+ * header flag. Signing is the last stage before the radix codec, after
+ * encryption, so a signature can be checked without the passphrase.
+ *
+ * Signed layout:
+ *   [payload][signature version byte][key fingerprint][signature]
+ * The signature covers the header flags (32-bit little-endian) followed by
+ * the payload, so stages cannot be switched off without breaking it.
+ *
+ * Links carry only the fingerprint, so the viewer can check signatures made
+ * with its own key and with keys imported into the local allowlist. Public
+ * keys are exchanged as base64url strings of the raw (uncompressed) point.
+ */
+window.PayloadSigner = class PayloadSigner {
+    /**
+     * Checks whether the platform provides WebCrypto (browsers only expose it on secure origins)
+     * @returns {boolean} - True if payloads can be signed and verified
+     */
+    static isSupported() {
+        return Boolean(window.crypto && window.crypto.subtle);
+    }
+
+    /**
+     * Bytes added to every signed payload
+     * @returns {number} - Version byte, fingerprint and signature
+     */
+    static getOverhead() {
+        const { FINGERPRINT_BYTES, SIGNATURE_BYTES } = window.CONFIG.SIGNING;
+        return 1 + FINGERPRINT_BYTES + SIGNATURE_BYTES;
+    }
+
+    /**
+     * Appends a signature to a payload
+     * @param {Uint8Array} bytes - Payload, after encryption
+     * @param {number} flags - Header flags the payload is sent with
+     * @param {Object} signer - { privateKey, fingerprint } from loadIdentity or importPrivateKey
+     * @returns {Promise<Uint8Array>} - Signed payload
+     */
+    static async sign(bytes, flags, signer) {
+        if (!PayloadSigner.isSupported()) {
+            throw new Error('Signing needs WebCrypto, which this browser only offers on https pages');
+        }
+
+        const { VERSION, CURVE_HASH, FINGERPRINT_BYTES } = window.CONFIG.SIGNING;
+        const signature = new Uint8Array(await window.crypto.subtle.sign(
+            { name: 'ECDSA', hash: CURVE_HASH },
+            signer.privateKey,
+            PayloadSigner.getSignedMessage(bytes, flags)
+        ));
+
+        const signed = new Uint8Array(bytes.length + PayloadSigner.getOverhead());
+        signed.set(bytes);
+        signed[bytes.length] = VERSION;
+        signed.set(PayloadSigner.fingerprintToBytes(signer.fingerprint), bytes.length + 1);
+        signed.set(signature, bytes.length + 1 + FINGERPRINT_BYTES);
+        return signed;
+    }
+
+    /**
+     * Checks the signature of a payload against known public keys
+     * @param {Uint8Array|ArrayBuffer} data - Signed payload
+     * @param {number} flags - Header flags the payload was received with
+     * @param {Object[]} keys - { fingerprint, publicKey, label } entries, e.g. from getKnownKeys
+     * @returns {Promise<Object>} - { payload, fingerprint, status, label } where status is
+     *   'valid', 'invalid' or 'unknown' (no key with this fingerprint)
+     */
+    static async verify(data, flags, keys) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const { VERSION, CURVE_HASH, FINGERPRINT_BYTES } = window.CONFIG.SIGNING;
+        if (bytes.length < PayloadSigner.getOverhead()) {
+            throw new Error('Signed payload is too short');
+        }
+
+        const trailer = bytes.length - PayloadSigner.getOverhead();
+        if (bytes[trailer] !== VERSION) {
+            throw new Error(`This link uses signature version ${bytes[trailer]}, but this viewer only supports version ${VERSION}`);
+        }
+        const payload = bytes.subarray(0, trailer);
+        const fingerprint = PayloadSigner.bytesToFingerprint(bytes.subarray(trailer + 1, trailer + 1 + FINGERPRINT_BYTES));
+        const key = keys.find(candidate => candidate.fingerprint === fingerprint);
+        if (!key) {
+            return { payload, fingerprint, status: 'unknown', label: null };
+        }
+        if (!PayloadSigner.isSupported()) {
+            throw new Error('This link is signed, but this browser cannot check signatures here (WebCrypto needs an https page)');
+        }
+
+        const valid = await window.crypto.subtle.verify(
+            { name: 'ECDSA', hash: CURVE_HASH },
+            key.publicKey,
+            bytes.subarray(trailer + 1 + FINGERPRINT_BYTES),
+            PayloadSigner.getSignedMessage(payload, flags)
+        );
+        return { payload, fingerprint, status: valid ? 'valid' : 'invalid', label: key.label || null };
+    }
+
+    /**
+     * Bytes a signature covers
+     * @param {Uint8Array} payload - Payload without the signature trailer
+     * @param {number} flags - Header flags
+     * @returns {Uint8Array} - Flags (32-bit little-endian) followed by the payload
+     */
+    static getSignedMessage(payload, flags) {
+        const message = new Uint8Array(4 + payload.length);
+        new DataView(message.buffer).setUint32(0, flags, true);
+        message.set(payload, 4);
+        return message;
+    }
+
+    /**
+     * Short fingerprint of a public key
+     * @param {Uint8Array} publicKeyBytes - Raw uncompressed point
+     * @returns {Promise<string>} - Leading SHA-256 bytes in hex
+     */
+    static async getFingerprint(publicKeyBytes) {
+        const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', publicKeyBytes));
+        return PayloadSigner.bytesToFingerprint(digest.subarray(0, window.CONFIG.SIGNING.FINGERPRINT_BYTES));
+    }
+
+    /**
+     * Formats a fingerprint for display
+     * @param {string} fingerprint - Hex fingerprint
+     * @returns {string} - Groups of four hex digits, e.g. '3f2a:91c0:7d4e:b815'
+     */
+    static formatFingerprint(fingerprint) {
+        return fingerprint.match(/.{1,4}/g).join(':');
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Fingerprint bytes
+     * @returns {string} - Lowercase hex
+     */
+    static bytesToFingerprint(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {string} fingerprint - Lowercase hex
+     * @returns {Uint8Array} - Fingerprint bytes
+     */
+    static fingerprintToBytes(fingerprint) {
+        return Uint8Array.from(fingerprint.match(/../g), pair => parseInt(pair, 16));
+    }
+
+    /**
+     * Writes a public key in the form users exchange
+     * @param {Uint8Array} publicKeyBytes - Raw uncompressed point
+     * @returns {string} - base64url text
+     */
+    static exportPublicKey(publicKeyBytes) {
+        return btoa(String.fromCharCode(...publicKeyBytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    /**
+     * Reads a public key exchanged as text
+     * @param {string} text - base64url (or base64) raw point, surrounding whitespace allowed
+     * @returns {Promise<Object>} - { fingerprint, publicKey, publicKeyBytes }
+     */
+    static async importPublicKey(text) {
+        let publicKeyBytes;
+        try {
+            const base64 = String(text).trim().replace(/-/g, '+').replace(/_/g, '/');
+            publicKeyBytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        } catch (error) {
+            throw new Error('Public key is not valid base64');
+        }
+
+        let publicKey;
+        try {
+            publicKey = await PayloadSigner.importRawPublicKey(publicKeyBytes);
+        } catch (error) {
+            throw new Error(`Public key is not a ${window.CONFIG.SIGNING.CURVE} key`);
+        }
+        return { fingerprint: await PayloadSigner.getFingerprint(publicKeyBytes), publicKey, publicKeyBytes };
+    }
+
+    /**
+     * @param {Uint8Array} publicKeyBytes - Raw uncompressed point
+     * @returns {Promise<CryptoKey>} - ECDSA verification key
+     */
+    static importRawPublicKey(publicKeyBytes) {
+        return window.crypto.subtle.importKey(
+            'raw', publicKeyBytes, { name: 'ECDSA', namedCurve: window.CONFIG.SIGNING.CURVE }, true, ['verify']
+        );
+    }
+
+    /**
+     * Reads a private key for signing outside the browser (cli.js)
+     * @param {Uint8Array} pkcs8 - PKCS#8 DER private key
+     * @returns {Promise<Object>} - { privateKey, publicKey, publicKeyBytes, fingerprint }
+     */
+    static async importPrivateKey(pkcs8) {
+        const { CURVE } = window.CONFIG.SIGNING;
+        const algorithm = { name: 'ECDSA', namedCurve: CURVE };
+        const privateKey = await window.crypto.subtle.importKey('pkcs8', pkcs8, algorithm, true, ['sign']);
+
+        // WebCrypto cannot derive the public key directly; the private JWK carries its point
+        const { kty, crv, x, y } = await window.crypto.subtle.exportKey('jwk', privateKey);
+        const publicKey = await window.crypto.subtle.importKey('jwk', { kty, crv, x, y }, algorithm, true, ['verify']);
+        const publicKeyBytes = new Uint8Array(await window.crypto.subtle.exportKey('raw', publicKey));
+        return { privateKey, publicKey, publicKeyBytes, fingerprint: await PayloadSigner.getFingerprint(publicKeyBytes) };
+    }
+
+    /**
+     * Returns this browser's signing key pair, creating it on first use
+     * The private key is not extractable; IndexedDB stores the CryptoKey itself.
+     * @returns {Promise<Object>} - { privateKey, publicKey, publicKeyBytes, fingerprint }
+     */
+    static async loadIdentity() {
+        const stored = await PayloadSigner.runTransaction('identity', 'readonly', store => store.get('default'));
+        if (stored) {
+            return stored;
+        }
+
+        const { CURVE } = window.CONFIG.SIGNING;
+        const { privateKey, publicKey } = await window.crypto.subtle.generateKey(
+            { name: 'ECDSA', namedCurve: CURVE }, false, ['sign', 'verify']
+        );
+        const publicKeyBytes = new Uint8Array(await window.crypto.subtle.exportKey('raw', publicKey));
+        const identity = {
+            privateKey,
+            publicKey,
+            publicKeyBytes,
+            fingerprint: await PayloadSigner.getFingerprint(publicKeyBytes)
+        };
+
+        // Another tab may have created a key meanwhile; add() keeps the first one
+        try {
+            await PayloadSigner.runTransaction('identity', 'readwrite', store => store.add(identity, 'default'));
+            return identity;
+        } catch (error) {
+            if (error.name !== 'ConstraintError') throw error;
+            return PayloadSigner.runTransaction('identity', 'readonly', store => store.get('default'));
+        }
+    }
+
+    /**
+     * Adds a teammate's public key to the local allowlist
+     * @param {string} text - Public key as written by exportPublicKey
+     * @param {string} [label] - Name shown next to the fingerprint
+     * @returns {Promise<Object>} - Stored entry { fingerprint, publicKeyBytes, label }
+     */
+    static async trustKey(text, label = '') {
+        const { fingerprint, publicKeyBytes } = await PayloadSigner.importPublicKey(text);
+        const entry = { fingerprint, publicKeyBytes, label: String(label).trim() };
+        await PayloadSigner.runTransaction('trusted', 'readwrite', store => store.put(entry));
+        return entry;
+    }
+
+    /**
+     * Keys the viewer can check signatures with: its own and the allowlist
+     * @returns {Promise<Object[]>} - { fingerprint, publicKey, label } entries
+     */
+    static async getKnownKeys() {
+        if (!window.indexedDB) {
+            return [];
+        }
+
+        const keys = [];
+        const identity = await PayloadSigner.runTransaction('identity', 'readonly', store => store.get('default'));
+        if (identity) {
+            keys.push({ fingerprint: identity.fingerprint, publicKey: identity.publicKey, label: 'you' });
+        }
+        const trusted = await PayloadSigner.runTransaction('trusted', 'readonly', store => store.getAll());
+        for (const entry of trusted) {
+            const publicKey = await PayloadSigner.importRawPublicKey(entry.publicKeyBytes);
+            keys.push({ fingerprint: entry.fingerprint, publicKey, label: entry.label });
+        }
+        return keys;
+    }
+
+    /**
+     * Runs one request against a store of the signing database
+     * @param {string} storeName - 'identity' or 'trusted'
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} - Request result, once the transaction completed
+     */
+    static async runTransaction(storeName, mode, makeRequest) {
+        if (!window.indexedDB) {
+            throw new Error('Signing keys need IndexedDB, which this browser does not offer here');
+        }
+
+        const db = await PayloadSigner.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Opens the signing database once per page, creating its stores on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    static openDatabase() {
+        if (!PayloadSigner.database) {
+            PayloadSigner.database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(window.CONFIG.SIGNING.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('identity');
+                    request.result.createObjectStore('trusted', { keyPath: 'fingerprint' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            PayloadSigner.database.catch(() => { PayloadSigner.database = null; });
+        }
+        return PayloadSigner.database;
+    }
+};
@@ -16,6 +16,7 @@ window.ProcessingMetrics = class ProcessingMetrics {
             compressionAttempts: [],
             analysis: {},
             errors: [],
+            workerTasks: [],
             currentEncodedString: ''
         };
         
@@ -66,6 +67,7 @@ window.ProcessingMetrics = class ProcessingMetrics {
         this.metrics.stages = {};
         this.metrics.errors = [];
         this.metrics.compressionAttempts = [];
+        this.metrics.workerTasks = [];
         
         this.updateUI();
     }
@@ -243,6 +245,27 @@ window.ProcessingMetrics = class ProcessingMetrics {
         this.updateUI();
     }
     
+    /**
+     * Record a message from a codec worker (CodecWorkerPool)
+     * Progress becomes the running stage's status; finished and failed tasks are kept with their duration.
+     * A failed task is not a processing error by itself - the caller decides whether it is fatal.
+     * @param {Object} event - { type: 'progress'|'result'|'error', task, message, duration }
+     */
+    recordWorkerEvent(event) {
+        if (event.type === 'progress') {
+            if (this.metrics.currentStage) {
+                this.updateStageStatus(this.metrics.currentStage, event.message);
+            }
+            return;
+        }
+
+        this.metrics.workerTasks.push({
+            ...event,
+            timestamp: performance.now()
+        });
+        this.updateUI();
+    }
+    
     /**
      * Update the elapsed time for the current operation
      */
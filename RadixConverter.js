@@ -0,0 +1,137 @@
+/**
+ * RadixConverter.js
+ *
+ * Divide-and-conquer conversion between big integers and base-RADIX digits.
+ * Used by the whole-stream codec (PTA_2) on both the encode and decode side.
+ *
+ * Repeated division by RADIX is quadratic in the payload size. Instead the
+ * number is split recursively around precomputed powers RADIX^(L * 2^k), where
+ * L is the largest digit count that still fits exactly in a double. Each split
+ * is one big division (or one big multiplication when rebuilding), so the cost
+ * follows the engine's BigInt multiply, which switches to Karatsuba and faster
+ * algorithms for large operands.
+ */
+window.RadixConverter = class RadixConverter {
+    /**
+     * Creates a converter for a fixed radix
+     * @param {number} radix - Base of the digit representation
+     */
+    constructor(radix) {
+        if (!Number.isInteger(radix) || radix < 2) {
+            throw new Error(`Invalid radix: ${radix}`);
+        }
+
+        this.RADIX = radix;
+
+        // Leaf size: digits whose value stays exact in a double
+        this.leafDigits = Math.floor(Math.log2(Number.MAX_SAFE_INTEGER) / Math.log2(radix));
+
+        // powers[k] = RADIX^(leafDigits * 2^k), grown on demand
+        this.powers = [BigInt(radix) ** BigInt(this.leafDigits)];
+    }
+
+    /**
+     * Returns RADIX^(leafDigits * 2^level), squaring up from the cached powers
+     * @param {number} level - Split level
+     * @returns {bigint} - Power of the radix
+     */
+    getPower(level) {
+        while (this.powers.length <= level) {
+            const last = this.powers[this.powers.length - 1];
+            this.powers.push(last * last);
+        }
+        return this.powers[level];
+    }
+
+    /**
+     * Smallest split level whose span covers the given digit count
+     * @param {number} digitCount - Number of digits
+     * @returns {number} - Level k with leafDigits * 2^k >= digitCount
+     */
+    getLevel(digitCount) {
+        let level = 0;
+        while (this.leafDigits * 2 ** level < digitCount) level++;
+        return level;
+    }
+
+    /**
+     * Convert an integer to a fixed number of digits, least significant first
+     * @param {bigint} value - Non-negative integer to convert
+     * @param {number} digitCount - Number of digits to produce
+     * @returns {Uint8Array} - Digits in little-endian order
+     */
+    toDigits(value, digitCount) {
+        const digits = new Uint8Array(digitCount);
+        const level = this.getLevel(digitCount);
+
+        if (value < 0n || value >= this.getPower(level) || !this.writeDigits(value, level, 0, digits)) {
+            throw new Error(`Value does not fit in ${digitCount} base-${this.RADIX} digits`);
+        }
+        return digits;
+    }
+
+    /**
+     * Recursively writes the digits of a value spanning leafDigits * 2^level positions
+     * @param {bigint} value - Value below RADIX^(leafDigits * 2^level)
+     * @param {number} level - Split level
+     * @param {number} offset - Position of the least significant digit
+     * @param {Uint8Array} digits - Output array
+     * @returns {boolean} - False if a non-zero digit falls past the end of the output
+     */
+    writeDigits(value, level, offset, digits) {
+        if (level === 0) {
+            let chunk = Number(value);
+            for (let i = offset; chunk > 0; i++) {
+                if (i >= digits.length) return false;
+                digits[i] = chunk % this.RADIX;
+                chunk = Math.floor(chunk / this.RADIX);
+            }
+            return true;
+        }
+
+        const half = this.getPower(level - 1);
+        const high = value / half;
+        const low = value - high * half;
+        const highOffset = offset + this.leafDigits * 2 ** (level - 1);
+
+        if (!this.writeDigits(low, level - 1, offset, digits)) return false;
+        if (high === 0n) return true;
+        if (highOffset >= digits.length) return false;
+        return this.writeDigits(high, level - 1, highOffset, digits);
+    }
+
+    /**
+     * Rebuild an integer from digits, least significant first
+     * @param {Uint8Array} digits - Digits in little-endian order
+     * @returns {bigint} - Integer value
+     */
+    fromDigits(digits) {
+        if (digits.length === 0) return 0n;
+        return this.readDigits(digits, this.getLevel(digits.length), 0);
+    }
+
+    /**
+     * Recursively combines the digits in [offset, offset + leafDigits * 2^level)
+     * @param {Uint8Array} digits - Digits in little-endian order
+     * @param {number} level - Split level
+     * @param {number} offset - Position of the least significant digit
+     * @returns {bigint} - Value of the digit range
+     */
+    readDigits(digits, level, offset) {
+        if (level === 0) {
+            const end = Math.min(offset + this.leafDigits, digits.length);
+            let chunk = 0;
+            for (let i = end - 1; i >= offset; i--) {
+                chunk = chunk * this.RADIX + digits[i];
+            }
+            return BigInt(chunk);
+        }
+
+        const low = this.readDigits(digits, level - 1, offset);
+        const highOffset = offset + this.leafDigits * 2 ** (level - 1);
+        if (highOffset >= digits.length) return low;
+
+        const high = this.readDigits(digits, level - 1, highOffset);
+        return low + high * this.getPower(level - 1);
+    }
+};
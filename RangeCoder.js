@@ -0,0 +1,225 @@
+/**
+ * RangeCoder.js
+ *
+ * Adaptive range coder whose output digits are base-RADIX, i.e. indexes into
+ * CONFIG.SAFE_CHARS. Compressing to bytes and then converting to the URL
+ * alphabet loses a fraction of a character at every boundary; coding straight
+ * into the alphabet does not. Used by the 'range' codec for lossless payloads
+ * such as SVG text, raw pixels of tiny images or metadata blocks.
+ *
+ * Model: order-0 adaptive byte frequencies (CONFIG.RANGE_CODER).
+ *
+ * Coder state is a window of D digits, where D is the largest count with
+ * 2 * RADIX^D still exact in a double. The encoder keeps low in [0, RADIX^D)
+ * and propagates carries into digits it has already written; the decoder only
+ * tracks code - low, so it never sees a carry. Missing trailing digits are
+ * read as zero, which lets the encoder drop them when flushing.
+ */
+window.RangeCoder = class RangeCoder {
+    /**
+     * Creates a coder for a fixed radix
+     * @param {number} radix - Base of the output digits
+     */
+    constructor(radix) {
+        if (!Number.isInteger(radix) || radix < 2) {
+            throw new Error(`Invalid radix: ${radix}`);
+        }
+
+        this.RADIX = radix;
+
+        // Window size: low + range must stay below 2 * RADIX^D without losing precision
+        this.windowDigits = 1;
+        while (2 * radix ** (this.windowDigits + 1) <= Number.MAX_SAFE_INTEGER) {
+            this.windowDigits++;
+        }
+        this.TOP = radix ** this.windowDigits;
+        this.BOTTOM = radix ** (this.windowDigits - 1);
+
+        if (window.CONFIG.RANGE_CODER.MAX_TOTAL > this.BOTTOM) {
+            throw new Error(`Radix ${radix} is too small for the range coder model`);
+        }
+    }
+
+    /**
+     * Creates a fresh adaptive byte model
+     * @returns {Object} - { freq, total }
+     */
+    createModel() {
+        return { freq: new Uint32Array(256).fill(1), total: 256 };
+    }
+
+    /**
+     * Counts a coded symbol, halving all counts when the total gets too large
+     * @param {Object} model - Byte model
+     * @param {number} symbol - Byte just coded
+     */
+    updateModel(model, symbol) {
+        model.freq[symbol] += window.CONFIG.RANGE_CODER.INCREMENT;
+        model.total += window.CONFIG.RANGE_CODER.INCREMENT;
+
+        if (model.total > window.CONFIG.RANGE_CODER.MAX_TOTAL) {
+            model.total = 0;
+            for (let i = 0; i < 256; i++) {
+                model.freq[i] = (model.freq[i] + 1) >>> 1;
+                model.total += model.freq[i];
+            }
+        }
+    }
+
+    /**
+     * Encodes bytes
+     * @param {Uint8Array} bytes - Data to compress
+     * @returns {Uint8Array} - Base-RADIX digits, most significant first
+     */
+    encode(bytes) {
+        const output = [];
+        const model = this.createModel();
+        let low = 0;
+        let range = this.TOP;
+
+        for (let i = 0; i < bytes.length; i++) {
+            const symbol = bytes[i];
+            let cumulative = 0;
+            for (let s = 0; s < symbol; s++) cumulative += model.freq[s];
+
+            const step = Math.floor(range / model.total);
+            low += step * cumulative;
+            range = step * model.freq[symbol];
+            if (low >= this.TOP) {
+                low -= this.TOP;
+                this.propagateCarry(output);
+            }
+
+            while (range < this.BOTTOM) {
+                output.push(Math.floor(low / this.BOTTOM));
+                low = (low % this.BOTTOM) * this.RADIX;
+                range *= this.RADIX;
+            }
+
+            this.updateModel(model, symbol);
+        }
+
+        this.flush(output, low, range);
+        return Uint8Array.from(output);
+    }
+
+    /**
+     * Writes the fewest leading digits that identify a value in [low, low + range)
+     * @param {number[]} output - Digits written so far
+     * @param {number} low - Interval start
+     * @param {number} range - Interval width
+     */
+    flush(output, low, range) {
+        for (let kept = 0; kept <= this.windowDigits; kept++) {
+            const unit = this.RADIX ** (this.windowDigits - kept);
+            let value = Math.ceil(low / unit) * unit;
+            if (value >= low + range) continue;
+
+            if (value >= this.TOP) {
+                value -= this.TOP;
+                this.propagateCarry(output);
+            }
+            for (let i = 0; i < kept; i++) {
+                output.push(Math.floor(value / this.BOTTOM));
+                value = (value % this.BOTTOM) * this.RADIX;
+            }
+            return;
+        }
+    }
+
+    /**
+     * Adds one to the digits already written
+     * @param {number[]} output - Digits written so far
+     */
+    propagateCarry(output) {
+        let i = output.length - 1;
+        while (output[i] === this.RADIX - 1) {
+            output[i--] = 0;
+        }
+        output[i]++;
+    }
+
+    /**
+     * Decodes bytes
+     * @param {Uint8Array} digits - Base-RADIX digits from encode
+     * @param {number} length - Number of bytes to decode
+     * @param {number} [padDigit=0] - Value assumed for digits past the end
+     * @returns {Uint8Array} - Decoded bytes
+     */
+    decode(digits, length, padDigit = 0) {
+        const output = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of this.decodeChunks(digits, length, length, padDigit)) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+
+    /**
+     * Decodes bytes a chunk at a time
+     * The coder state carries over between chunks, so the caller can report
+     * progress or stop early without decoding the rest.
+     * @param {Uint8Array} digits - Base-RADIX digits from encode
+     * @param {number} length - Number of bytes to decode
+     * @param {number} chunkBytes - Bytes per yielded chunk
+     * @param {number} [padDigit=0] - Value assumed for digits past the end
+     * @yields {Uint8Array} - Next decoded bytes
+     */
+    *decodeChunks(digits, length, chunkBytes, padDigit = 0) {
+        const output = new Uint8Array(length);
+        const model = this.createModel();
+        let position = 0;
+        const next = () => position < digits.length ? digits[position++] : (position++, padDigit);
+
+        let code = 0;
+        for (let i = 0; i < this.windowDigits; i++) {
+            code = code * this.RADIX + next();
+        }
+        let range = this.TOP;
+        let chunkStart = 0;
+
+        for (let i = 0; i < length; i++) {
+            const step = Math.floor(range / model.total);
+            const target = Math.min(Math.floor(code / step), model.total - 1);
+
+            let symbol = 0;
+            let cumulative = 0;
+            while (cumulative + model.freq[symbol] <= target) {
+                cumulative += model.freq[symbol++];
+            }
+
+            code -= step * cumulative;
+            range = step * model.freq[symbol];
+            while (range < this.BOTTOM) {
+                code = code * this.RADIX + next();
+                range *= this.RADIX;
+            }
+
+            output[i] = symbol;
+            this.updateModel(model, symbol);
+
+            if (i + 1 - chunkStart === chunkBytes || i + 1 === length) {
+                yield output.subarray(chunkStart, i + 1);
+                chunkStart = i + 1;
+            }
+        }
+    }
+
+    /**
+     * Decodes the bytes that a prefix of the digits fully determines
+     * Decoding is monotonic in the code value, so bytes on which the lowest and
+     * highest possible continuations agree are exact.
+     * @param {Uint8Array} digits - Leading digits of an encoded stream
+     * @param {number} length - Full decoded length
+     * @returns {Uint8Array} - Recovered leading bytes
+     */
+    decodePrefix(digits, length) {
+        const lowest = this.decode(digits, length, 0);
+        const highest = this.decode(digits, length, this.RADIX - 1);
+
+        let agreed = 0;
+        while (agreed < length && lowest[agreed] === highest[agreed]) agreed++;
+        return lowest.slice(0, agreed);
+    }
+};
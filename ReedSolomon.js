@@ -0,0 +1,408 @@
+/**
+ * ReedSolomon.js
+ *
+ * Reed-Solomon forward error correction over the base-RADIX digit stream.
+ *
+ * Arithmetic is done in GF(p), where p is the smallest prime >= RADIX, so every
+ * digit is a field element. Parity symbols can land on values RADIX..p-1, which
+ * have no character. Each codeword therefore carries one tweak symbol that the
+ * encoder picks so that every parity symbol is a valid digit; since parity is
+ * linear in the tweak, only a handful of tweak values are ever ruled out.
+ *
+ * Layout of a protected region of L digits split into c codewords:
+ *   data digits (unchanged) | c tweak digits | c * parity digits
+ * Data digit i belongs to codeword i % c and parity digits are interleaved the
+ * same way, so a burst of damaged characters is spread over many codewords.
+ * Each codeword corrects up to floor(parity / 2) wrong digits.
+ */
+window.ReedSolomon = class ReedSolomon {
+    /**
+     * Creates a codec for the given digit radix
+     * @param {number} radix - Number of distinct digit values
+     */
+    constructor(radix) {
+        this.RADIX = radix;
+
+        // PTA_4: Field size derived from the character set
+        this.PRIME = radix;
+        while (!this.isPrime(this.PRIME)) this.PRIME++;
+
+        // Codewords may not exceed the multiplicative group order
+        this.MAX_CODEWORD = this.PRIME - 1;
+
+        this.initializeTables();
+        this.generators = new Map();
+    }
+
+    /**
+     * @param {number} n - Candidate
+     * @returns {boolean} - Whether n is prime
+     */
+    isPrime(n) {
+        if (n < 2) return false;
+        for (let d = 2; d * d <= n; d++) {
+            if (n % d === 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Builds exponent and logarithm tables from the smallest primitive root
+     */
+    initializeTables() {
+        const p = this.PRIME;
+
+        for (let candidate = 2; candidate < p; candidate++) {
+            const exp = new Array(p - 1);
+            const log = new Array(p).fill(-1);
+            let value = 1;
+            let primitive = true;
+
+            for (let i = 0; i < p - 1; i++) {
+                if (log[value] !== -1) {
+                    primitive = false;
+                    break;
+                }
+                exp[i] = value;
+                log[value] = i;
+                value = (value * candidate) % p;
+            }
+
+            if (primitive) {
+                this.exp = exp;
+                this.log = log;
+                return;
+            }
+        }
+
+        // GF(2) has the trivial generator 1
+        this.exp = [1];
+        this.log = [-1, 0];
+    }
+
+    /** @returns {number} - a * b in GF(p) */
+    mul(a, b) {
+        if (a === 0 || b === 0) return 0;
+        return this.exp[(this.log[a] + this.log[b]) % (this.PRIME - 1)];
+    }
+
+    /** @returns {number} - a / b in GF(p) */
+    div(a, b) {
+        if (b === 0) throw new Error('Division by zero in GF(p)');
+        if (a === 0) return 0;
+        return this.exp[(this.log[a] - this.log[b] + this.PRIME - 1) % (this.PRIME - 1)];
+    }
+
+    /** @returns {number} - alpha^e in GF(p), for any integer e */
+    pow(e) {
+        const order = this.PRIME - 1;
+        return this.exp[((e % order) + order) % order];
+    }
+
+    /** @returns {number} - a - b in GF(p) */
+    sub(a, b) {
+        return (a - b + this.PRIME) % this.PRIME;
+    }
+
+    /**
+     * Evaluates a polynomial (lowest degree first)
+     * @param {number[]} poly - Coefficients
+     * @param {number} x - Point
+     * @returns {number} - poly(x)
+     */
+    evaluate(poly, x) {
+        let result = 0;
+        for (let i = poly.length - 1; i >= 0; i--) {
+            result = (this.mul(result, x) + poly[i]) % this.PRIME;
+        }
+        return result;
+    }
+
+    /**
+     * Generator polynomial for a parity count, cached
+     * Roots are alpha^b .. alpha^(b+parity-1). The first b whose polynomial has no
+     * zero coefficient is used, so the tweak symbol reaches every parity symbol.
+     * @param {number} parity - Number of parity symbols
+     * @returns {Object} - { b, poly } with poly monic, lowest degree first
+     */
+    getGenerator(parity) {
+        if (this.generators.has(parity)) {
+            return this.generators.get(parity);
+        }
+
+        for (let b = 0; b < this.PRIME - 1; b++) {
+            let poly = [1];
+            for (let i = 0; i < parity; i++) {
+                // Multiply by (x - alpha^(b+i))
+                const root = this.pow(b + i);
+                const next = new Array(poly.length + 1).fill(0);
+                for (let j = 0; j < poly.length; j++) {
+                    next[j + 1] = (next[j + 1] + poly[j]) % this.PRIME;
+                    next[j] = this.sub(next[j], this.mul(poly[j], root));
+                }
+                poly = next;
+            }
+
+            if (poly.slice(0, parity).every(c => c !== 0)) {
+                const generator = { b, poly };
+                this.generators.set(parity, generator);
+                return generator;
+            }
+        }
+
+        throw new Error(`No usable generator polynomial for ${parity} parity symbols`);
+    }
+
+    /**
+     * Largest number of data digits per codeword
+     * @param {number} parity - Parity symbols per codeword
+     * @returns {number} - Data capacity (excluding the tweak symbol)
+     */
+    getDataPerCodeword(parity) {
+        return this.MAX_CODEWORD - parity - 1;
+    }
+
+    /**
+     * Validates a parity count
+     * @param {number} parity - Parity symbols per codeword
+     */
+    checkParity(parity) {
+        if (!Number.isInteger(parity) || parity < 1 || this.getDataPerCodeword(parity) < 1) {
+            throw new Error(`Invalid parity symbol count: ${parity}`);
+        }
+        // Every parity symbol rules out at most (PRIME - RADIX) tweak values
+        if (parity * (this.PRIME - this.RADIX) >= this.RADIX) {
+            throw new Error(`Too many parity symbols for radix ${this.RADIX}: ${parity}`);
+        }
+    }
+
+    /**
+     * Number of codewords used for a region of the given length
+     * @param {number} length - Data digits
+     * @param {number} parity - Parity symbols per codeword
+     * @returns {number} - Codeword count
+     */
+    getCodewordCount(length, parity) {
+        return Math.max(1, Math.ceil(length / this.getDataPerCodeword(parity)));
+    }
+
+    /**
+     * Digits added to a region of the given length
+     * @param {number} length - Data digits
+     * @param {number} parity - Parity symbols per codeword
+     * @returns {number} - Extra digits (tweaks and parity)
+     */
+    getOverhead(length, parity) {
+        return this.getCodewordCount(length, parity) * (parity + 1);
+    }
+
+    /**
+     * Computes parity for one message (tweak first, lowest degree first)
+     * @param {number[]} message - Message symbols
+     * @param {number} parity - Parity symbols
+     * @returns {number[]} - Parity symbols, lowest degree first
+     */
+    computeParity(message, parity) {
+        const { poly } = this.getGenerator(parity);
+        const remainder = new Array(parity).fill(0);
+
+        // LFSR division of message(x) * x^parity by the generator
+        for (let i = message.length - 1; i >= 0; i--) {
+            const feedback = (message[i] + remainder[parity - 1]) % this.PRIME;
+            for (let j = parity - 1; j > 0; j--) {
+                remainder[j] = this.sub(remainder[j - 1], this.mul(feedback, poly[j]));
+            }
+            remainder[0] = this.sub(0, this.mul(feedback, poly[0]));
+        }
+
+        return remainder.map(r => this.sub(0, r));
+    }
+
+    /**
+     * Protects a digit array
+     * @param {Uint8Array|number[]} digits - Data digits
+     * @param {number} parity - Parity symbols per codeword
+     * @returns {Uint8Array} - Data digits followed by tweak and parity digits
+     */
+    encode(digits, parity) {
+        this.checkParity(parity);
+
+        const length = digits.length;
+        const codewords = this.getCodewordCount(length, parity);
+        const { poly } = this.getGenerator(parity);
+        const output = new Uint8Array(length + codewords * (parity + 1));
+        output.set(digits);
+
+        for (let c = 0; c < codewords; c++) {
+            const message = [0];
+            for (let i = c; i < length; i += codewords) message.push(digits[i]);
+
+            // Parity is linear in the tweak: parity(t) = base + t * poly (lowest terms)
+            const base = this.computeParity(message, parity);
+            const banned = new Set();
+            for (let j = 0; j < parity; j++) {
+                for (let bad = this.RADIX; bad < this.PRIME; bad++) {
+                    banned.add(this.div(this.sub(bad, base[j]), poly[j]));
+                }
+            }
+
+            let tweak = 0;
+            while (banned.has(tweak)) tweak++;
+
+            output[length + c] = tweak;
+            for (let j = 0; j < parity; j++) {
+                output[length + codewords + j * codewords + c] = (base[j] + this.mul(tweak, poly[j])) % this.PRIME;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Finds the data length of a protected region
+     * @param {number} total - Protected region length
+     * @param {number} parity - Parity symbols per codeword
+     * @returns {number} - Data digit count
+     */
+    getDataLength(total, parity) {
+        for (let codewords = 1; codewords * (parity + 1) < total; codewords++) {
+            const length = total - codewords * (parity + 1);
+            if (this.getCodewordCount(length, parity) === codewords) {
+                return length;
+            }
+        }
+        throw new Error(`Invalid protected region length: ${total}`);
+    }
+
+    /**
+     * Corrects a protected digit array in place
+     * @param {Uint8Array|number[]} received - Data, tweak and parity digits
+     * @param {number} parity - Parity symbols per codeword
+     * @returns {Object} - { digits, corrected, codewords } with the data digits only
+     * @throws {Error} - If any codeword has more errors than it can correct
+     */
+    decode(received, parity) {
+        this.checkParity(parity);
+
+        const length = this.getDataLength(received.length, parity);
+        const codewords = this.getCodewordCount(length, parity);
+        let corrected = 0;
+
+        for (let c = 0; c < codewords; c++) {
+            // Gather positions: parity (degrees 0..parity-1), tweak, then data
+            const positions = [];
+            for (let j = 0; j < parity; j++) positions.push(length + codewords + j * codewords + c);
+            positions.push(length + c);
+            for (let i = c; i < length; i += codewords) positions.push(i);
+
+            const codeword = positions.map(index => received[index]);
+            const fixes = this.correctCodeword(codeword, parity);
+            if (fixes === null) {
+                throw new Error(`Too many errors to correct in codeword ${c + 1} of ${codewords}`);
+            }
+
+            for (const [degree, value] of fixes) {
+                received[positions[degree]] = value;
+            }
+            corrected += fixes.length;
+        }
+
+        return { digits: received.slice(0, length), corrected, codewords };
+    }
+
+    /**
+     * Locates and fixes errors in one codeword
+     * Berlekamp-Massey for the locator, Chien search for positions, Forney for values.
+     * @param {number[]} codeword - Received symbols, lowest degree first
+     * @param {number} parity - Parity symbols
+     * @returns {Array|null} - [degree, correctValue] pairs, or null if uncorrectable
+     */
+    correctCodeword(codeword, parity) {
+        const { b } = this.getGenerator(parity);
+
+        const syndromes = [];
+        let clean = true;
+        for (let j = 0; j < parity; j++) {
+            const s = this.evaluate(codeword, this.pow(b + j));
+            syndromes.push(s);
+            if (s !== 0) clean = false;
+        }
+        if (clean) return [];
+
+        // Berlekamp-Massey
+        let locator = [1];
+        let previous = [1];
+        let errors = 0;
+        let shift = 1;
+        let lastDiscrepancy = 1;
+
+        for (let n = 0; n < parity; n++) {
+            let discrepancy = syndromes[n];
+            for (let i = 1; i <= errors; i++) {
+                discrepancy = (discrepancy + this.mul(locator[i] || 0, syndromes[n - i])) % this.PRIME;
+            }
+
+            if (discrepancy === 0) {
+                shift++;
+                continue;
+            }
+
+            const scale = this.div(discrepancy, lastDiscrepancy);
+            const updated = locator.slice();
+            for (let i = 0; i < previous.length; i++) {
+                while (updated.length <= i + shift) updated.push(0);
+                updated[i + shift] = this.sub(updated[i + shift], this.mul(scale, previous[i]));
+            }
+
+            if (2 * errors <= n) {
+                previous = locator;
+                errors = n + 1 - errors;
+                lastDiscrepancy = discrepancy;
+                shift = 1;
+            } else {
+                shift++;
+            }
+            locator = updated;
+        }
+
+        if (2 * errors > parity) return null;
+
+        // Chien search over the positions present in this codeword
+        const positions = [];
+        for (let i = 0; i < codeword.length; i++) {
+            if (this.evaluate(locator, this.pow(-i)) === 0) positions.push(i);
+        }
+        if (positions.length !== errors) return null;
+
+        // Error evaluator: S(x) * locator(x) mod x^parity
+        const evaluator = new Array(parity).fill(0);
+        for (let i = 0; i < parity; i++) {
+            for (let j = 0; j <= i && j < locator.length; j++) {
+                evaluator[i] = (evaluator[i] + this.mul(locator[j], syndromes[i - j])) % this.PRIME;
+            }
+        }
+
+        // Formal derivative of the locator
+        const derivative = [];
+        for (let i = 1; i < locator.length; i++) {
+            derivative.push(this.mul(i % this.PRIME, locator[i]));
+        }
+
+        const fixes = [];
+        for (const position of positions) {
+            const inverse = this.pow(-position);
+            const denominator = this.evaluate(derivative, inverse);
+            if (denominator === 0) return null;
+
+            // Forney with first root alpha^b: e = -X^(1-b) * evaluator(X^-1) / locator'(X^-1)
+            const magnitude = this.mul(this.pow(position * (1 - b)), this.div(this.evaluate(evaluator, inverse), denominator));
+            const value = (codeword[position] + magnitude) % this.PRIME;
+
+            // A fix that lands outside the digit range means the codeword was miscorrected
+            if (value >= this.RADIX) return null;
+            fixes.push([position, value]);
+        }
+
+        return fixes;
+    }
+};
@@ -0,0 +1,428 @@
+/**
+ * TemplateDictionary.js
+ *
+ * Lossless stage that replaces image container boilerplate with short
+ * references to templates bundled with the site. Every JPEG made by
+ * canvas.toBlob repeats the JFIF header, the standard Huffman tables and the
+ * quantization tables of its quality; PNG and WebP files repeat fixed chunk
+ * headers. Payloads that went through this stage carry the TEMPLATE header
+ * flag, and the viewer restores them bit-exactly (after inflating) before
+ * detecting the image format.
+ *
+ * Templated layout:
+ *   [dictionary version byte][reference count varint]
+ *   per reference: [literal gap varint][template id byte][parameter byte, parametric templates only]
+ *   [literal bytes]
+ * The gap is the number of literal bytes copied before the template is written.
+ * Varints are LEB128.
+ *
+ * Template ids are append-only: adding a template bumps TEMPLATE_DICTIONARY_VERSION,
+ * and a viewer expands every version up to its own.
+ */
+
+(() => {
+    // Version of the bundled templates, written as the first byte of templated payloads
+    const TEMPLATE_DICTIONARY_VERSION = 1;
+
+    // libjpeg base quantization tables (ITU T.81 Annex K.1), natural order
+    const JPEG_LUMA_QUANTIZATION = [
+        16, 11, 10, 16, 24, 40, 51, 61,
+        12, 12, 14, 19, 26, 58, 60, 55,
+        14, 13, 16, 24, 40, 57, 69, 56,
+        14, 17, 22, 29, 51, 87, 80, 62,
+        18, 22, 37, 56, 68, 109, 103, 77,
+        24, 35, 55, 64, 81, 104, 113, 92,
+        49, 64, 78, 87, 103, 121, 120, 101,
+        72, 92, 95, 98, 112, 100, 103, 99
+    ];
+    const JPEG_CHROMA_QUANTIZATION = [
+        17, 18, 24, 47, 99, 99, 99, 99,
+        18, 21, 26, 66, 99, 99, 99, 99,
+        24, 26, 56, 99, 99, 99, 99, 99,
+        47, 66, 99, 99, 99, 99, 99, 99,
+        99, 99, 99, 99, 99, 99, 99, 99,
+        99, 99, 99, 99, 99, 99, 99, 99,
+        99, 99, 99, 99, 99, 99, 99, 99,
+        99, 99, 99, 99, 99, 99, 99, 99
+    ];
+
+    // Standard Huffman tables (ITU T.81 Annex K.3): 16 code length counts, then the symbols
+    const JPEG_DC_LUMA_HUFFMAN = '00010501010101010100000000000000' + '000102030405060708090a0b';
+    const JPEG_DC_CHROMA_HUFFMAN = '00030101010101010101010000000000' + '000102030405060708090a0b';
+    const JPEG_AC_LUMA_HUFFMAN = '0002010303020403050504040000017d' +
+        '01020300041105122131410613516107227114328191a1082342b1c11552d1f0' +
+        '2433627282090a161718191a25262728292a3435363738393a43444546474849' +
+        '4a535455565758595a636465666768696a737475767778797a83848586878889' +
+        '8a92939495969798999aa2a3a4a5a6a7a8a9aab2b3b4b5b6b7b8b9bac2c3c4c5' +
+        'c6c7c8c9cad2d3d4d5d6d7d8d9dae1e2e3e4e5e6e7e8e9eaf1f2f3f4f5f6f7f8' +
+        'f9fa';
+    const JPEG_AC_CHROMA_HUFFMAN = '00020102040403040705040400010277' +
+        '000102031104052131061241510761711322328108144291a1b1c109233352f0' +
+        '156272d10a162434e125f11718191a262728292a35363738393a434445464748' +
+        '494a535455565758595a636465666768696a737475767778797a828384858687' +
+        '88898a92939495969798999aa2a3a4a5a6a7a8a9aab2b3b4b5b6b7b8b9bac2c3' +
+        'c4c5c6c7c8c9cad2d3d4d5d6d7d8d9dae2e3e4e5e6e7e8e9eaf2f3f4f5f6f7f8' +
+        'f9fa';
+
+    /**
+     * Parses a hex string
+     * @param {string} hex - Hex digits, two per byte
+     * @returns {Uint8Array} - Bytes
+     */
+    function templateBytes(hex) {
+        return new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+    }
+
+    /**
+     * Builds a DQT segment the way libjpeg scales it for a quality setting
+     * @param {number[]} base - Base table in natural order
+     * @param {number} tableId - Quantization table id
+     * @param {number} quality - Quality 1 - 100 (canvas quality * 100)
+     * @returns {Uint8Array} - Marker, length, table id and the table in zigzag order
+     */
+    function jpegQuantizationSegment(base, tableId, quality) {
+        const scale = quality < 50 ? Math.floor(5000 / quality) : 200 - quality * 2;
+        const segment = new Uint8Array(69);
+        segment.set([0xFF, 0xDB, 0x00, 0x43, tableId]);
+
+        // Walk the 8x8 block in zigzag order
+        let index = 5;
+        for (let sum = 0; sum < 15; sum++) {
+            for (let step = 0; step <= sum; step++) {
+                const row = sum % 2 === 0 ? sum - step : step;
+                const col = sum - row;
+                if (row > 7 || col > 7) continue;
+                const value = Math.floor((base[row * 8 + col] * scale + 50) / 100);
+                segment[index++] = Math.min(255, Math.max(1, value));
+            }
+        }
+        return segment;
+    }
+
+    /**
+     * Builds a DHT segment holding one table
+     * @param {number} tableClass - Class and id byte (0x00 DC0, 0x10 AC0, 0x01 DC1, 0x11 AC1)
+     * @param {string} table - Hex of the code length counts and symbols
+     * @returns {string} - Hex of the segment
+     */
+    function jpegHuffmanSegment(tableClass, table) {
+        const length = 3 + table.length / 2;
+        return 'ffc4' + length.toString(16).padStart(4, '0') + tableClass.toString(16).padStart(2, '0') + table;
+    }
+
+    // Template ids are stored in links; never renumber or remove an entry
+    const TEMPLATE_ENTRIES = [
+        { id: 1, name: 'JPEG SOI and JFIF 1.1 header (canvas, 1:1 aspect)', bytes: 'ffd8ffe000104a46494600010100000100010000' },
+        { id: 2, name: 'JPEG SOI and JFIF 1.1 header (72 x 72 aspect)', bytes: 'ffd8ffe000104a46494600010100004800480000' },
+        { id: 3, name: 'JPEG SOI and JFIF 1.1 header (1 dpi)', bytes: 'ffd8ffe000104a46494600010101000100010000' },
+        { id: 4, name: 'JPEG luma quantization table', build: quality => jpegQuantizationSegment(JPEG_LUMA_QUANTIZATION, 0, quality) },
+        { id: 5, name: 'JPEG chroma quantization table', build: quality => jpegQuantizationSegment(JPEG_CHROMA_QUANTIZATION, 1, quality) },
+        { id: 6, name: 'JPEG DC luma Huffman table', bytes: jpegHuffmanSegment(0x00, JPEG_DC_LUMA_HUFFMAN) },
+        { id: 7, name: 'JPEG AC luma Huffman table', bytes: jpegHuffmanSegment(0x10, JPEG_AC_LUMA_HUFFMAN) },
+        { id: 8, name: 'JPEG DC chroma Huffman table', bytes: jpegHuffmanSegment(0x01, JPEG_DC_CHROMA_HUFFMAN) },
+        { id: 9, name: 'JPEG AC chroma Huffman table', bytes: jpegHuffmanSegment(0x11, JPEG_AC_CHROMA_HUFFMAN) },
+        { id: 10, name: 'JPEG YCbCr 4:2:0 components', bytes: '03012200021101031101' },
+        { id: 11, name: 'JPEG YCbCr 4:4:4 components', bytes: '03011100021101031101' },
+        { id: 12, name: 'JPEG YCbCr scan header', bytes: 'ffda000c03010002110311003f00' },
+        { id: 13, name: 'PNG signature and IHDR chunk header', bytes: '89504e470d0a1a0a0000000d49484452' },
+        { id: 14, name: 'PNG IEND chunk', bytes: '0000000049454e44ae426082' },
+        { id: 15, name: 'WebP lossy chunk header', bytes: '5745425056503820' },
+        { id: 16, name: 'WebP lossless chunk header', bytes: '574542505650384c' },
+        { id: 17, name: 'WebP extended chunk header', bytes: '5745425056503858' }
+    ];
+
+    // JPEG quality range of the parametric quantization templates
+    const TEMPLATE_PARAMETERS = { min: 1, max: 100 };
+
+    window.TemplateDictionary = class TemplateDictionary {
+        /**
+         * Replaces template byte runs with references when that makes the payload shorter
+         * @param {Uint8Array} bytes - Original payload
+         * @returns {Object} - { bytes, templated } where templated tells whether the stage applied
+         */
+        static apply(bytes) {
+            // Legacy payloads have no header to carry the flag
+            if (!window.CONFIG.TEMPLATES.ENABLED || window.CONFIG.CODEC_MODE === 'legacy') {
+                return { bytes, templated: false };
+            }
+
+            const references = [];
+            const literals = [];
+            let literalStart = 0;
+            let position = 0;
+
+            while (position + 4 <= bytes.length) {
+                const match = this.findMatch(bytes, position);
+                const gap = position - literalStart;
+                const cost = templateVarintLength(gap) + 1 + (match && match.param !== null ? 1 : 0);
+                if (!match || match.bytes.length <= cost) {
+                    position++;
+                    continue;
+                }
+
+                literals.push(bytes.subarray(literalStart, position));
+                references.push({ gap, id: match.id, param: match.param });
+                position += match.bytes.length;
+                literalStart = position;
+            }
+
+            if (references.length === 0) {
+                return { bytes, templated: false };
+            }
+            literals.push(bytes.subarray(literalStart));
+
+            const output = [TEMPLATE_DICTIONARY_VERSION];
+            writeTemplateVarint(output, references.length);
+            for (const reference of references) {
+                writeTemplateVarint(output, reference.gap);
+                output.push(reference.id);
+                if (reference.param !== null) {
+                    output.push(reference.param);
+                }
+            }
+
+            const literalLength = literals.reduce((total, literal) => total + literal.length, 0);
+            if (output.length + literalLength >= bytes.length) {
+                return { bytes, templated: false };
+            }
+
+            const templated = new Uint8Array(output.length + literalLength);
+            templated.set(output);
+            let offset = output.length;
+            for (const literal of literals) {
+                templated.set(literal, offset);
+                offset += literal.length;
+            }
+            return { bytes: templated, templated: true };
+        }
+
+        /**
+         * Restores a templated payload
+         * @param {Uint8Array|ArrayBuffer} data - Templated payload
+         * @param {Object} [options] - Expansion options
+         * @param {boolean} [options.partial=false] - Return the bytes restored so far
+         *   instead of failing when the payload is cut off (used for truncated links)
+         * @returns {Uint8Array} - Original payload
+         */
+        static expand(data, { partial = false } = {}) {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            const reader = { bytes, offset: 0 };
+
+            let references;
+            try {
+                references = this.readReferences(reader);
+            } catch (error) {
+                if (!partial) {
+                    throw error;
+                }
+                // A cut-off reference list leaves no literals to place
+                console.warn('Templated payload could not be restored:', error);
+                return new Uint8Array(0);
+            }
+
+            const chunks = [];
+            let literalOffset = reader.offset;
+            for (const reference of references) {
+                if (literalOffset + reference.gap > bytes.length) {
+                    if (!partial) {
+                        throw new Error('Templated payload is cut off');
+                    }
+                    break;
+                }
+                chunks.push(bytes.subarray(literalOffset, literalOffset + reference.gap), reference.bytes);
+                literalOffset += reference.gap;
+            }
+            chunks.push(bytes.subarray(literalOffset));
+            return concatTemplateChunks(chunks);
+        }
+
+        /**
+         * Reads the dictionary version and reference list of a templated payload
+         * @param {Object} reader - { bytes, offset }, left at the first literal byte
+         * @returns {Object[]} - References { gap, bytes } in payload order
+         */
+        static readReferences(reader) {
+            const version = readTemplateByte(reader);
+            if (version > TEMPLATE_DICTIONARY_VERSION) {
+                throw new Error(
+                    `This link uses template dictionary version ${version}, ` +
+                    `but this viewer only has version ${TEMPLATE_DICTIONARY_VERSION}`
+                );
+            }
+
+            const count = readTemplateVarint(reader);
+            const references = [];
+            for (let i = 0; i < count; i++) {
+                const gap = readTemplateVarint(reader);
+                const id = readTemplateByte(reader);
+                const template = TEMPLATE_ENTRIES.find(entry => entry.id === id);
+                if (!template) {
+                    throw new Error(`Unknown template id ${id}`);
+                }
+                const param = template.build ? readTemplateByte(reader) : null;
+                references.push({ gap, bytes: this.getTemplateBytes(template, param) });
+            }
+            return references;
+        }
+
+        /**
+         * Finds the longest template starting at a position
+         * @param {Uint8Array} bytes - Payload
+         * @param {number} position - Start offset
+         * @returns {Object|null} - { id, param, bytes } or null
+         */
+        static findMatch(bytes, position) {
+            const candidates = this.getIndex().get(readTemplateKey(bytes, position));
+            if (!candidates) {
+                return null;
+            }
+
+            let best = null;
+            for (const candidate of candidates) {
+                if (best && candidate.bytes.length <= best.bytes.length) continue;
+                if (position + candidate.bytes.length > bytes.length) continue;
+
+                let matches = true;
+                for (let i = 4; i < candidate.bytes.length; i++) {
+                    if (bytes[position + i] !== candidate.bytes[i]) {
+                        matches = false;
+                        break;
+                    }
+                }
+                if (matches) {
+                    best = candidate;
+                }
+            }
+            return best;
+        }
+
+        /**
+         * Expands a template entry
+         * @param {Object} template - Entry of the dictionary
+         * @param {number|null} param - Parameter of parametric templates
+         * @returns {Uint8Array} - Template bytes
+         */
+        static getTemplateBytes(template, param) {
+            if (!template.build) {
+                return templateBytes(template.bytes);
+            }
+            if (param < TEMPLATE_PARAMETERS.min || param > TEMPLATE_PARAMETERS.max) {
+                throw new Error(`Template ${template.id} has no variant ${param}`);
+            }
+            return template.build(param);
+        }
+
+        /**
+         * Indexes every template variant by its first four bytes, built on first use
+         * @returns {Map<number, Object[]>} - Candidates { id, param, bytes } by key
+         */
+        static getIndex() {
+            if (this.index) {
+                return this.index;
+            }
+
+            this.index = new Map();
+            const add = (id, param, bytes) => {
+                const key = readTemplateKey(bytes, 0);
+                if (!this.index.has(key)) {
+                    this.index.set(key, []);
+                }
+                this.index.get(key).push({ id, param, bytes });
+            };
+
+            for (const template of TEMPLATE_ENTRIES) {
+                if (!template.build) {
+                    add(template.id, null, this.getTemplateBytes(template, null));
+                    continue;
+                }
+                for (let param = TEMPLATE_PARAMETERS.min; param <= TEMPLATE_PARAMETERS.max; param++) {
+                    add(template.id, param, template.build(param));
+                }
+            }
+            return this.index;
+        }
+    };
+
+    /**
+     * Reads four bytes as the index key
+     * @param {Uint8Array} bytes - Payload
+     * @param {number} position - Start offset
+     * @returns {number} - Unsigned 32-bit key
+     */
+    function readTemplateKey(bytes, position) {
+        return ((bytes[position] << 24) | (bytes[position + 1] << 16) | (bytes[position + 2] << 8) | bytes[position + 3]) >>> 0;
+    }
+
+    /**
+     * Number of bytes a LEB128 varint takes
+     * @param {number} value - Non-negative integer
+     * @returns {number} - Encoded length
+     */
+    function templateVarintLength(value) {
+        let length = 1;
+        while (value >= 0x80) {
+            value = Math.floor(value / 0x80);
+            length++;
+        }
+        return length;
+    }
+
+    /**
+     * Appends a LEB128 varint
+     * @param {number[]} output - Byte list
+     * @param {number} value - Non-negative integer
+     */
+    function writeTemplateVarint(output, value) {
+        while (value >= 0x80) {
+            output.push((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        output.push(value);
+    }
+
+    /**
+     * Reads a byte from a templated payload
+     * @param {Object} reader - { bytes, offset }
+     * @returns {number} - Byte value
+     */
+    function readTemplateByte(reader) {
+        if (reader.offset >= reader.bytes.length) {
+            throw new Error('Templated payload is cut off');
+        }
+        return reader.bytes[reader.offset++];
+    }
+
+    /**
+     * Reads a LEB128 varint from a templated payload
+     * @param {Object} reader - { bytes, offset }
+     * @returns {number} - Decoded integer
+     */
+    function readTemplateVarint(reader) {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const byte = readTemplateByte(reader);
+            value += (byte & 0x7F) * scale;
+            if (byte < 0x80) return value;
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Templated payload has a malformed length');
+            }
+        }
+    }
+
+    /**
+     * Joins byte chunks
+     * @param {Uint8Array[]} chunks - Chunks in order
+     * @returns {Uint8Array} - Concatenated bytes
+     */
+    function concatTemplateChunks(chunks) {
+        const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+})();
@@ -0,0 +1,168 @@
+/**
+ * codecWorker.js
+ *
+ * Web Worker behind CodecWorkerPool. Loads the same environment-neutral codec
+ * scripts as nodeCodec.js, with the worker global standing in for `window`,
+ * and runs encoding, decoding and compression candidates off the main thread.
+ *
+ * Messages in:  { id, task, payload }
+ *               { id, type: 'cancel' }
+ * Messages out: { type: 'ready', capabilities }
+ *               { id, type: 'progress', message, detail }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', error: { name, message, report, expected, actual } }
+ */
+self.window = self;
+
+importScripts(
+    'config.js',
+    'AlphabetProfiles.js',
+    'RadixConverter.js',
+    'DecodeErrors.js',
+    'Crc32.js',
+    'DeflateStage.js',
+    'TemplateDictionary.js',
+    'PayloadCipher.js',
+    'PayloadSigner.js',
+    'PayloadFields.js',
+    'ReedSolomon.js',
+    'RangeCoder.js',
+    'PayloadHeader.js',
+    'BitStreamCodec.js',
+    'CandidateEvaluator.js'
+);
+
+// Codecs by alphabet profile id, created on first use
+const codecs = new Map();
+
+/**
+ * Returns the codec for an alphabet profile
+ * @param {string} [profileId] - Profile id, defaults to CONFIG.DEFAULT_ALPHABET_PROFILE
+ * @returns {BitStreamCodec} - Cached codec
+ */
+function getCodec(profileId) {
+    const profile = self.AlphabetProfiles.get(profileId);
+    if (!codecs.has(profile.id)) {
+        codecs.set(profile.id, new self.BitStreamCodec(profile.chars, profile.marker));
+    }
+    return codecs.get(profile.id);
+}
+
+/**
+ * Picks the codec for a task's encode options and applies them
+ * @param {Object} encodeOptions - Options from CodecWorkerPool.setEncodeOptions, including alphabetProfile
+ * @returns {BitStreamCodec} - Codec ready to encode
+ */
+function getEncoder({ alphabetProfile, ...options } = {}) {
+    const codec = getCodec(alphabetProfile);
+    codec.setEncodeOptions(options);
+    return codec;
+}
+
+// Abort controllers of running tasks, by task id
+const controllers = new Map();
+
+const TASKS = {
+    /**
+     * Encodes bytes into URL data
+     * @param {Object} payload - { bytes, options, encodeOptions }
+     * @param {Function} progress - Posts a progress message
+     * @returns {Promise<Object>} - { encoded }
+     */
+    async encode({ bytes, options, encodeOptions }, progress) {
+        const codec = getEncoder(encodeOptions);
+        progress(`Encoding ${bytes.length} bytes`);
+        return { encoded: await codec.encodeBits(bytes, options) };
+    },
+
+    /**
+     * Decodes URL data into bytes, streaming progress with the decoded chunks
+     * @param {Object} payload - { encoded }
+     * @param {Function} progress - Posts a progress message
+     * @param {AbortSignal} signal - Aborted by a cancel message
+     * @returns {Promise<Object>} - { buffer (transferred), errorCorrection }
+     */
+    async decode({ encoded }, progress, signal) {
+        const { profile, encoded: normalized } = self.AlphabetProfiles.resolve(encoded);
+        const codec = getCodec(profile.id);
+        const buffer = await codec.decodeStream(normalized, {
+            signal,
+            onProgress: (detail) => progress(`Decoded ${detail.bytesDone} of ${detail.totalBytes} bytes`, detail)
+        });
+        return { buffer, errorCorrection: codec.lastErrorCorrection };
+    },
+
+    /**
+     * Renders one compression candidate and measures its encoded length
+     * The measuring is CandidateEvaluator's, as in CompressionEngine.evaluateCandidate.
+     * @param {Object} payload - { bitmap, format, quality, width, height, maxLength, encodeOptions }
+     * @param {Function} progress - Posts a progress message
+     * @returns {Promise<Object>} - { buffer, size, encodedLength, encoded, estimated }
+     */
+    async evaluateCandidate({ bitmap, format, quality, width, height, maxLength, encodeOptions }, progress) {
+        const codec = getEncoder(encodeOptions);
+
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('Unable to get 2D context for compression');
+        }
+        ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        const blob = await canvas.convertToBlob({ type: format, quality });
+        const buffer = await blob.arrayBuffer();
+        progress(`${format.split('/')[1].toUpperCase()} @ Q${Math.round(quality * 100)}, ${width}×${height} = ${(buffer.byteLength / 1024).toFixed(2)}KB`);
+        return self.CandidateEvaluator.measure(codec, buffer, maxLength);
+    }
+};
+
+/**
+ * Copies an error into a cloneable object, keeping the fields of DecodeErrors.js
+ * @param {Error} error - Error thrown by a task
+ * @returns {Object} - { name, message, report, expected, actual }
+ */
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        report: error.report,
+        expected: error.expected,
+        actual: error.actual
+    };
+}
+
+self.onmessage = async (event) => {
+    const { id, task, payload, type } = event.data;
+    if (type === 'cancel') {
+        const controller = controllers.get(id);
+        if (controller) controller.abort();
+        return;
+    }
+
+    const progress = (message, detail) => self.postMessage({ id, type: 'progress', message, detail });
+    const controller = new AbortController();
+    controllers.set(id, controller);
+
+    try {
+        if (!TASKS[task]) {
+            throw new Error(`Unknown worker task: ${task}`);
+        }
+        const result = await TASKS[task](payload, progress, controller.signal);
+        self.postMessage({ id, type: 'result', result }, result.buffer ? [result.buffer] : []);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: serializeError(error) });
+    } finally {
+        controllers.delete(id);
+    }
+};
+
+self.postMessage({
+    type: 'ready',
+    capabilities: {
+        encode: true,
+        decode: true,
+        evaluateCandidate: typeof OffscreenCanvas === 'function' &&
+            typeof OffscreenCanvas.prototype.convertToBlob === 'function'
+    }
+});
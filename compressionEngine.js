@@ -62,8 +62,7 @@ async compressImageHeuristic(file, targetFormat, initialQuality = 0.85) {
     }
     
     // Calculate base URL overhead to ensure we account for it in compression targets
-    const baseUrl = window.location.href.split('?')[0].replace('index.html', '');
-    const baseUrlLength = baseUrl.length;
+    const baseUrlLength = this.imageProcessor.uiController.buildShareUrl('').length;
     const effectiveMaxLength = this.maxSize - baseUrlLength - 10; // 10 char buffer
     
     // For very large images, start with a more aggressive quality
@@ -450,7 +449,7 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
      * Try image compression with specified parameters
      * @param {ImageBitmap} img - Image to compress
      * @param {Object} options - Compression options
-     * @returns {Promise<Object>} Compression result with buffer and size
+     * @returns {Promise<Object>} Compression result with buffer, size and the type the browser actually wrote
      */
     async tryCompression(img, options) {
         const { format, quality = 0.85, width = null, height = null } = options;
@@ -485,7 +484,8 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
                     reader.onload = () => {
                         resolve({
                             buffer: reader.result,
-                            size: blob.size
+                            size: blob.size,
+                            type: blob.type
                         });
                     };
                     reader.onerror = () => {
@@ -510,25 +510,14 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
         let bestResult = null;
 
         // Calculate base URL overhead
-        const baseUrl = window.location.href.split('?')[0].replace('index.html', '');
-        const baseUrlLength = baseUrl.length;
+        const baseUrlLength = this.imageProcessor.uiController.buildShareUrl('').length;
         const effectiveMaxLength = this.maxSize - baseUrlLength - 10; // 10 char buffer
 
-        // Calculate a size reduction scale factor based on the original encoded size vs target
-        const buffer = await file.arrayBuffer();
-        let initialBits, initialEncoded;
-        
-        try {
-            initialBits = await this.encoder.toBitArray(buffer);
-            initialEncoded = await this.encoder.encodeBits(initialBits);
-        } catch (error) {
-            console.warn('Error getting initial encoded size:', error);
-            // Default to a conservative estimate if encoding fails
-            initialEncoded = new Array(buffer.byteLength * 2).fill('A').join('');
-        }
-        
-        // Calculate minimum scale needed based on ratio of encoded size to target
-        const encodedRatio = initialEncoded.length / effectiveMaxLength;
+        // Calculate a size reduction scale factor based on the original size vs what fits
+        const maxPayloadBytes = this.encoder.getMaxPayloadBytes(effectiveMaxLength);
+        const encodedRatio = maxPayloadBytes ?
+            file.size / maxPayloadBytes :
+            this.encoder.estimateEncodedLength(file.size) / effectiveMaxLength;
         const minScale = Math.max(0.05, Math.min(0.5, 1 / (encodedRatio * 2))); // More aggressive scaling for larger encodings
         
         // Define quality steps based on image size
@@ -553,6 +542,9 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
             );
         }
         
+        // Workers evaluate several qualities at once; the highest quality that fits still wins
+        const batchSize = this.imageProcessor.workerPool ? this.imageProcessor.workerPool.size : 1;
+        
         // Try combinations of scale and quality
         for (const scale of scaleSteps) {
             // Abort if processing was cancelled
@@ -564,26 +556,44 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
             const width = Math.floor(img.width * scale / 2) * 2;
             const height = Math.floor(img.height * scale / 2) * 2;
             
-            for (const quality of qualitySteps) {
+            for (let i = 0; i < qualitySteps.length; i += batchSize) {
                 // Abort if processing was cancelled
                 if (this.processingAborted) {
                     return null;
                 }
                 
-                try {
-                    if (this.metrics) {
-                        this.metrics.updateStageStatus(
-                            'compression',
-                            `Trying ${targetFormat.split('/')[1].toUpperCase()} at ${(scale * 100).toFixed(0)}% scale, ${(quality * 100).toFixed(0)}% quality (${width}x${height})`
-                        );
-                    }
-                    
-                    const { buffer, size } = await this.tryCompression(img, {
+                const qualities = qualitySteps.slice(i, i + batchSize);
+                if (this.metrics) {
+                    this.metrics.updateStageStatus(
+                        'compression',
+                        `Trying ${targetFormat.split('/')[1].toUpperCase()} at ${(scale * 100).toFixed(0)}% scale, ${qualities.map(q => (q * 100).toFixed(0) + '%').join(', ')} quality (${width}x${height})`
+                    );
+                }
+                
+                const evaluations = await Promise.all(qualities.map(quality =>
+                    this.evaluateCandidate(img, {
                         format: targetFormat,
                         quality: quality,
                         width: width,
                         height: height
-                    });
+                    }, effectiveMaxLength).catch(error => ({ error }))
+                ));
+                
+                for (let j = 0; j < qualities.length; j++) {
+                    const quality = qualities[j];
+                    const evaluation = evaluations[j];
+                    
+                    if (evaluation.error) {
+                        console.warn(
+                            `Compression attempt failed:`,
+                            `Scale=${scale}, Quality=${quality}`,
+                            `Error=${evaluation.error.message}`
+                        );
+                        continue;
+                    }
+                    
+                    const { buffer, size, encodedLength, encoded, estimated } = evaluation;
+                    const success = encodedLength <= effectiveMaxLength;
                     
                     // Record this attempt in metrics
                     if (this.metrics) {
@@ -592,55 +602,24 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
                             quality: quality,
                             width: width,
                             height: height,
-                            size: size
+                            size: size,
+                            encodedLength: encodedLength,
+                            success: success
                         });
-                    }
-
-                    if (this.metrics) {
+                        
                         this.metrics.updateStageStatus(
                             'compression',
-                            `Compressed to ${(size / 1024).toFixed(2)}KB, encoding...`
+                            `Compressed to ${(size / 1024).toFixed(2)}KB, encoded length: ${estimated ? 'at least ' : ''}${encodedLength} chars (limit: ${effectiveMaxLength})`
                         );
                     }
                     
-                    // Convert to bits
-                    const bits = await this.encoder.toBitArray(buffer);
-                    // Encode to URL
-                    const encoded = await this.encoder.encodeBits(bits);
-
-                    if (this.metrics) {
-                        this.metrics.updateStageStatus(
-                            'compression',
-                            `Encoded length: ${encoded.length} chars (limit: ${effectiveMaxLength})`
-                        );
-                    }
-
                     // Check if within limit
-                    if (encoded.length <= effectiveMaxLength) {
-                        // Update preview with compressed version
-                        const blob = new Blob([buffer], { type: targetFormat });
-                        
-                        // Only update preview if it exists
-                        if (this.preview) {
-                            // Revoke previous preview URL if it exists
-                            if (this.preview.src && this.preview.src.startsWith('blob:')) {
-                                if (this.imageProcessor && this.imageProcessor.resourceManager) {
-                                    this.imageProcessor.resourceManager.revokeTrackedObjectURL(this.preview.src);
-                                } else {
-                                    URL.revokeObjectURL(this.preview.src);
-                                }
-                            }
-                            
-                            // Create and set new preview URL
-                            if (this.imageProcessor && this.imageProcessor.resourceManager) {
-                                this.preview.src = this.imageProcessor.resourceManager.createAndTrackObjectURL(blob);
-                            } else {
-                                this.preview.src = URL.createObjectURL(blob);
-                            }
-                        }
+                    if (success) {
+                        this.updatePreview(new Blob([buffer], { type: targetFormat }));
                         
                         bestResult = {
                             encoded,
+                            buffer,
                             format: targetFormat,
                             size: size
                         };
@@ -648,20 +627,12 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
                         if (this.metrics) {
                             this.metrics.updateStageStatus(
                                 'compression',
-                                `Success! Found working compression: ${(size / 1024).toFixed(2)}KB, ${encoded.length} chars`
+                                `Success! Found working compression: ${(size / 1024).toFixed(2)}KB, ${encodedLength} chars`
                             );
                         }
                         
                         return bestResult; // Return immediately on first success
                     }
-                } 
-                catch (error) {
-                    console.warn(
-                        `Compression attempt failed:`,
-                        `Scale=${scale}, Quality=${quality}`,
-                        `Error=${error.message}`
-                    );
-                    continue;
                 }
             }
         }
@@ -695,40 +666,19 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
                         );
                     }
                     
-                    const { buffer, size } = await this.tryCompression(img, {
+                    const { buffer, size, encodedLength, encoded } = await this.evaluateCandidate(img, {
                         format: targetFormat,
                         quality: 0.4,
                         width: thumbWidth,
                         height: thumbHeight
-                    });
-                    
-                    const bits = await this.encoder.toBitArray(buffer);
-                    const encoded = await this.encoder.encodeBits(bits);
+                    }, effectiveMaxLength);
                     
-                    if (encoded.length <= effectiveMaxLength) {
-                        const blob = new Blob([buffer], { type: targetFormat });
-                        
-                        // Only update preview if it exists
-                        if (this.preview) {
-                            // Revoke previous preview URL if it exists
-                            if (this.preview.src && this.preview.src.startsWith('blob:')) {
-                                if (this.imageProcessor && this.imageProcessor.resourceManager) {
-                                    this.imageProcessor.resourceManager.revokeTrackedObjectURL(this.preview.src);
-                                } else {
-                                    URL.revokeObjectURL(this.preview.src);
-                                }
-                            }
-                            
-                            // Create and set new preview URL
-                            if (this.imageProcessor && this.imageProcessor.resourceManager) {
-                                this.preview.src = this.imageProcessor.resourceManager.createAndTrackObjectURL(blob);
-                            } else {
-                                this.preview.src = URL.createObjectURL(blob);
-                            }
-                        }
+                    if (encodedLength <= effectiveMaxLength) {
+                        this.updatePreview(new Blob([buffer], { type: targetFormat }));
                         
                         bestResult = {
                             encoded,
+                            buffer,
                             format: targetFormat,
                             size: size
                         };
@@ -736,7 +686,7 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
                         if (this.metrics) {
                             this.metrics.updateStageStatus(
                                 'compression',
-                                `Created thumbnail: ${(size / 1024).toFixed(2)}KB, ${encoded.length} chars`
+                                `Created thumbnail: ${(size / 1024).toFixed(2)}KB, ${encodedLength} chars`
                             );
                         }
                         
@@ -859,12 +809,12 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
         }
         
         try {
-            const { buffer, size } = await this.tryCompression(img, {
+            const { buffer, size, encodedLength, encoded, estimated } = await this.evaluateCandidate(img, {
                 format: params.format,
                 quality: params.quality,
                 width: Math.round(img.width * params.scale),
                 height: Math.round(img.height * params.scale)
-            });
+            }, effectiveMaxLength);
     
             // Update metrics with compression attempt details
             if (this.metrics) {
@@ -884,63 +834,58 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
                 );
             }
     
-            const bits = await this.encoder.toBitArray(buffer);
-            const encoded = await this.encoder.encodeBits(bits);
-
-            if (this.metrics && typeof this.metrics.setCurrentEncodedString === 'function') {
+            // Candidates that cannot fit were rejected without paying for the conversion
+            if (estimated) {
+                if (this.metrics) {
+                    this.metrics.updateStageStatus(
+                        'compression',
+                        `Too large: at least ${encodedLength} chars (max: ${effectiveMaxLength})`
+                    );
+                }
+                return {
+                    success: false,
+                    encodedLength,
+                    data: null,
+                    params
+                };
+            }
+    
+            if (encoded && this.metrics && typeof this.metrics.setCurrentEncodedString === 'function') {
                 this.metrics.setCurrentEncodedString(encoded);
             }
             
-            const success = encoded.length <= effectiveMaxLength;
+            const success = encodedLength <= effectiveMaxLength;
             
             if (success) {
                 // Update preview if successful
-                const blob = new Blob([buffer], { type: params.format });
-                
-                // Only update preview if it exists
-                if (this.preview) {
-                    // Revoke previous preview URL if it exists
-                    if (this.preview.src && this.preview.src.startsWith('blob:')) {
-                        if (this.imageProcessor && this.imageProcessor.resourceManager) {
-                            this.imageProcessor.resourceManager.revokeTrackedObjectURL(this.preview.src);
-                        } else {
-                            URL.revokeObjectURL(this.preview.src);
-                        }
-                    }
-                    
-                    // Create and set new preview URL
-                    if (this.imageProcessor && this.imageProcessor.resourceManager) {
-                        this.preview.src = this.imageProcessor.resourceManager.createAndTrackObjectURL(blob);
-                    } else {
-                        this.preview.src = URL.createObjectURL(blob);
-                    }
-                }
+                this.updatePreview(new Blob([buffer], { type: params.format }));
                 
                 // Log success
                 if (this.metrics) {
                     this.metrics.updateStageStatus(
                         'compression',
-                        `Success! URL length: ${encoded.length} characters (max: ${effectiveMaxLength})`
+                        `Success! URL length: ${encodedLength} characters (max: ${effectiveMaxLength})`
                     );
                 } else {
-                    console.log(`Success! URL length: ${encoded.length} characters (max: ${effectiveMaxLength})`);
+                    console.log(`Success! URL length: ${encodedLength} characters (max: ${effectiveMaxLength})`);
                 }
             } else {
                 if (this.metrics) {
                     this.metrics.updateStageStatus(
                         'compression',
-                        `Too large: ${encoded.length} chars (max: ${effectiveMaxLength})`
+                        `Too large: ${encodedLength} chars (max: ${effectiveMaxLength})`
                     );
                 } else {
-                    console.log(`Too large: ${encoded.length} chars (max: ${effectiveMaxLength})`);
+                    console.log(`Too large: ${encodedLength} chars (max: ${effectiveMaxLength})`);
                 }
             }
     
             return {
                 success,
-                encodedLength: encoded.length,
+                encodedLength,
                 data: success ? {
                     encoded,
+                    buffer,
                     format: params.format,
                     size
                 } : null,
@@ -968,6 +913,298 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
         }
     }
 
+    /**
+     * Renders a candidate and measures its encoded length, in a worker when possible
+     * Measuring is shared with the worker (CandidateEvaluator); for deterministic
+     * codecs only the winner is encoded (see encodeResult).
+     * @param {ImageBitmap} img - Image to compress
+     * @param {Object} options - { format, quality, width, height }
+     * @param {number} effectiveMaxLength - Maximum URL length to target
+     * @returns {Promise<Object>} - { buffer, size, encodedLength, encoded, estimated } where
+     *   estimated tells that encodedLength is only a lower bound and buffer was dropped
+     */
+    async evaluateCandidate(img, options, effectiveMaxLength) {
+        const pool = this.imageProcessor.workerPool;
+        if (pool && await pool.supports('evaluateCandidate')) {
+            return pool.evaluateCandidate(img, options, effectiveMaxLength);
+        }
+
+        const { buffer } = await this.tryCompression(img, options);
+        return window.CandidateEvaluator.measure(this.encoder, buffer, effectiveMaxLength);
+    }
+
+    /**
+     * Shows a compressed candidate in the preview, releasing the previous preview URL
+     * @param {Blob} blob - Compressed image
+     */
+    updatePreview(blob) {
+        if (!this.preview) {
+            return;
+        }
+
+        // Revoke previous preview URL if it exists
+        if (this.preview.src && this.preview.src.startsWith('blob:')) {
+            if (this.imageProcessor && this.imageProcessor.resourceManager) {
+                this.imageProcessor.resourceManager.revokeTrackedObjectURL(this.preview.src);
+            } else {
+                URL.revokeObjectURL(this.preview.src);
+            }
+        }
+        
+        // Create and set new preview URL
+        if (this.imageProcessor && this.imageProcessor.resourceManager) {
+            this.preview.src = this.imageProcessor.resourceManager.createAndTrackObjectURL(blob);
+        } else {
+            this.preview.src = URL.createObjectURL(blob);
+        }
+    }
+
+    /**
+     * Encodes a winning compression result that was accepted on its exact length
+     * @param {Object} result - Result with the compressed buffer and, if already encoded, the string
+     * @returns {Promise<string>} - Encoded URL data
+     */
+    async encodeResult(result) {
+        if (result.encoded) {
+            return result.encoded;
+        }
+
+        // Templating is deterministic, so this matches the length evaluateCandidate measured
+        const payload = window.TemplateDictionary.apply(new Uint8Array(result.buffer));
+        const encoded = await this.imageProcessor.encodePayload(payload.bytes, { templated: payload.templated });
+        if (this.metrics && typeof this.metrics.setCurrentEncodedString === 'function') {
+            this.metrics.setCurrentEncodedString(encoded);
+        }
+        return encoded;
+    }
+
+    /**
+     * Fits several images into one album link
+     * The original files are kept when the whole album fits. Otherwise the byte
+     * budget is split by image complexity and every image is recompressed to its
+     * share; simple images go first, so the bytes they leave unused go to the
+     * complex ones.
+     * @param {File[]} files - Images in album order
+     * @param {Object[]} analyses - ImageAnalyzer results, one per file
+     * @param {number} effectiveMaxLength - Maximum URL length to target
+     * @returns {Promise<Object|null>} - { encoded, records }, or null if processing was cancelled
+     */
+    async compressAlbum(files, analyses, effectiveMaxLength) {
+        const originals = await Promise.all(files.map(async file =>
+            window.AlbumContainer.createRecord(new Uint8Array(await file.arrayBuffer()), file.type)
+        ));
+        const lossless = await this.encodeAlbum(originals, effectiveMaxLength);
+        if (lossless) {
+            return { encoded: lossless, records: originals };
+        }
+
+        const weights = analyses.map(analysis => this.getComplexityWeight(analysis));
+        const budget = this.getAlbumByteBudget(files.length, effectiveMaxLength);
+        if (this.metrics) {
+            this.metrics.updateStageStatus(
+                'compression',
+                `Splitting ${(budget / 1024).toFixed(2)}KB across ${files.length} images (weights ${weights.map(weight => weight.toFixed(2)).join(', ')})`
+            );
+        }
+
+        // Deflate and content-dependent codecs make the final length uncertain, so retry with less
+        for (const share of [1, 0.9, 0.8, 0.65, 0.5]) {
+            const records = await this.compressAlbumImages(files, originals, analyses, weights, Math.floor(budget * share));
+            if (this.imageProcessor.processingAborted) {
+                return null;
+            }
+            if (!records) {
+                break;
+            }
+            const encoded = await this.encodeAlbum(records, effectiveMaxLength);
+            if (encoded) {
+                return { encoded, records };
+            }
+        }
+        throw new Error('Album too large even after maximum compression; try fewer or smaller images');
+    }
+
+    /**
+     * Packs, deflates and encodes album records if they fit
+     * @param {Object[]} records - Records for AlbumContainer.pack
+     * @param {number} effectiveMaxLength - Maximum URL length to target
+     * @returns {Promise<string|null>} - Encoded URL data, or null if it is too long
+     */
+    async encodeAlbum(records, effectiveMaxLength) {
+        const lossless = await window.DeflateStage.tryCompress(window.AlbumContainer.pack(records));
+        if (this.encoder.estimateEncodedLength(lossless.bytes.length) > effectiveMaxLength) {
+            return null;
+        }
+
+        const encoded = await this.imageProcessor.encodePayload(lossless.bytes, { album: true, deflated: lossless.deflated });
+        return encoded.length <= effectiveMaxLength ? encoded : null;
+    }
+
+    /**
+     * Image bytes an album link can hold, after its container header
+     * @param {number} count - Number of images
+     * @param {number} effectiveMaxLength - Maximum URL length to target
+     * @returns {number} - Byte budget shared by the images
+     */
+    getAlbumByteBudget(count, effectiveMaxLength) {
+        let maxBytes = this.encoder.getMaxPayloadBytes(effectiveMaxLength, { album: true });
+        if (maxBytes === null) {
+            // Content-dependent codecs only have a lower bound on their length
+            let low = 0;
+            let high = Math.ceil(effectiveMaxLength * Math.log2(this.encoder.RADIX) / 8);
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (this.encoder.estimateEncodedLength(mid) <= effectiveMaxLength) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            maxBytes = low;
+        }
+        return Math.max(0, maxBytes - window.AlbumContainer.getOverhead(count, maxBytes));
+    }
+
+    /**
+     * Relative share of the album budget an image gets
+     * A baseline keeps flat images legible; entropy and edge density ask for more.
+     * @param {Object} analysis - ImageAnalyzer result
+     * @returns {number} - Weight
+     */
+    getComplexityWeight(analysis) {
+        const entropy = Number(analysis && analysis.analysis && analysis.analysis.entropy);
+        const edges = Number(analysis && analysis.analysis && analysis.analysis.edgeComplexity);
+        return 0.5 + (Number.isFinite(entropy) ? entropy / 8 : 0.5) + (Number.isFinite(edges) ? edges : 0.1);
+    }
+
+    /**
+     * Compresses every album image to its weighted share of the budget
+     * @param {File[]} files - Images in album order
+     * @param {Object[]} originals - Lossless records of the files
+     * @param {Object[]} analyses - ImageAnalyzer results
+     * @param {number[]} weights - Complexity weights
+     * @param {number} budget - Bytes shared by all images
+     * @returns {Promise<Object[]|null>} - Records in album order, or null if an image cannot fit
+     */
+    async compressAlbumImages(files, originals, analyses, weights, budget) {
+        const order = files.map((file, index) => index).sort((a, b) => weights[a] - weights[b]);
+        const records = new Array(files.length);
+        let remainingBudget = budget;
+        let remainingWeight = weights.reduce((total, weight) => total + weight, 0);
+
+        for (const index of order) {
+            if (this.imageProcessor.processingAborted) {
+                return null;
+            }
+
+            const share = Math.floor(remainingBudget * weights[index] / remainingWeight);
+            if (this.metrics) {
+                this.metrics.updateStageStatus(
+                    'compression',
+                    `Image ${index + 1} of ${files.length}: fitting ${files[index].name} into ${(share / 1024).toFixed(2)}KB`
+                );
+            }
+
+            const record = originals[index].bytes.length <= share ?
+                originals[index] :
+                await this.compressToBudget(files[index], analyses[index], share);
+            if (!record) {
+                return null;
+            }
+            records[index] = record;
+            remainingBudget -= record.bytes.length;
+            remainingWeight -= weights[index];
+        }
+        return records;
+    }
+
+    /**
+     * Recompresses one album image to at most a number of record bytes
+     * Quality is searched per scale; an image is only downscaled further when
+     * its best fitting quality falls below CONFIG.ALBUM.MIN_QUALITY.
+     * @param {File} file - Image
+     * @param {Object} analysis - ImageAnalyzer result for the image
+     * @param {number} byteBudget - Maximum record length
+     * @returns {Promise<Object|null>} - Album record, or null if even the smallest scale is too large
+     */
+    async compressToBudget(file, analysis, byteBudget) {
+        const img = await createImageBitmap(file);
+        const format = this.getAlbumFormat(analysis);
+        const { MIN_QUALITY, SCALE_STEPS } = window.CONFIG.ALBUM;
+        let fallback = null;
+
+        for (const scale of SCALE_STEPS) {
+            if (this.imageProcessor.processingAborted) {
+                return null;
+            }
+
+            const width = Math.max(1, Math.round(img.width * scale));
+            const height = Math.max(1, Math.round(img.height * scale));
+            let low = 0.1;
+            let high = 0.95;
+            let record = await this.renderAlbumRecord(img, format, low, width, height);
+            if (record.bytes.length > byteBudget) {
+                continue;
+            }
+
+            let best = { record, quality: low };
+            for (let i = 0; i < 5; i++) {
+                const quality = (low + high) / 2;
+                record = await this.renderAlbumRecord(img, format, quality, width, height);
+                if (record.bytes.length <= byteBudget) {
+                    best = { record, quality };
+                    low = quality;
+                } else {
+                    high = quality;
+                }
+            }
+
+            if (this.metrics) {
+                this.metrics.recordCompressionAttempt({
+                    format: best.record.type,
+                    quality: best.quality,
+                    width,
+                    height,
+                    size: best.record.bytes.length,
+                    encodedLength: null,
+                    success: true
+                });
+            }
+            if (best.quality >= MIN_QUALITY) {
+                return best.record;
+            }
+            fallback = fallback || best.record;
+        }
+        return fallback;
+    }
+
+    /**
+     * Renders an image and turns it into an album record
+     * @param {ImageBitmap} img - Image
+     * @param {string} format - Requested MIME type
+     * @param {number} quality - Encoder quality (0-1)
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {Promise<Object>} - Album record
+     */
+    async renderAlbumRecord(img, format, quality, width, height) {
+        const { buffer, type } = await this.tryCompression(img, { format, quality, width, height });
+        // Browsers without an encoder for the format write PNG instead
+        return window.AlbumContainer.createRecord(new Uint8Array(buffer), type || format);
+    }
+
+    /**
+     * Output format for a recompressed album image
+     * @param {Object} analysis - ImageAnalyzer result
+     * @returns {string} - Best ranked format the canvas can write
+     */
+    getAlbumFormat(analysis) {
+        const rankings = analysis && analysis.recommendations && analysis.recommendations.formatRankings || [];
+        const ranked = rankings.map(entry => entry.format)
+            .find(format => ['image/webp', 'image/jpeg', 'image/png'].includes(format));
+        return ranked || 'image/webp';
+    }
+
     /**
      * Determine optimal formats for compression
      * @param {File} file - Image file
@@ -1033,13 +1270,14 @@ async binarySearchCompression(img, format, initialLength, minQuality = 0.1, maxQ
             throw new Error('No encoded data provided for verification');
         }
         
-        // Check that all characters are from our safe set
-        if (!window.CONFIG || !window.CONFIG.SAFE_CHARS) {
-            console.warn('CONFIG.SAFE_CHARS not available for verification');
-            return true; // Can't verify without config, assume valid
+        // Check that all characters are from the encoder's alphabet profile
+        const safeChars = this.encoder && this.encoder.SAFE_CHARS;
+        if (!safeChars) {
+            console.warn('Encoder character set not available for verification');
+            return true; // Can't verify without a character set, assume valid
         }
         
-        const invalidChars = [...encodedData].filter(char => !window.CONFIG.SAFE_CHARS.includes(char));
+        const invalidChars = [...encodedData].filter(char => !safeChars.includes(char));
         if (invalidChars.length > 0) {
             if (invalidChars.length <= 10) {
                 throw new Error(`Invalid characters found in encoded data: ${invalidChars.join(', ')}`);
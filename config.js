@@ -9,11 +9,190 @@ window.CONFIG = {
     MAX_URL_LENGTH: 12192, // PC_3: Maximum URL length
     BYTE_SIZE: 4, // Number of bytes to process at once
     URL_PREFIX: '', // Optional prefix for generated URLs
+    SHARE_BASE_URL: 'https://dihv.github.io/', // Viewer base for links made outside the browser (cli.js)
+    LINK_TRANSPORT: 'path', // Where links carry the payload: 'path' (served by 404.html) or
+                            // 'fragment' (after '#', never sent to the server; works on file://)
     ENCODE_SMALL_THRESHOLD: 32, // Bytes threshold for simplified encoding
 
+    // Codec selection - PTA_2: 'wholeStream' treats the payload as one big number,
+    // 'block' maps fixed N-byte blocks to M characters (geometry derived from SAFE_CHARS),
+    // 'range' entropy-codes lossless payloads straight into SAFE_CHARS (RangeCoder.js;
+    // encrypted payloads do not compress and fall back to 'wholeStream'),
+    // 'legacy' keeps the original 4-byte group encoding
+    CODEC_MODE: 'wholeStream',
+
+    // Versioned payload header written before whole-stream and block payloads
+    HEADER: {
+        MAGIC: '-',  // Never the first character of a legacy payload
+        VERSION: 2,  // Current header format version (2: CRC-32 checksum)
+        CHECKSUM_BITS: 32, // CRC-32 width; digit count is derived from SAFE_CHARS
+        CODECS: {    // Codec ids stored in the header
+            wholeStream: 1,
+            block: 2,
+            range: 3
+        },
+        FLAGS: {     // Flag bits for optional payload stages
+            FEC: 1,  // Reed-Solomon parity follows the preamble
+            DEFLATE: 2, // Decoded bytes are a raw deflate stream (see DeflateStage.js)
+            TEMPLATE: 4, // Inflated bytes reference container templates (see TemplateDictionary.js)
+            ORIENTATION: 8, // Restored bytes start with an EXIF orientation hint (see MetadataStripper.js)
+            ENCRYPTED: 16, // Decoded bytes are sealed with a passphrase (see PayloadCipher.js)
+            SIGNED: 32, // Decoded bytes end with the sharer's signature (see PayloadSigner.js)
+            ALBUM: 64, // Inflated bytes are a container of several images (see AlbumContainer.js)
+            FIELDS: 128, // Decrypted bytes start with caption fields (see PayloadFields.js)
+            FILE: 256 // Inflated bytes are a named file of any type (see FilePayload.js)
+        }
+    },
+
+    // Adaptive byte model of the range codec
+    RANGE_CODER: {
+        INCREMENT: 24,      // Count added per coded byte; higher adapts faster
+        MAX_TOTAL: 1 << 16  // Counts are halved above this total
+    },
+
+    // Lossless deflate stage tried before any lossy recompression - R_2
+    DEFLATE: {
+        ENABLED: true,
+        FORMAT: 'deflate-raw' // CompressionStream format; no zlib header or trailer
+    },
+
+    // Password-protected links (PayloadCipher.js). Links record only VERSION,
+    // so changing any other value here needs a new VERSION.
+    ENCRYPTION: {
+        VERSION: 1,
+        PBKDF2_ITERATIONS: 600000, // PBKDF2-HMAC-SHA256 work factor
+        PBKDF2_HASH: 'SHA-256',
+        KEY_BITS: 256,      // AES-256-GCM
+        SALT_BYTES: 16,
+        IV_BYTES: 12,
+        TAG_BYTES: 16
+    },
+
+    // Signed links (PayloadSigner.js). Links record only VERSION, so changing
+    // any other value here needs a new VERSION.
+    SIGNING: {
+        VERSION: 1,
+        CURVE: 'P-256',          // ECDSA curve
+        CURVE_HASH: 'SHA-256',
+        SIGNATURE_BYTES: 64,     // r || s as WebCrypto writes it
+        FINGERPRINT_BYTES: 8,    // Leading SHA-256 bytes of the raw public key
+        DB_NAME: 'bitstream-signing' // IndexedDB database holding the key pair and trusted keys
+    },
+
+    // Lossless metadata stripping before the fit check (MetadataStripper.js)
+    METADATA: {
+        STRIP: true,
+        KEEP_ICC: false,        // ICC profiles; canvas recompression drops them anyway
+        ORIENTATION_HINT: true  // Keep a JPEG's EXIF orientation as a 1-byte hint instead of a 34-byte segment
+    },
+
+    // Several images in one link (AlbumContainer.js). TYPES is append-only:
+    // links store the index of a type, so entries may only be added at the end.
+    ALBUM: {
+        VERSION: 1,
+        MAX_IMAGES: 6,
+        TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'image/svg+xml', 'image/avif', 'image/heic', 'image/heif'],
+        RECORD_FLAGS: {
+            TEMPLATE: 1,     // Record holds template references (TemplateDictionary.js)
+            ORIENTATION: 2   // Record starts with an orientation hint (MetadataStripper.js)
+        },
+        MIN_QUALITY: 0.4,    // Images are downscaled rather than compressed below this quality
+        SCALE_STEPS: [1, 0.75, 0.5, 0.35, 0.25, 0.15, 0.1]
+    },
+
+    // Files other than images (FilePayload.js). TYPES is append-only like ALBUM.TYPES.
+    FILE: {
+        VERSION: 1,
+        TYPES: ['text/plain', 'application/json', 'application/pdf', 'text/csv', 'text/markdown', 'application/xml',
+            'application/x-yaml', 'text/html', 'application/zip', 'application/octet-stream'],
+        // Shown as text besides text/* and +json / +xml types
+        TEXT_TYPES: ['application/json', 'application/xml', 'application/javascript', 'application/x-yaml',
+            'application/toml', 'application/x-sh'],
+        MAX_INPUT_BYTES: 1 << 20,  // Larger files are turned away before deflating
+        MAX_NAME_BYTES: 255,       // UTF-8 bytes of the recorded file name
+        PREVIEW_MAX_CHARS: 20000   // Text previews stop here; the download has everything
+    },
+
+    // Caption fields carried with the image (PayloadFields.js). Links store the
+    // type ids, so existing ids must never change; new fields get new ids.
+    FIELDS: {
+        TYPES: {
+            title: 1,    // UTF-8 text
+            alt: 2,      // UTF-8 text
+            author: 3,   // UTF-8 text
+            created: 4   // Unix seconds as a varint
+        },
+        MAX_TEXT_BYTES: 255  // Longest UTF-8 value a text field may hold
+    },
+
+    // Container boilerplate replaced by references to bundled templates before deflate
+    TEMPLATES: {
+        ENABLED: true
+    },
+
+    // Incremental decoding in the viewer (BitStreamCodec.decodeStream)
+    STREAMING: {
+        CHUNK_BYTES: 2048 // Bytes decoded between progress events
+    },
+
+    // Forward error correction - parity symbols per codeword (0 disables it)
+    FEC: {
+        DEFAULT_PARITY: 0,
+        MAX_PARITY: 40 // Corrects up to 20 damaged characters per codeword
+    },
+
     // Character set for URL encoding - PTA_1: Use URL-safe character set
     SAFE_CHARS: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$\'()*,/:@;+[]{}|^<>`#',
 
+    // Alphabet profiles for different sharing channels (see AlphabetProfiles.js).
+    // component: RFC 3986 component the payload must be legal in ('segment', 'path', 'query', 'fragment')
+    // marker: digit written after the header magic so the viewer picks the same alphabet;
+    //         the standard profile has none, so links made before profiles still decode
+    // strict: false only for SAFE_CHARS, whose characters outside RFC 3986 ('#' ends a path,
+    //         '<>' and friends get escaped) are listed as warnings instead of rejected
+    // New links default to a strict profile; the standard one stays available for its shorter links
+    DEFAULT_ALPHABET_PROFILE: 'path',
+    ALPHABET_PROFILES: {
+        standard: {
+            label: 'Standard (shortest links)',
+            component: 'path',
+            marker: '',
+            chars: null, // Uses SAFE_CHARS
+            strict: false
+        },
+        path: {
+            label: 'Path segment safe',
+            component: 'segment',
+            marker: '1',
+            chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$&\'()*+,;=:@'
+        },
+        fragment: {
+            label: 'Fragment safe (after #)',
+            component: 'fragment',
+            marker: '2',
+            chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$&\'()*+,;=:@/?'
+        },
+        query: {
+            label: 'Query safe (?img=)',
+            component: 'query',
+            marker: '3',
+            chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$\'()*,;:@/?'
+        },
+        linkifier: {
+            label: 'Linkifier safe (chat and mail)',
+            component: 'segment',
+            marker: '4',
+            chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+        },
+        caseInsensitive: {
+            label: 'Case-insensitive',
+            component: 'segment',
+            marker: '5',
+            chars: '0123456789abcdefghijklmnopqrstuvwxyz-',
+            caseInsensitive: true // Decoders lowercase the payload first
+        }
+    },
+
     // Input formats supported by the application - PR_3: Supported input formats
     SUPPORTED_INPUT_FORMATS: [
         'image/jpeg',
@@ -125,6 +304,7 @@ window.CONFIG = {
     // Advanced settings for performance tuning
     ADVANCED: {
         ENABLE_WORKER_THREADS: true, // Use worker threads when available
+        WORKER_SCRIPT: 'codecWorker.js', // Codec worker, resolved next to CodecWorkerPool.js
         TEXTURE_MAX_SIZE: 4096,      // Maximum texture size to use for GPU processing
         LOG_PERFORMANCE_METRICS: true, // Whether to log performance metrics
         ENABLE_DEBUG_MODE: true     // Enable additional debug information
@@ -52,12 +52,9 @@ window.ImageProcessor = class ImageProcessor {
                 throw new Error('Configuration not available. Please check config.js loading.');
             }
             
-            this.encoder = new window.GPUBitStreamEncoder(window.CONFIG.SAFE_CHARS);
-            
-            // Apply benchmark results if already completed
-            if (this.benchmarkCompleted && this.benchmark) {
-                this.benchmark.applyResults(this.encoder);
-            }
+            // The UI can switch profiles per file; start with the default
+            this.alphabetProfile = window.AlphabetProfiles.get();
+            this.encoder = this.createEncoder();
         } catch (error) {
             console.error('Failed to initialize encoder:', error);
             throw new Error(`Encoder initialization failed: ${error.message}`);
@@ -67,6 +64,9 @@ window.ImageProcessor = class ImageProcessor {
             console.warn('WebGL2 support not detected, CPU fallback will be used');
         }
     
+        // Run codec work off the main thread when workers are available
+        this.workerPool = this.createWorkerPool();
+    
         // Initialize compression engine after encoder is created
         this.compressionEngine = new window.CompressionEngine(this);
     
@@ -165,9 +165,134 @@ window.ImageProcessor = class ImageProcessor {
             return false;
         }
         
+        if (!window.AlphabetProfiles) {
+            console.error('AlphabetProfiles not available');
+            return false;
+        }
+        
+        if (!window.TemplateDictionary) {
+            console.error('TemplateDictionary not available');
+            return false;
+        }
+        
+        if (!window.MetadataStripper) {
+            console.error('MetadataStripper not available');
+            return false;
+        }
+        
+        if (!window.AlbumContainer) {
+            console.error('AlbumContainer not available');
+            return false;
+        }
+        
+        if (!window.PayloadFields) {
+            console.error('PayloadFields not available');
+            return false;
+        }
+        
+        if (!window.FilePayload) {
+            console.error('FilePayload not available');
+            return false;
+        }
+        
         return true;
     }
 
+    /**
+     * Checks that a password-protected link can be made
+     * @param {string} passphrase - Passphrase from the UI
+     * @returns {boolean} - False after reporting why encryption cannot be used
+     */
+    checkEncryption(passphrase) {
+        if (!passphrase) {
+            this.uiController.showStatus('Enter a passphrase or turn off password protection', 'error');
+            return false;
+        }
+        if (!window.PayloadCipher || !window.PayloadCipher.isSupported()) {
+            this.uiController.showStatus('Password protection needs WebCrypto, which this browser only offers on https pages', 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Loads the user's signing key pair, creating it on first use
+     * @returns {Promise<Object|null>} - Signer for encodeBits, or null after reporting why links cannot be signed
+     */
+    async loadSigner() {
+        if (!window.PayloadSigner || !window.PayloadSigner.isSupported() || !window.indexedDB) {
+            this.uiController.showStatus('Signing needs WebCrypto and IndexedDB, which this browser only offers on https pages', 'error');
+            return null;
+        }
+        try {
+            return await window.PayloadSigner.loadIdentity();
+        } catch (error) {
+            console.error('Failed to load the signing key:', error);
+            this.uiController.showStatus(`Could not load your signing key: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Applies the user's error correction, alphabet, encryption, signing and caption choices
+     * Estimates made afterwards include their overhead.
+     * @returns {Promise<boolean>} - False after reporting why the choices cannot be used
+     */
+    async applyEncodeOptions() {
+        const { alphabetProfile, sign, passphrase, ...encodeOptions } = this.uiController.getEncodeOptions();
+        if (passphrase !== null && !this.checkEncryption(passphrase)) {
+            return false;
+        }
+        // Only the choice is kept; encodePayload reads the passphrase itself for the final encode
+        encodeOptions.encrypted = passphrase !== null;
+        try {
+            window.PayloadFields.getLength(encodeOptions.fields);
+        } catch (error) {
+            this.uiController.showStatus(error.message, 'error');
+            return false;
+        }
+        encodeOptions.signer = sign ? await this.loadSigner() : null;
+        if (sign && !encodeOptions.signer) {
+            return false;
+        }
+
+        this.setAlphabetProfile(alphabetProfile);
+        this.encoder.setEncodeOptions(encodeOptions);
+        if (this.workerPool) {
+            this.workerPool.setEncodeOptions({ ...encodeOptions, alphabetProfile });
+        }
+        return true;
+    }
+
+    /**
+     * Create an encoder for the current alphabet profile
+     * @returns {GPUBitStreamEncoder}
+     */
+    createEncoder() {
+        const encoder = new window.GPUBitStreamEncoder(this.alphabetProfile.chars, this.alphabetProfile.marker);
+        
+        // Apply benchmark results if already completed
+        if (this.benchmarkCompleted && this.benchmark) {
+            this.benchmark.applyResults(encoder);
+        }
+        return encoder;
+    }
+
+    /**
+     * Switch the alphabet profile, replacing the encoder when it changes
+     * @param {string} profileId - Id from CONFIG.ALPHABET_PROFILES
+     */
+    setAlphabetProfile(profileId) {
+        if (profileId === this.alphabetProfile.id) {
+            return;
+        }
+        
+        this.alphabetProfile = window.AlphabetProfiles.get(profileId);
+        this.encoder = this.createEncoder();
+        this.compressionEngine.setEncoder(this.encoder);
+        console.log(`Using the ${this.alphabetProfile.id} alphabet profile (${this.alphabetProfile.chars.length} characters)`);
+    }
+
     /**
      * Create fallback metrics object when ProcessingMetrics is not available
      * @returns {Object}
@@ -183,10 +308,48 @@ window.ImageProcessor = class ImageProcessor {
             setOriginalImage: () => {},
             setProcessedImage: () => {},
             setAnalysis: () => {},
-            recordCompressionAttempt: () => {}
+            recordCompressionAttempt: () => {},
+            recordWorkerEvent: () => {}
         };
     }
 
+    /**
+     * Create the codec worker pool if workers are enabled and supported
+     * Worker progress, results and errors are forwarded to the metrics.
+     * @returns {CodecWorkerPool|null}
+     */
+    createWorkerPool() {
+        if (!window.CodecWorkerPool || !window.CodecWorkerPool.isSupported()) {
+            return null;
+        }
+
+        try {
+            return new window.CodecWorkerPool({
+                onEvent: (event) => this.metrics.recordWorkerEvent(event)
+            });
+        } catch (error) {
+            console.warn('Failed to start codec workers, using the main thread:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Encode payload bytes, in a worker when possible
+     * This is the final encode of a link, so it is the only call that gets the
+     * passphrase; candidates are measured with the encrypted option alone.
+     * @param {Uint8Array} bytes - Data to encode
+     * @param {Object} [options] - Options for encodeBits
+     * @returns {Promise<string>} - Encoded URL data
+     */
+    async encodePayload(bytes, options) {
+        const { passphrase } = this.uiController.getEncodeOptions();
+        const encodeOptions = { ...options, encrypted: passphrase !== null, passphrase };
+        if (this.workerPool && await this.workerPool.supports('encode')) {
+            return this.workerPool.encode(bytes, encodeOptions);
+        }
+        return this.encoder.encodeBits(bytes, encodeOptions);
+    }
+
     /**
      * Bind event listeners to UI elements
      */
@@ -213,6 +376,12 @@ window.ImageProcessor = class ImageProcessor {
 
         this.uiController.elements.dropZone.addEventListener('drop', (e) => this.handleDrop(e));
         this.uiController.elements.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        if (this.uiController.elements.encodeSnippet) {
+            this.uiController.elements.encodeSnippet.addEventListener('click', () => {
+                const { text, markdown } = this.uiController.getSnippet();
+                this.processText(text, markdown);
+            });
+        }
         
         // Listen for page unload to clean up resources
         window.addEventListener('beforeunload', () => this.resourceManager.cleanup());
@@ -224,7 +393,11 @@ window.ImageProcessor = class ImageProcessor {
      */
     async handleDrop(e) {
         const files = e.dataTransfer.files;
-        if (files.length) await this.processFile(files[0]);
+        if (files.length > 1) {
+            await this.processAlbum(Array.from(files));
+        } else if (files.length) {
+            await this.processFile(files[0]);
+        }
     }
 
     /**
@@ -233,12 +406,192 @@ window.ImageProcessor = class ImageProcessor {
      */
     async handleFileSelect(e) {
         const files = e.target.files;
-        if (files.length) await this.processFile(files[0]);
+        if (files.length > 1) {
+            await this.processAlbum(Array.from(files));
+        } else if (files.length) {
+            await this.processFile(files[0]);
+        }
+    }
+
+    /**
+     * Shares several images as one album link
+     * @param {File[]} files - Images in album order
+     */
+    async processAlbum(files) {
+        this.processingAborted = false;
+
+        this.metrics.startProcessing();
+        this.metrics.startStage('initialization', `Preparing an album of ${files.length} images`);
+
+        const maxImages = window.CONFIG.ALBUM.MAX_IMAGES;
+        if (files.length > maxImages) {
+            this.uiController.showStatus(`An album holds at most ${maxImages} images`, 'error', `Selected: ${files.length}`);
+            this.metrics.endProcessing();
+            return;
+        }
+        for (const file of files) {
+            const validation = this.browserUtils.validateInputFormat(file);
+            if (!validation.valid) {
+                this.uiController.showStatus(`${file.name}: ${validation.error}`, 'error', validation.details);
+                this.metrics.endProcessing();
+                return;
+            }
+        }
+        if (!await this.applyEncodeOptions()) {
+            this.metrics.endProcessing();
+            return;
+        }
+
+        try {
+            this.originalSize = files.reduce((total, file) => total + file.size, 0);
+            this.originalFormat = [...new Set(files.map(file => file.type))].join(', ');
+            this.processedSize = this.originalSize;
+            this.processedFormat = this.originalFormat;
+            this.metrics.setOriginalImage({ size: this.originalSize, format: this.originalFormat });
+            this.uiController.updatePreview(this.resourceManager.createAndTrackObjectURL(files[0]));
+
+            this.metrics.endStage('initialization');
+            this.metrics.startStage('analysis', 'Analyzing album images');
+
+            const analyses = [];
+            for (const file of files) {
+                this.metrics.updateStageStatus('analysis', `Analyzing ${file.name}`);
+                analyses.push(await this.performImageAnalysis(file));
+                if (this.processingAborted) {
+                    this.metrics.endProcessing();
+                    return;
+                }
+            }
+
+            this.metrics.endStage('analysis');
+            this.metrics.startStage('compression', `Compressing ${files.length} images`);
+
+            const baseUrlLength = this.uiController.buildShareUrl('').length;
+            const effectiveMaxLength = this.maxSize - baseUrlLength - 10; // 10 char buffer
+            const result = await this.compressionEngine.compressAlbum(files, analyses, effectiveMaxLength);
+            if (this.processingAborted || !result) {
+                this.metrics.endProcessing();
+                return;
+            }
+
+            this.processedSize = result.records.reduce((total, record) => total + record.bytes.length, 0);
+            this.processedFormat = `album of ${result.records.length} (${[...new Set(result.records.map(record => record.type))].join(', ')})`;
+            this.metrics.setProcessedImage({ size: this.processedSize, format: this.processedFormat });
+
+            this.metrics.endStage('compression');
+            this.metrics.startStage('encoding', 'Generating URL encoding');
+
+            await this.uiController.generateResult(result.encoded);
+            this.uiController.updateImageStats();
+
+            this.metrics.endStage('encoding');
+            this.metrics.endProcessing();
+
+            this.uiController.showStatus(this.uiController.getProcessingStats(), 'success');
+        } catch (error) {
+            console.error('Album processing error:', error);
+            this.metrics.recordError(error.message, error);
+            this.metrics.endProcessing();
+            this.uiController.showStatus('Processing error', 'error', error.message);
+            this.uiController.updateImageStats();
+        }
+    }
+
+    /**
+     * Shares pasted text as a snippet file, so it gets the same deflate and budget checks as files
+     * @param {string} text - Snippet; Blob stores it as UTF-8
+     * @param {boolean} markdown - Render it as Markdown in the viewer
+     */
+    async processText(text, markdown) {
+        if (!text.trim()) {
+            this.uiController.showStatus('Paste some text to share first', 'error');
+            return;
+        }
+        const file = markdown ?
+            new File([text], 'snippet.md', { type: 'text/markdown' }) :
+            new File([text], 'snippet.txt', { type: 'text/plain' });
+        await this.processFile(file);
+    }
+
+    /**
+     * Shares a file that is not a supported image (FilePayload.js)
+     * Files are never recompressed: they fit the budget after deflate or are turned away.
+     * @param {File} file - File of any type
+     */
+    async processGenericFile(file) {
+        const { MAX_INPUT_BYTES } = window.CONFIG.FILE;
+        if (file.size > MAX_INPUT_BYTES) {
+            this.uiController.showStatus(
+                `${file.name} is too large to share`,
+                'error',
+                `Files up to ${(MAX_INPUT_BYTES / 1024).toFixed(0)}KB are accepted`
+            );
+            this.metrics.endProcessing();
+            return;
+        }
+        if (!await this.applyEncodeOptions()) {
+            this.metrics.endProcessing();
+            return;
+        }
+
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const type = file.type || window.FilePayload.guessType(file.name, bytes);
+            this.originalSize = file.size;
+            this.originalFormat = type;
+            this.processedSize = file.size;
+            this.processedFormat = type;
+            this.metrics.setOriginalImage({ size: file.size, format: type });
+            this.uiController.clearPreview();
+
+            this.metrics.endStage('initialization');
+            this.metrics.startStage('encoding', `Encoding ${file.name}`);
+
+            const lossless = await window.DeflateStage.tryCompress(window.FilePayload.pack({ type, name: file.name, bytes }));
+            const baseUrlLength = this.uiController.buildShareUrl('').length;
+            const effectiveMaxLength = this.maxSize - baseUrlLength - 10; // 10 char buffer
+
+            // Skip the encoding pass entirely when the file cannot possibly fit
+            const estimate = this.encoder.estimateEncodedLength(lossless.bytes.length);
+            const encoded = estimate <= effectiveMaxLength ?
+                await this.encodePayload(lossless.bytes, { file: true, deflated: lossless.deflated }) :
+                null;
+            if (this.processingAborted) {
+                this.metrics.endProcessing();
+                return;
+            }
+            if (!encoded || encoded.length > effectiveMaxLength) {
+                this.uiController.showStatus(
+                    `${file.name} does not fit in a link`,
+                    'error',
+                    `Needs ${encoded ? encoded.length : `at least ${estimate}`} characters, the budget is ${effectiveMaxLength}`
+                );
+                this.metrics.endProcessing();
+                return;
+            }
+
+            this.processedSize = lossless.bytes.length;
+            this.metrics.setProcessedImage({ size: this.processedSize, format: type });
+
+            await this.uiController.generateResult(encoded);
+            this.uiController.updateImageStats();
+
+            this.metrics.endStage('encoding');
+            this.metrics.endProcessing();
+
+            this.uiController.showStatus(this.uiController.getProcessingStats(), 'success');
+        } catch (error) {
+            console.error('File processing error:', error);
+            this.metrics.recordError(error.message, error);
+            this.metrics.endProcessing();
+            this.uiController.showStatus('Processing error', 'error', error.message);
+            this.uiController.updateImageStats();
+        }
     }
 
     /**
      * Main file processing method
-     * @param {File} file - Image file to process
+     * @param {File} file - Image file to process; other files are shared as they are
      */
     async processFile(file) {
         // Reset abort flag
@@ -258,8 +611,14 @@ window.ImageProcessor = class ImageProcessor {
             }
         }
         
-        // Validate input format
-        if (!this.browserUtils.validateInputFormat(file)) {
+        // Anything that is not a supported image is shared as a plain file
+        if (!this.browserUtils.validateInputFormat(file).valid) {
+            await this.processGenericFile(file);
+            return;
+        }
+        
+        if (!await this.applyEncodeOptions()) {
+            this.metrics.endProcessing();
             return;
         }
     
@@ -309,16 +668,34 @@ window.ImageProcessor = class ImageProcessor {
             this.metrics.startStage('formatSelection', 'Selecting optimal format');
             
             // Calculate base URL overhead to ensure we account for it in compression targets
-            const baseUrl = window.location.href.split('?')[0].replace('index.html', '');
-            const baseUrlLength = baseUrl.length;
+            const baseUrlLength = this.uiController.buildShareUrl('').length;
             const effectiveMaxLength = this.maxSize - baseUrlLength - 10; // 10 char buffer
             
             this.metrics.updateStageStatus('formatSelection', 'Testing initial encoding');
             
             try {
-                const buffer = await file.arrayBuffer();
-                const initialBits = await this.encoder.toBitArray(buffer);
-                const initialEncoded = await this.encoder.encodeBits(initialBits);
+                // R_2: Lossless metadata stripping, templating and deflate come before any lossy recompression
+                this.metrics.updateStageStatus('formatSelection', 'Trying lossless compression');
+                const stripped = window.MetadataStripper.strip(new Uint8Array(await file.arrayBuffer()));
+                if (stripped.removed.length > 0) {
+                    const removedBytes = stripped.removed.reduce((total, part) => total + part.length, 0);
+                    this.metrics.updateStageStatus(
+                        'formatSelection',
+                        `Removed ${(removedBytes / 1024).toFixed(2)}KB of metadata (${stripped.removed.map(part => part.name).join(', ')})`
+                    );
+                }
+                const templated = window.TemplateDictionary.apply(stripped.bytes);
+                const lossless = await window.DeflateStage.tryCompress(templated.bytes);
+
+                // Skip the encoding pass entirely when the file cannot possibly fit
+                const fitsInitially = this.encoder.estimateEncodedLength(lossless.bytes.length) <= effectiveMaxLength;
+                const initialEncoded = fitsInitially ?
+                    await this.encodePayload(lossless.bytes, {
+                        oriented: stripped.oriented,
+                        templated: templated.templated,
+                        deflated: lossless.deflated
+                    }) :
+                    null;
                 
                 // Abort if processing was cancelled
                 if (this.processingAborted) {
@@ -329,13 +706,13 @@ window.ImageProcessor = class ImageProcessor {
                 this.metrics.updateStageStatus('formatSelection', 'Checking URL size limits');
                 
                 // Check if original file fits within URL limit
-                if (initialEncoded.length <= effectiveMaxLength) {
-                    // Original file fits within URL limit
-                    this.processedSize = file.size;
+                if (initialEncoded && initialEncoded.length <= effectiveMaxLength) {
+                    // Original file fits within URL limit, possibly after the lossless stages
+                    this.processedSize = lossless.bytes.length;
                     this.processedFormat = file.type;
                     
                     this.metrics.setProcessedImage({
-                        size: file.size,
+                        size: lossless.bytes.length,
                         format: file.type
                     });
                     
@@ -450,7 +827,7 @@ window.ImageProcessor = class ImageProcessor {
                 this.metrics.endStage('compression');
                 this.metrics.startStage('encoding', 'Generating URL encoding');
                 
-                await this.uiController.generateResult(bestResult.encoded);
+                await this.uiController.generateResult(await this.compressionEngine.encodeResult(bestResult));
                 this.uiController.updateImageStats();
                 
                 this.metrics.endStage('encoding');
@@ -484,7 +861,7 @@ window.ImageProcessor = class ImageProcessor {
                 this.metrics.endStage('compression');
                 this.metrics.startStage('encoding', 'Generating URL encoding');
                 
-                await this.uiController.generateResult(bruteForceResult.encoded);
+                await this.uiController.generateResult(await this.compressionEngine.encodeResult(bruteForceResult));
                 this.uiController.updateImageStats();
                 
                 this.metrics.endStage('encoding');
@@ -22,12 +22,18 @@ window.ImageViewer = class ImageViewer {
      */
     constructor(imageData) {
         // Check dependencies are loaded
-        if (!window.GPUBitStreamEncoder || !window.CONFIG) {
+        if (!window.GPUBitStreamEncoder || !window.CONFIG || !window.AlphabetProfiles || !window.LinkNormalizer ||
+            !window.TemplateDictionary || !window.MetadataStripper || !window.PayloadCipher || !window.PayloadSigner ||
+            !window.AlbumContainer || !window.PayloadFields || !window.FilePayload || !window.MarkdownRenderer) {
             throw new Error('Required dependencies not loaded');
         }
         
-        // PTA_1 & PTA_5: Use safe character set from shared config
-        this.encoder = new window.GPUBitStreamEncoder(window.CONFIG.SAFE_CHARS);
+        // PTA_1 & PTA_5: Start with the default alphabet profile; the payload may name another
+        this.alphabetProfile = window.AlphabetProfiles.get();
+        this.encoder = this.createEncoder();
+
+        // A single worker keeps large decodes off the main thread
+        this.workerPool = this.createWorkerPool();
         
         // Verify WebGL support for decoding
         this.hasWebGLSupport = this.checkWebGLSupport();
@@ -38,16 +44,62 @@ window.ImageViewer = class ImageViewer {
         // Setup container for the image
         this.container = this.createContainer();
         document.body.appendChild(this.container);
+
+        // Arrow-key navigation of the album on screen, removed with its gallery
+        this.galleryKeyHandler = null;
+
+        // Object URLs of the album on screen, shared by its images, thumbnails and download
+        this.albumUrls = [];
         
         // Process image data if provided
         if (imageData) {
-            this.decodeAndDisplayImage(decodeURIComponent(imageData))
+            this.decodeAndDisplayImage(imageData)
                 .catch(error => this.showError(error.message));
         } else {
             this.showError('No image data provided');
         }
     }
 
+    /**
+     * Starts a single codec worker if workers are enabled and supported
+     * Pages opened from file:// may refuse to start workers; decoding then stays on the main thread.
+     * @returns {CodecWorkerPool|null} - Worker pool, or null
+     */
+    createWorkerPool() {
+        if (!window.CodecWorkerPool || !window.CodecWorkerPool.isSupported()) {
+            return null;
+        }
+
+        try {
+            return new window.CodecWorkerPool({ size: 1 });
+        } catch (error) {
+            console.warn('Failed to start codec worker, decoding on the main thread:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Creates a decoder for the current alphabet profile
+     * @returns {GPUBitStreamEncoder} - Encoder/decoder adapter
+     */
+    createEncoder() {
+        return new window.GPUBitStreamEncoder(this.alphabetProfile.chars, this.alphabetProfile.marker);
+    }
+
+    /**
+     * Switches to the alphabet profile recorded in the payload
+     * @param {Object} profile - Profile from AlphabetProfiles
+     * @returns {GPUBitStreamEncoder} - Encoder/decoder for the profile
+     */
+    useAlphabetProfile(profile) {
+        if (profile.id !== this.alphabetProfile.id) {
+            console.log(`Payload uses the ${profile.id} alphabet profile`);
+            this.alphabetProfile = profile;
+            this.encoder = this.createEncoder();
+        }
+        return this.encoder;
+    }
+
     /**
      * Checks if WebGL2 is supported by the browser
      * @returns {boolean} - Whether WebGL2 is supported
@@ -79,28 +131,115 @@ window.ImageViewer = class ImageViewer {
 
     /**
      * Main process to decode and display an image from encoded data
-     * @param {string} encodedData - URL-encoded image data
+     * @param {string} linkData - Image data as found in the link, possibly escaped or mangled
      */
-    async decodeAndDisplayImage(encodedData) {
+    async decodeAndDisplayImage(linkData) {
+        let encodedData = linkData;
         try {
-            // Step 1: Validate the encoded data
+            // Step 1: Undo escaping and client mangling with the decoder for the payload's
+            // alphabet, then validate the encoded data
+            const normalized = window.LinkNormalizer.normalize(linkData, (profile) => this.useAlphabetProfile(profile));
+            encodedData = normalized.encoded;
+            this.linkRepairs = normalized.repairs;
+            if (this.linkRepairs.length > 0) {
+                console.log('Repaired link:', this.linkRepairs.map(repair => repair.message).join('; '));
+            }
             this.validateEncodedData(encodedData);
 
             // Step 2: Show loading state
             this.showStatus('Decoding image data...', 'info');
 
-            // Step 3: Extract and verify metadata
+            // Step 3: A cut-off link fails every later check, so diagnose it first
+            const layout = this.encoder.inspectPayload(encodedData);
+            if (layout && layout.receivedLength < layout.expectedLength) {
+                throw new window.TruncatedPayloadError(this.encoder.decodePartial(encodedData));
+            }
+
+            // Extract and verify metadata
             const { metadata, data, checksum } = this.extractMetadata(encodedData);
             
-            // Step 4: Verify data integrity using checksum
+            // Step 4: Digit-sum checksums (legacy links, version 1 headers) cover the encoded data
             this.showStatus('Verifying data integrity...', 'info');
-            if (!this.verifyChecksum(data, checksum)) {
-                throw new Error('Data corruption detected: checksum mismatch');
+            if (metadata.checksumType === 'sum') {
+                this.verifyDigitSum(data, checksum);
             }
 
-            // Step 5: Decode the binary data
-            this.showStatus('Decoding image data...', 'info');
-            const buffer = await this.decode(encodedData);
+            // Step 5: Decode the binary data with a progress bar; the format is
+            // detected from the first chunk so the progress can name it
+            const controller = new AbortController();
+            const progressView = this.showDecodeProgress(controller);
+            const { DEFLATE, TEMPLATE, ORIENTATION, ENCRYPTED, SIGNED, ALBUM, FIELDS, FILE } = window.CONFIG.HEADER.FLAGS;
+            const packed = Boolean(metadata.flags & (DEFLATE | TEMPLATE | ORIENTATION | ENCRYPTED | ALBUM | FIELDS | FILE));
+            const signatureLength = this.getSignatureLength();
+            let prefix = new Uint8Array(0);
+            let earlyFormat = null;
+
+            let buffer = await this.decode(encodedData, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    // Only plain image payloads start with the image signature
+                    if (!packed && prefix.length < signatureLength) {
+                        const head = new Uint8Array(Math.min(signatureLength, prefix.length + progress.chunk.length));
+                        head.set(prefix);
+                        head.set(progress.chunk.subarray(0, head.length - prefix.length), prefix.length);
+                        prefix = head;
+                        if (prefix.length === signatureLength || progress.bytesDone === progress.totalBytes) {
+                            earlyFormat = this.detectImageFormat(prefix);
+                        }
+                    }
+                    this.updateDecodeProgress(progressView, progress, earlyFormat);
+                }
+            });
+            
+            // CRC-32 checksums cover the decoded bytes
+            if (metadata.checksumType === 'crc32') {
+                this.verifyChecksum(buffer, checksum);
+            }
+
+            // The signature covers the ciphertext, so it is checked before asking for a passphrase
+            let signature = null;
+            if (metadata.flags & SIGNED) {
+                signature = await window.PayloadSigner.verify(buffer, metadata.flags, await this.getSigningKeys());
+                buffer = signature.payload.slice().buffer;
+            }
+
+            // The checksum covers the transmitted bytes, so decrypt and inflate only after verifying them
+            if (metadata.flags & ENCRYPTED) {
+                buffer = (await this.decryptPayload(new Uint8Array(buffer), metadata.flags)).buffer;
+            }
+
+            // Caption fields lead the decrypted payload, ahead of any deflate stream
+            let fields = null;
+            if (metadata.flags & FIELDS) {
+                const section = window.PayloadFields.split(buffer);
+                fields = section.fields;
+                buffer = section.payload.slice().buffer;
+            }
+            if (metadata.flags & DEFLATE) {
+                this.showStatus('Inflating image data...', 'info');
+                buffer = (await window.DeflateStage.decompress(buffer)).buffer;
+            }
+
+            // Files are shown as they were sent, without any image stages
+            if (metadata.flags & FILE) {
+                this.showFile(window.FilePayload.unpack(buffer), signature, fields);
+                return;
+            }
+
+            // Album records carry their own template and orientation flags
+            if (metadata.flags & ALBUM) {
+                await this.showAlbum(this.readAlbum(buffer), signature, fields);
+                return;
+            }
+
+            if (metadata.flags & TEMPLATE) {
+                buffer = window.TemplateDictionary.expand(buffer).buffer;
+            }
+
+            // The orientation hint goes last, undoing the encoder's metadata stripping
+            if (metadata.flags & ORIENTATION) {
+                buffer = window.MetadataStripper.restore(buffer).bytes.buffer;
+            }
             
             // Step 6: Detect and verify image format
             const format = this.detectImageFormat(buffer);
@@ -121,31 +260,173 @@ window.ImageViewer = class ImageViewer {
             const img = await this.createImage(url, format);
             
             // Step 10: Update UI with image and info
-            this.container.innerHTML = ''; // Clear any previous content
-            this.addImageInfo(buffer.byteLength, format);
+            this.clearContainer();
+            if (fields) {
+                this.addCaption(fields, [img]);
+            }
+            this.addImageInfo(buffer.byteLength, format, this.lastErrorCorrection, this.linkRepairs);
+            if (signature) {
+                this.addSignatureInfo(signature);
+            }
             this.container.appendChild(img);
             this.addDownloadButton(blob, format);
 
         } catch (error) {
             console.error('Display error:', error);
-            this.showError(`Failed to display image: ${error.message}`);
+            if (error instanceof window.TruncatedPayloadError) {
+                await this.showDecodeReport(error.report);
+            } else if (error instanceof window.ChecksumError) {
+                this.showError(`Data corruption detected: ${error.message}`);
+            } else if (error.name === 'AbortError') {
+                this.showError('Decoding cancelled');
+            } else {
+                this.showError(`Failed to display image: ${error.message}`);
+                this.addDecodeDiagnostics(this.getDecodeReport(encodedData));
+            }
+        }
+    }
+
+    /**
+     * Builds a partial decode report without letting diagnostics mask the original error
+     * @param {string} encodedData - The encoded image data
+     * @returns {Object|null} - Report from the decoder, or null if none could be made
+     */
+    getDecodeReport(encodedData) {
+        try {
+            return encodedData ? this.encoder.decodePartial(encodedData) : null;
+        } catch (error) {
+            console.warn('Could not build decode report:', error);
+            return null;
         }
     }
 
+    /**
+     * Explains a truncated link and shows whatever part of the image survived
+     * Browsers render the leading part of a cut-off JPEG or PNG, so a prefix
+     * with a recognizable signature is still worth displaying.
+     * @param {Object} report - Partial decode report from the decoder
+     */
+    async showDecodeReport(report) {
+        this.showError(`Link is incomplete: ${report.error}`);
+        this.addDecodeDiagnostics(report);
+
+        // AES-GCM only opens a complete ciphertext, so nothing of an encrypted image can be shown;
+        // album records are only located by the complete container header and lengths, and
+        // a partial file is not worth offering
+        const { ENCRYPTED, ALBUM, FILE } = window.CONFIG.HEADER.FLAGS;
+        if (report.flags & (ENCRYPTED | ALBUM | FILE)) {
+            return;
+        }
+
+        let bytes = report.bytes;
+        if (report.usable && (report.flags & window.CONFIG.HEADER.FLAGS.FIELDS)) {
+            try {
+                bytes = window.PayloadFields.split(bytes).payload;
+            } catch (error) {
+                console.warn('Recovered prefix ends inside the caption fields:', error);
+                return;
+            }
+        }
+        if (report.usable && (report.flags & window.CONFIG.HEADER.FLAGS.DEFLATE)) {
+            try {
+                bytes = await window.DeflateStage.decompress(bytes, { partial: true });
+            } catch (error) {
+                console.warn('Recovered prefix could not be inflated:', error);
+                return;
+            }
+        }
+        if (report.usable && (report.flags & window.CONFIG.HEADER.FLAGS.TEMPLATE)) {
+            bytes = window.TemplateDictionary.expand(bytes, { partial: true });
+        }
+        if (report.usable && (report.flags & window.CONFIG.HEADER.FLAGS.ORIENTATION)) {
+            bytes = window.MetadataStripper.restore(bytes).bytes;
+        }
+
+        const format = bytes.length > 0 ? this.detectImageFormat(bytes.buffer) : null;
+        if (!format || !window.CONFIG.SUPPORTED_INPUT_FORMATS.includes(format)) {
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([bytes], { type: format }));
+        try {
+            const img = await this.createImage(url, format);
+            this.container.appendChild(img);
+        } catch (error) {
+            console.warn('Recovered prefix could not be rendered:', error);
+        }
+    }
+
+    /**
+     * Adds a breakdown of a partial decode report below the current message
+     * @param {Object|null} report - Partial decode report from the decoder
+     */
+    addDecodeDiagnostics(report) {
+        if (!report || report.expectedLength === null) {
+            return;
+        }
+
+        const details = document.createElement('div');
+        details.style.cssText = `
+            margin-bottom: 20px;
+            text-align: center;
+            font-family: system-ui, -apple-system, sans-serif;
+            color: #666;
+        `;
+
+        const lines = [`Expected ${report.expectedLength} characters, received ${report.receivedLength}`];
+        if (report.firstBadOffset !== null) {
+            lines.push(`First unusable character at offset ${report.firstBadOffset}`);
+        }
+        lines.push(report.usable ?
+            `Recovered ${report.decodedBytes} of ${report.expectedBytes} image bytes (unverified)` :
+            'No image bytes could be recovered');
+
+        for (const line of lines) {
+            const row = document.createElement('div');
+            row.textContent = line;
+            details.appendChild(row);
+        }
+        this.container.appendChild(details);
+    }
+
     /**
      * Decodes encoded string data to binary
+     * Header payloads are decoded incrementally (in a worker when available);
+     * legacy payloads stay on the GPU path and report no progress.
      * @param {string} encodedData - The encoded image data
+     * @param {Object} [options] - Streaming options
+     * @param {Function} [options.onProgress] - Receives { bytesDone, totalBytes, chunk }
+     * @param {AbortSignal} [options.signal] - Cancels decoding
      * @returns {Promise<ArrayBuffer>} - Decoded binary data
      */
-    async decode(encodedData) {
+    async decode(encodedData, options = {}) {
         if (!encodedData) {
             throw new Error('No encoded data to decode');
         }
 
         try {
+            if (this.encoder.hasHeader(encodedData)) {
+                if (this.workerPool && await this.workerPool.supports('decode')) {
+                    const { buffer, errorCorrection } = await this.workerPool.decode(encodedData, options);
+                    this.lastErrorCorrection = errorCorrection;
+                    return buffer;
+                }
+
+                const buffer = await this.encoder.decodeStream(encodedData, options);
+                this.lastErrorCorrection = this.encoder.lastErrorCorrection;
+                return buffer;
+            }
+
             // Use the encoder's decodeBits method
-            return await this.encoder.decodeBits(encodedData);
+            const buffer = await this.encoder.decodeBits(encodedData);
+            this.lastErrorCorrection = this.encoder.lastErrorCorrection;
+            return buffer;
         } catch (error) {
+            // Corruption and cancellation are not decoder problems, so retrying cannot help
+            if (error instanceof window.ChecksumError || error instanceof window.TruncatedPayloadError ||
+                error.name === 'AbortError') {
+                throw error;
+            }
             console.error('Primary decoding error:', error);
             
             // Try reinitializing the encoder if WebGL context was lost
@@ -154,8 +435,10 @@ window.ImageViewer = class ImageViewer {
                 
                 try {
                     // Create a new encoder instance
-                    this.encoder = new window.GPUBitStreamEncoder(window.CONFIG.SAFE_CHARS);
-                    return await this.encoder.decodeBits(encodedData);
+                    this.encoder = this.createEncoder();
+                    const buffer = await this.encoder.decodeBits(encodedData);
+                    this.lastErrorCorrection = this.encoder.lastErrorCorrection;
+                    return buffer;
                 } catch (reinitError) {
                     console.error('Failed to reinitialize encoder:', reinitError);
                     throw new Error(`Decoding failed after context loss: ${reinitError.message}`);
@@ -167,18 +450,34 @@ window.ImageViewer = class ImageViewer {
     }
 
     /**
-     * Verifies data integrity using checksum
+     * Verifies decoded bytes against the CRC-32 from the payload header
+     * Uses the same Crc32 implementation as the encoder and decoder.
+     * @param {ArrayBuffer} buffer - Decoded binary data
+     * @param {number} expectedChecksum - CRC-32 from the header
+     * @throws {ChecksumError} - If the data is corrupted
+     */
+    verifyChecksum(buffer, expectedChecksum) {
+        const checksum = window.Crc32.compute(buffer);
+        if (checksum !== expectedChecksum) {
+            throw new window.ChecksumError(expectedChecksum, checksum);
+        }
+    }
+
+    /**
+     * Verifies a digit-sum checksum over encoded data (legacy and version 1 payloads)
      * @param {string} data - Encoded data string
      * @param {number} expectedChecksum - Expected checksum value
-     * @returns {boolean} - Whether checksum is valid
+     * @throws {ChecksumError} - If the data is corrupted
      */
-    verifyChecksum(data, expectedChecksum) {
+    verifyDigitSum(data, expectedChecksum) {
         let checksum = 0;
         for (const char of data) {
             // Calculate running checksum using same algorithm as encoder
             checksum = (checksum + this.encoder.charToIndex.get(char)) % this.encoder.RADIX;
         }
-        return checksum === expectedChecksum;
+        if (checksum !== expectedChecksum) {
+            throw new window.ChecksumError(expectedChecksum, checksum);
+        }
     }
 
     /**
@@ -187,7 +486,23 @@ window.ImageViewer = class ImageViewer {
      * @returns {Object} - Extracted metadata, data section, and checksum
      */
     extractMetadata(encodedData) {
-        // Read metadata length indicator (first character)
+        // Versioned payloads describe themselves in the header
+        if (this.encoder.hasHeader(encodedData)) {
+            const { header, dataSection, expectedChecksum } = this.encoder.extractHeaderMetadata(encodedData);
+            return {
+                metadata: {
+                    length: header.length,
+                    version: header.version,
+                    codec: header.codecName,
+                    flags: header.flags,
+                    checksumType: header.checksumType
+                },
+                data: dataSection,
+                checksum: expectedChecksum
+            };
+        }
+
+        // Legacy payload: read metadata length indicator (first character)
         const metadataLengthChar = encodedData[0];
         const metadataLength = this.encoder.charToIndex.get(metadataLengthChar);
         
@@ -208,7 +523,7 @@ window.ImageViewer = class ImageViewer {
         }
         
         return {
-            metadata: { length },
+            metadata: { length, checksumType: 'sum' },
             data: dataStr,
             checksum
         };
@@ -225,8 +540,8 @@ window.ImageViewer = class ImageViewer {
             throw new Error('Invalid or missing image data');
         }
 
-        // PTA_1: Validate against safe character set
-        const invalidChars = [...encodedData].filter(char => !window.CONFIG.SAFE_CHARS.includes(char));
+        // PTA_1: Validate against the character set of the payload's alphabet profile
+        const invalidChars = [...encodedData].filter(char => !this.alphabetProfile.chars.includes(char));
         if (invalidChars.length > 0) {
             throw new Error('Image data contains invalid characters');
         }
@@ -265,23 +580,33 @@ window.ImageViewer = class ImageViewer {
         return null;
     }
 
+    /**
+     * Number of leading bytes that every format signature fits in
+     * @returns {number} - Largest signature offset plus length
+     */
+    getSignatureLength() {
+        return Math.max(...Object.values(window.CONFIG.FORMAT_SIGNATURES)
+            .map(({ bytes, offset = 0 }) => offset + bytes.length));
+    }
+
     /**
      * Creates an image element from a blob URL
      * @param {string} url - Object URL for the image blob
      * @param {string} format - Image MIME type
+     * @param {boolean} [revoke=true] - Revokes the URL once loaded; pass false when the caller still uses it
      * @returns {Promise<HTMLImageElement>} - Image element
      */
-    createImage(url, format) {
+    createImage(url, format, revoke = true) {
         return new Promise((resolve, reject) => {
             const img = document.createElement('img');
             
             img.onload = () => {
-                URL.revokeObjectURL(url); // Clean up object URL
+                if (revoke) URL.revokeObjectURL(url); // Clean up object URL
                 resolve(img);
             };
             
             img.onerror = () => {
-                URL.revokeObjectURL(url); // Clean up object URL
+                if (revoke) URL.revokeObjectURL(url); // Clean up object URL
                 reject(new Error(`Failed to load ${format} image`));
             };
 
@@ -302,8 +627,10 @@ window.ImageViewer = class ImageViewer {
      * Adds image information display above the image
      * @param {number} size - Image size in bytes
      * @param {string} format - Image MIME type
+     * @param {Object|null} errorCorrection - Reed-Solomon summary from the decoder
+     * @param {Object[]} [linkRepairs] - Repairs LinkNormalizer made to the link
      */
-    addImageInfo(size, format) {
+    addImageInfo(size, format, errorCorrection = null, linkRepairs = []) {
         const info = document.createElement('div');
         info.style.cssText = `
             margin-bottom: 20px;
@@ -314,6 +641,12 @@ window.ImageViewer = class ImageViewer {
         
         const formattedSize = (size / 1024).toFixed(2);
         info.textContent = `Format: ${format} | Size: ${formattedSize}KB`;
+        if (errorCorrection && errorCorrection.correctedSymbols > 0) {
+            info.textContent += ` | Repaired ${errorCorrection.correctedSymbols} damaged characters`;
+        }
+        if (linkRepairs.length > 0) {
+            info.textContent += ` | Link repaired: ${linkRepairs.map(repair => repair.message).join('; ')}`;
+        }
         
         this.container.appendChild(info);
     }
@@ -346,6 +679,539 @@ window.ImageViewer = class ImageViewer {
         button.onmouseout = () => button.style.background = '#2196F3';
         
         this.container.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Restores the images of an album
+     * @param {ArrayBuffer} buffer - Inflated album container
+     * @returns {Object[]} - { format, bytes } per image, in album order
+     */
+    readAlbum(buffer) {
+        return window.AlbumContainer.unpack(buffer).map((record, index) => {
+            if (!window.CONFIG.SUPPORTED_INPUT_FORMATS.includes(record.type)) {
+                throw new Error(`Unsupported image format in album image ${index + 1}: ${record.type}`);
+            }
+            return { format: record.type, bytes: window.AlbumContainer.restoreRecord(record) };
+        });
+    }
+
+    /**
+     * Shows album images as a gallery: one image at a time, thumbnails to pick
+     * another, and the arrow, Home and End keys to move through them
+     * @param {Object[]} images - { format, bytes } from readAlbum
+     * @param {Object|null} signature - Result of PayloadSigner.verify, if the link was signed
+     * @param {Object|null} fields - Caption fields from PayloadFields.split, if the link has them
+     */
+    async showAlbum(images, signature, fields) {
+        // One URL per image serves the image, its thumbnail and the download; clearContainer revokes them
+        const sources = images.map(({ format, bytes }) => {
+            const blob = new Blob([bytes], { type: format });
+            return { format, blob, url: URL.createObjectURL(blob) };
+        });
+        let entries;
+        try {
+            entries = await Promise.all(sources.map(async source =>
+                ({ ...source, img: await this.createImage(source.url, source.format, false) })));
+        } catch (error) {
+            sources.forEach(source => URL.revokeObjectURL(source.url));
+            throw error;
+        }
+
+        this.clearContainer();
+        this.albumUrls = entries.map(entry => entry.url);
+        if (fields) {
+            this.addCaption(fields, entries.map(entry => entry.img));
+        }
+        const totalSize = entries.reduce((total, entry) => total + entry.blob.size, 0);
+        this.addImageInfo(totalSize, `album of ${entries.length} images`, this.lastErrorCorrection, this.linkRepairs);
+        if (signature) {
+            this.addSignatureInfo(signature);
+        }
+
+        const stage = document.createElement('div');
+        stage.style.cssText = `
+            display: flex;
+            justify-content: center;
+            max-width: 100%;
+        `;
+
+        const nav = document.createElement('div');
+        nav.style.cssText = `
+            display: flex;
+            gap: 12px;
+            align-items: center;
+            margin-top: 16px;
+            font-family: system-ui, -apple-system, sans-serif;
+            color: #444;
+        `;
+        const navButtonStyle = `
+            padding: 6px 14px;
+            border: 1px solid #1565c0;
+            border-radius: 4px;
+            background: white;
+            color: #1565c0;
+            font-family: system-ui, -apple-system, sans-serif;
+            cursor: pointer;
+        `;
+        const previous = document.createElement('button');
+        previous.textContent = '\u2039 Previous';
+        previous.setAttribute('aria-label', 'Previous image');
+        previous.style.cssText = navButtonStyle;
+        const counter = document.createElement('span');
+        counter.setAttribute('aria-live', 'polite');
+        const next = document.createElement('button');
+        next.textContent = 'Next \u203A';
+        next.setAttribute('aria-label', 'Next image');
+        next.style.cssText = navButtonStyle;
+        nav.append(previous, counter, next);
+
+        const strip = document.createElement('div');
+        strip.style.cssText = `
+            display: flex;
+            gap: 8px;
+            margin-top: 12px;
+        `;
+        const thumbnails = entries.map((entry, index) => {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = entry.url;
+            thumbnail.alt = `Image ${index + 1}`;
+            thumbnail.style.cssText = `
+                width: 64px;
+                height: 64px;
+                object-fit: cover;
+                border-radius: 4px;
+                cursor: pointer;
+            `;
+            strip.appendChild(thumbnail);
+            return thumbnail;
+        });
+
+        this.container.append(stage, nav, strip);
+        const download = this.addDownloadButton(entries[0].blob, entries[0].format);
+        URL.revokeObjectURL(download.href);
+
+        let current = 0;
+        const show = (index) => {
+            current = (index + entries.length) % entries.length;
+            stage.replaceChildren(entries[current].img);
+            counter.textContent = `${current + 1} / ${entries.length}`;
+            thumbnails.forEach((thumbnail, i) => {
+                thumbnail.style.outline = i === current ? '3px solid #2196F3' : 'none';
+                thumbnail.style.opacity = i === current ? '1' : '0.6';
+            });
+            download.href = entries[current].url;
+            download.download = `image-${current + 1}.${entries[current].format.split('/')[1]}`;
+        };
+
+        previous.onclick = () => show(current - 1);
+        next.onclick = () => show(current + 1);
+        thumbnails.forEach((thumbnail, index) => {
+            thumbnail.onclick = () => show(index);
+        });
+        this.galleryKeyHandler = (event) => {
+            if (event.target instanceof HTMLInputElement) return;
+            const targets = { ArrowLeft: current - 1, ArrowRight: current + 1, Home: 0, End: entries.length - 1 };
+            if (event.key in targets) {
+                event.preventDefault();
+                show(targets[event.key]);
+            }
+        };
+        document.addEventListener('keydown', this.galleryKeyHandler);
+        show(0);
+    }
+
+    /**
+     * Shows a file that is not an image: a preview where the type allows one, a copy
+     * button for text, and a download
+     * @param {Object} file - { type, name, bytes } from FilePayload.unpack
+     * @param {Object|null} signature - Result of PayloadSigner.verify, if the link was signed
+     * @param {Object|null} fields - Caption fields from PayloadFields.split, if the link has them
+     */
+    showFile({ type, name, bytes }, signature, fields) {
+        const blob = new Blob([bytes], { type });
+
+        this.clearContainer();
+        if (fields) {
+            this.addCaption(fields, []);
+        }
+        this.addImageInfo(bytes.length, `${type} (${name})`, this.lastErrorCorrection, this.linkRepairs);
+        if (signature) {
+            this.addSignatureInfo(signature);
+        }
+
+        const text = window.FilePayload.isText(type) ? new TextDecoder().decode(bytes) : null;
+        const preview = this.createFilePreview(blob, type, text);
+        if (preview) {
+            if (fields && fields.alt) {
+                preview.setAttribute('aria-label', fields.alt);
+            }
+            this.container.appendChild(preview);
+        }
+        if (text !== null) {
+            this.addCopyButton(text);
+        }
+
+        const download = this.addDownloadButton(blob, type);
+        download.download = name;
+        download.textContent = `Download ${name}`;
+    }
+
+    /**
+     * Builds the inline preview of a file
+     * Text is shown as text (JSON pretty-printed) and never rendered, so shared
+     * HTML or SVG cannot run; Markdown goes through MarkdownRenderer, which has
+     * no HTML passthrough. PDFs open at their first page in the browser's viewer.
+     * @param {Blob} blob - File contents
+     * @param {string} type - MIME type
+     * @param {string|null} text - Decoded contents of text files
+     * @returns {HTMLElement|null} - Preview element, or null if the type has none
+     */
+    createFilePreview(blob, type, text) {
+        const frameStyle = `
+            width: min(100%, 800px);
+            box-sizing: border-box;
+            border-radius: 8px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+            background: white;
+        `;
+
+        const { PREVIEW_MAX_CHARS } = window.CONFIG.FILE;
+        const omitted = text !== null && text.length > PREVIEW_MAX_CHARS ?
+            `\u2026 ${text.length - PREVIEW_MAX_CHARS} more characters in the download` :
+            '';
+
+        if (type === 'text/markdown') {
+            const article = window.MarkdownRenderer.render(text.slice(0, PREVIEW_MAX_CHARS));
+            if (omitted) {
+                const note = document.createElement('p');
+                note.textContent = omitted;
+                article.appendChild(note);
+            }
+            article.style.cssText = frameStyle + `
+                padding: 8px 24px;
+                font-family: system-ui, -apple-system, sans-serif;
+                line-height: 1.5;
+                text-align: left;
+                overflow-wrap: break-word;
+            `;
+            return article;
+        }
+
+        if (text !== null) {
+            let shown = text.slice(0, PREVIEW_MAX_CHARS);
+            if (window.FilePayload.isJson(type) && !omitted) {
+                try {
+                    shown = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (error) {
+                    // Invalid JSON is shown as it was sent
+                }
+            }
+
+            const pre = document.createElement('pre');
+            pre.textContent = omitted ? `${shown}\n${omitted}` : shown;
+            pre.style.cssText = frameStyle + `
+                max-height: 70vh;
+                margin: 0;
+                padding: 16px;
+                overflow: auto;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+                font-size: 13px;
+                white-space: pre-wrap;
+                word-break: break-word;
+                text-align: left;
+            `;
+            return pre;
+        }
+
+        if (type === 'application/pdf') {
+            const pdf = document.createElement('object');
+            pdf.type = type;
+            pdf.data = `${URL.createObjectURL(blob)}#page=1&toolbar=0&navpanes=0&view=FitH`;
+            // One A4 page tall, so the first page fills the frame
+            pdf.style.cssText = frameStyle + `
+                aspect-ratio: 1 / 1.414;
+                max-height: 90vh;
+            `;
+            pdf.textContent = 'This browser cannot preview PDF files; download it below.';
+            return pdf;
+        }
+
+        return null;
+    }
+
+    /**
+     * Adds a button that copies text to the clipboard
+     * @param {string} text - Text to copy, as it was shared
+     */
+    addCopyButton(text) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = 'Copy text';
+        button.style.cssText = `
+            margin-top: 20px;
+            padding: 10px 20px;
+            border: 1px solid #2196F3;
+            border-radius: 4px;
+            background: white;
+            color: #1976D2;
+            font-family: system-ui, -apple-system, sans-serif;
+            cursor: pointer;
+        `;
+        button.onclick = async () => {
+            try {
+                await navigator.clipboard.writeText(text);
+                button.textContent = 'Copied';
+            } catch (error) {
+                console.warn('Clipboard write failed:', error);
+                button.textContent = 'Copy failed; select the text instead';
+            }
+            setTimeout(() => button.textContent = 'Copy text', 2000);
+        };
+        this.container.appendChild(button);
+    }
+
+    /**
+     * Shows the title, author and creation time above the image, puts the alt
+     * text on the images and names the page after the title
+     * @param {Object} fields - Caption fields from PayloadFields.split
+     * @param {HTMLImageElement[]} images - Displayed images; album images are numbered in their alt text
+     */
+    addCaption({ title, alt, author, created }, images) {
+        if (alt) {
+            images.forEach((img, index) => {
+                img.alt = images.length > 1 ? `${alt} (image ${index + 1} of ${images.length})` : alt;
+            });
+        }
+        if (title) {
+            document.title = title;
+        }
+
+        const byline = [author ? `by ${author}` : '', created ? created.toLocaleString() : ''].filter(Boolean).join(', ');
+        if (!title && !byline) {
+            return;
+        }
+
+        const caption = document.createElement('div');
+        caption.style.cssText = `
+            margin-bottom: 12px;
+            text-align: center;
+            font-family: system-ui, -apple-system, sans-serif;
+            color: #333;
+        `;
+        if (title) {
+            const heading = document.createElement('h1');
+            heading.textContent = title;
+            heading.style.cssText = `
+                margin: 0 0 4px;
+                font-size: 1.5em;
+            `;
+            caption.appendChild(heading);
+        }
+        if (byline) {
+            const details = document.createElement('div');
+            details.textContent = byline;
+            details.style.color = '#666';
+            caption.appendChild(details);
+        }
+        this.container.appendChild(caption);
+    }
+
+    /**
+     * Shows who signed the image, or that the signature does not hold
+     * @param {Object} signature - Result of PayloadSigner.verify
+     */
+    addSignatureInfo({ status, fingerprint, label }) {
+        const colors = { valid: '#2e7d32', invalid: '#c62828', unknown: '#666' };
+        const key = window.PayloadSigner.formatFingerprint(fingerprint);
+        const messages = {
+            valid: `Signed by ${key}${label ? ` (${label})` : ''}`,
+            invalid: `Signature invalid: the image was altered or not signed by ${key}${label ? ` (${label})` : ''}`,
+            unknown: `Signed by unknown key ${key}; trust its public key on the main page to verify it`
+        };
+
+        const info = document.createElement('div');
+        info.style.cssText = `
+            margin-bottom: 20px;
+            text-align: center;
+            font-family: system-ui, -apple-system, sans-serif;
+            font-weight: ${status === 'unknown' ? 'normal' : 'bold'};
+            color: ${colors[status]};
+        `;
+        info.textContent = messages[status];
+        this.container.appendChild(info);
+    }
+
+    /**
+     * Keys signatures can be checked with; none if IndexedDB is unavailable
+     * @returns {Promise<Object[]>} - Entries from PayloadSigner.getKnownKeys
+     */
+    async getSigningKeys() {
+        try {
+            return await window.PayloadSigner.getKnownKeys();
+        } catch (error) {
+            console.warn('Could not read trusted signing keys:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Asks for the passphrase until the payload opens
+     * @param {Uint8Array} bytes - Payload sealed by PayloadCipher
+     * @param {number} flags - Header flags, authenticated along with the ciphertext
+     * @returns {Promise<Uint8Array>} - Decrypted payload
+     */
+    async decryptPayload(bytes, flags) {
+        let message = 'This image is password-protected.';
+        let type = 'info';
+
+        for (;;) {
+            const passphrase = await this.promptPassphrase(message, type);
+            this.showStatus('Decrypting image data...', 'info');
+            try {
+                return await window.PayloadCipher.decrypt(bytes, passphrase, flags);
+            } catch (error) {
+                if (!(error instanceof window.PassphraseError)) {
+                    throw error;
+                }
+                message = 'Wrong passphrase, please try again.';
+                type = 'error';
+            }
+        }
+    }
+
+    /**
+     * Shows a passphrase form below a message
+     * @param {string} message - Message above the form
+     * @param {string} [type] - Message type (info or error)
+     * @returns {Promise<string>} - Entered passphrase
+     */
+    promptPassphrase(message, type = 'info') {
+        this.showStatus(message, type);
+        const status = this.container.firstChild;
+
+        return new Promise(resolve => {
+            const form = document.createElement('form');
+            form.style.cssText = `
+                display: flex;
+                gap: 8px;
+                justify-content: center;
+                margin-top: 10px;
+            `;
+
+            const input = document.createElement('input');
+            input.type = 'password';
+            input.placeholder = 'Passphrase';
+            input.autocomplete = 'current-password';
+            input.required = true;
+            input.style.cssText = `
+                padding: 4px 8px;
+                border: 1px solid #90caf9;
+                border-radius: 4px;
+                font-family: system-ui, -apple-system, sans-serif;
+            `;
+
+            const button = document.createElement('button');
+            button.type = 'submit';
+            button.textContent = 'Unlock';
+            button.style.cssText = `
+                padding: 4px 12px;
+                border: 1px solid #1565c0;
+                border-radius: 4px;
+                background: white;
+                color: #1565c0;
+                font-family: system-ui, -apple-system, sans-serif;
+                cursor: pointer;
+            `;
+
+            form.onsubmit = (event) => {
+                event.preventDefault();
+                resolve(input.value);
+            };
+            form.append(input, button);
+            status.appendChild(form);
+            input.focus();
+        });
+    }
+
+    /**
+     * Shows a decoding progress bar with a cancel button
+     * @param {AbortController} controller - Aborted when the user cancels
+     * @returns {Object} - { label, bar } elements for updateDecodeProgress
+     */
+    showDecodeProgress(controller) {
+        this.showStatus('Decoding image data...', 'info');
+        const status = this.container.firstChild;
+
+        const track = document.createElement('div');
+        track.style.cssText = `
+            width: 300px;
+            max-width: 100%;
+            height: 6px;
+            margin: 10px auto;
+            background: #bbdefb;
+            border-radius: 3px;
+            overflow: hidden;
+        `;
+
+        const bar = document.createElement('div');
+        bar.style.cssText = `
+            width: 0%;
+            height: 100%;
+            background: #1565c0;
+            transition: width 0.1s linear;
+        `;
+        track.appendChild(bar);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.style.cssText = `
+            padding: 4px 12px;
+            border: 1px solid #1565c0;
+            border-radius: 4px;
+            background: white;
+            color: #1565c0;
+            font-family: system-ui, -apple-system, sans-serif;
+            cursor: pointer;
+        `;
+        cancelButton.onclick = () => {
+            cancelButton.disabled = true;
+            controller.abort();
+        };
+
+        const label = document.createElement('div');
+        label.textContent = status.textContent;
+        status.textContent = '';
+        status.append(label, track, cancelButton);
+
+        return { label, bar };
+    }
+
+    /**
+     * Updates the decoding progress bar
+     * @param {Object} view - Elements from showDecodeProgress
+     * @param {Object} progress - { bytesDone, totalBytes }
+     * @param {string|null} format - Format detected from the first bytes, if any
+     */
+    updateDecodeProgress(view, progress, format) {
+        const percent = progress.totalBytes > 0 ? Math.round(progress.bytesDone / progress.totalBytes * 100) : 100;
+        const subject = format ? `${format.split('/')[1].toUpperCase()} image` : 'image data';
+
+        view.bar.style.width = `${percent}%`;
+        view.label.textContent = `Decoding ${subject}... ${progress.bytesDone} of ${progress.totalBytes} bytes (${percent}%)`;
+    }
+
+    /**
+     * Empties the container and drops the keyboard handler and object URLs of an album shown in it
+     */
+    clearContainer() {
+        if (this.galleryKeyHandler) {
+            document.removeEventListener('keydown', this.galleryKeyHandler);
+            this.galleryKeyHandler = null;
+        }
+        this.albumUrls.forEach(url => URL.revokeObjectURL(url));
+        this.albumUrls = [];
+        this.container.innerHTML = '';
     }
 
     /**
@@ -366,7 +1232,7 @@ window.ImageViewer = class ImageViewer {
               'background: #e3f2fd; color: #1565c0;'}
         `;
         
-        this.container.innerHTML = '';
+        this.clearContainer();
         this.container.appendChild(status);
     }
 
@@ -0,0 +1,96 @@
+/**
+ * nodeCodec.js
+ *
+ * Node entry point for the environment-neutral codec. The browser scripts
+ * attach their classes to `window`; here they are evaluated against a private
+ * namespace that stands in for it (falling back to Node's globals for BigInt,
+ * TextEncoder, CompressionStream, crypto and so on), so nothing leaks into
+ * the caller's global scope and no browser is needed.
+ *
+ * Usage:
+ *   const { createCodec } = require('./nodeCodec');
+ *   const codec = createCodec();
+ *   const link = await codec.encodeBits(bytes);
+ *   const decoded = await codec.decodeBits(link);
+ *
+ * Links in other alphabet profiles decode with the codec for their profile:
+ *   const { profile, encoded } = AlphabetProfiles.resolve(link);
+ *   const decoded = await createCodec(profile.id).decodeBits(encoded);
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Load order matches index.html; the GPU classes and UI modules are browser-only
+const CODEC_SCRIPTS = [
+    'config.js',
+    'AlphabetProfiles.js',
+    'LinkNormalizer.js',
+    'RadixConverter.js',
+    'DecodeErrors.js',
+    'Crc32.js',
+    'DeflateStage.js',
+    'TemplateDictionary.js',
+    'MetadataStripper.js',
+    'PayloadCipher.js',
+    'PayloadSigner.js',
+    'AlbumContainer.js',
+    'PayloadFields.js',
+    'FilePayload.js',
+    'ReedSolomon.js',
+    'RangeCoder.js',
+    'PayloadHeader.js',
+    'BitStreamCodec.js'
+];
+
+/**
+ * Evaluates the codec scripts into a fresh namespace
+ * @returns {Object} - Namespace holding CONFIG and the codec classes
+ */
+function loadCodecScripts() {
+    const namespace = Object.create(globalThis);
+    namespace.window = namespace;
+    // Node's crypto accessor only accepts the real global as receiver, so shadow it with the object itself
+    Object.defineProperty(namespace, 'crypto', { value: globalThis.crypto });
+
+    for (const script of CODEC_SCRIPTS) {
+        const filename = path.join(__dirname, script);
+        const source = fs.readFileSync(filename, 'utf8');
+        const run = vm.runInThisContext(`(function (window) {${source}\n})`, { filename });
+        run(namespace);
+    }
+    return namespace;
+}
+
+const namespace = loadCodecScripts();
+
+/**
+ * Creates a codec instance
+ * @param {string} [profileId] - Alphabet profile id, defaults to CONFIG.DEFAULT_ALPHABET_PROFILE
+ * @returns {BitStreamCodec} - Codec with encodeBits, decodeBits and the capacity API
+ */
+function createCodec(profileId) {
+    const profile = namespace.AlphabetProfiles.get(profileId);
+    return new namespace.BitStreamCodec(profile.chars, profile.marker);
+}
+
+module.exports = {
+    createCodec,
+    CONFIG: namespace.CONFIG,
+    AlphabetProfiles: namespace.AlphabetProfiles,
+    LinkNormalizer: namespace.LinkNormalizer,
+    BitStreamCodec: namespace.BitStreamCodec,
+    PayloadHeader: namespace.PayloadHeader,
+    DeflateStage: namespace.DeflateStage,
+    TemplateDictionary: namespace.TemplateDictionary,
+    MetadataStripper: namespace.MetadataStripper,
+    PayloadCipher: namespace.PayloadCipher,
+    PayloadSigner: namespace.PayloadSigner,
+    AlbumContainer: namespace.AlbumContainer,
+    PayloadFields: namespace.PayloadFields,
+    FilePayload: namespace.FilePayload,
+    Crc32: namespace.Crc32,
+    ChecksumError: namespace.ChecksumError,
+    TruncatedPayloadError: namespace.TruncatedPayloadError,
+    PassphraseError: namespace.PassphraseError
+};
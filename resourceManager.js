@@ -61,6 +61,11 @@ window.ResourceManager = class ResourceManager {
                 console.warn('Error cleaning up encoder:', e);
             }
         }
+
+        // Stop codec workers
+        if (this.imageProcessor.workerPool) {
+            this.imageProcessor.workerPool.terminate();
+        }
     }
 
     /**
@@ -69,12 +74,8 @@ window.ResourceManager = class ResourceManager {
      */
     async reinitializeEncoder() {
         try {
-            this.imageProcessor.encoder = new window.GPUBitStreamEncoder(window.CONFIG.SAFE_CHARS);
-            
-            // Apply benchmark results if available
-            if (this.imageProcessor.benchmarkCompleted && this.imageProcessor.benchmark) {
-                this.imageProcessor.benchmark.applyResults(this.imageProcessor.encoder);
-            }
+            this.imageProcessor.encoder = this.imageProcessor.createEncoder();
+            this.imageProcessor.compressionEngine.setEncoder(this.imageProcessor.encoder);
             
             return true;
         } catch (error) {
@@ -18,7 +18,29 @@ window.UIController = class UIController {
             resultContainer: null,
             cancelButton: null,
             progressBar: null,
-            progressText: null
+            progressText: null,
+            fecParity: null,
+            alphabetProfile: null,
+            fragmentTransport: null,
+            encryptPayload: null,
+            passphrase: null,
+            signPayload: null,
+            copyPublicKey: null,
+            trustedKey: null,
+            trustedKeyLabel: null,
+            trustKey: null,
+            fieldTitle: null,
+            fieldAlt: null,
+            fieldAuthor: null,
+            fieldCreated: null,
+            fieldsCost: null,
+            shareModeFile: null,
+            shareModeText: null,
+            filePanel: null,
+            textPanel: null,
+            snippetText: null,
+            snippetMarkdown: null,
+            encodeSnippet: null
         };
     }
 
@@ -34,12 +56,261 @@ window.UIController = class UIController {
         this.elements.resultContainer = document.getElementById('resultContainer');
         this.elements.progressBar = document.getElementById('progressBar');
         this.elements.progressText = document.getElementById('progressText');
+        this.elements.fecParity = document.getElementById('fecParity');
+        this.elements.alphabetProfile = document.getElementById('alphabetProfile');
+        this.populateAlphabetProfiles();
+        this.elements.fragmentTransport = document.getElementById('fragmentTransport');
+        if (this.elements.fragmentTransport) {
+            this.elements.fragmentTransport.checked = window.CONFIG.LINK_TRANSPORT === 'fragment';
+        }
+        this.elements.encryptPayload = document.getElementById('encryptPayload');
+        this.elements.passphrase = document.getElementById('passphrase');
+        if (this.elements.encryptPayload && this.elements.passphrase) {
+            this.elements.encryptPayload.addEventListener('change', () => {
+                this.elements.passphrase.disabled = !this.elements.encryptPayload.checked;
+                if (this.elements.encryptPayload.checked) {
+                    this.elements.passphrase.focus();
+                }
+            });
+        }
+        this.elements.signPayload = document.getElementById('signPayload');
+        this.elements.copyPublicKey = document.getElementById('copyPublicKey');
+        this.elements.trustedKey = document.getElementById('trustedKey');
+        this.elements.trustedKeyLabel = document.getElementById('trustedKeyLabel');
+        this.elements.trustKey = document.getElementById('trustKey');
+        this.setupSigningKeys();
+        this.elements.fieldTitle = document.getElementById('fieldTitle');
+        this.elements.fieldAlt = document.getElementById('fieldAlt');
+        this.elements.fieldAuthor = document.getElementById('fieldAuthor');
+        this.elements.fieldCreated = document.getElementById('fieldCreated');
+        this.elements.fieldsCost = document.getElementById('fieldsCost');
+        this.setupCaptionFields();
+        this.elements.shareModeFile = document.getElementById('shareModeFile');
+        this.elements.shareModeText = document.getElementById('shareModeText');
+        this.elements.filePanel = document.getElementById('filePanel');
+        this.elements.textPanel = document.getElementById('textPanel');
+        this.elements.snippetText = document.getElementById('snippetText');
+        this.elements.snippetMarkdown = document.getElementById('snippetMarkdown');
+        this.elements.encodeSnippet = document.getElementById('encodeSnippet');
+        this.setupShareModes();
         
         // Initialize cancel button if available
         this.elements.cancelButton = document.getElementById('cancelProcessing');
         this.setupCancelButton();
     }
 
+    /**
+     * Reads user encoding choices from the UI
+     * @returns {Object} - { fecParity, alphabetProfile, passphrase, sign, fields }; the profile id picks the encoder
+     *   and sign asks for the user's signing key, the rest are options for GPUBitStreamEncoder.setEncodeOptions
+     */
+    getEncodeOptions() {
+        let fecParity = window.CONFIG.FEC.DEFAULT_PARITY;
+        if (this.elements.fecParity) {
+            const value = parseInt(this.elements.fecParity.value, 10);
+            if (Number.isFinite(value)) {
+                fecParity = Math.max(0, Math.min(window.CONFIG.FEC.MAX_PARITY, value));
+            }
+        }
+        const alphabetProfile = this.elements.alphabetProfile && this.elements.alphabetProfile.value ?
+            this.elements.alphabetProfile.value :
+            window.CONFIG.DEFAULT_ALPHABET_PROFILE;
+        // null turns encryption off; an empty string means it is on but no passphrase was entered
+        const passphrase = this.elements.encryptPayload && this.elements.encryptPayload.checked ?
+            this.elements.passphrase.value :
+            null;
+        const sign = Boolean(this.elements.signPayload && this.elements.signPayload.checked);
+        return { fecParity, alphabetProfile, passphrase, sign, fields: this.getCaptionFields() };
+    }
+
+    /**
+     * Reads the caption fields; empty inputs are left out of the link
+     * @returns {Object} - { title, alt, author, created } for PayloadFields
+     */
+    getCaptionFields() {
+        const text = (input) => (input ? input.value.trim() : '');
+        const created = this.elements.fieldCreated && this.elements.fieldCreated.value ?
+            new Date(this.elements.fieldCreated.value) :
+            null;
+        return {
+            title: text(this.elements.fieldTitle),
+            alt: text(this.elements.fieldAlt),
+            author: text(this.elements.fieldAuthor),
+            created
+        };
+    }
+
+    /**
+     * Switches between sharing an image or file and sharing pasted text
+     */
+    setupShareModes() {
+        const { shareModeFile, shareModeText, filePanel, textPanel, snippetText } = this.elements;
+        if (!shareModeFile || !shareModeText || !filePanel || !textPanel) return;
+
+        const update = () => {
+            filePanel.hidden = shareModeText.checked;
+            textPanel.hidden = !shareModeText.checked;
+            if (shareModeText.checked && snippetText) {
+                snippetText.focus();
+            }
+        };
+        shareModeFile.addEventListener('change', update);
+        shareModeText.addEventListener('change', update);
+        update();
+    }
+
+    /**
+     * Reads the pasted snippet
+     * @returns {Object} - { text, markdown }
+     */
+    getSnippet() {
+        return {
+            text: this.elements.snippetText ? this.elements.snippetText.value : '',
+            markdown: Boolean(this.elements.snippetMarkdown && this.elements.snippetMarkdown.checked)
+        };
+    }
+
+    /**
+     * Keeps the cost of the caption fields up to date while they are edited
+     */
+    setupCaptionFields() {
+        const inputs = [
+            this.elements.fieldTitle,
+            this.elements.fieldAlt,
+            this.elements.fieldAuthor,
+            this.elements.fieldCreated,
+            this.elements.alphabetProfile,
+            this.elements.fragmentTransport
+        ];
+        for (const input of inputs.filter(Boolean)) {
+            input.addEventListener(input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input', () => this.updateFieldsCost());
+        }
+        this.updateFieldsCost();
+    }
+
+    /**
+     * Shows how much of the link budget the caption fields take
+     */
+    updateFieldsCost() {
+        const output = this.elements.fieldsCost;
+        if (!output || !window.PayloadFields) return;
+
+        let bytes;
+        try {
+            bytes = window.PayloadFields.getLength(this.getCaptionFields());
+        } catch (error) {
+            output.textContent = error.message;
+            return;
+        }
+        if (bytes === 0) {
+            output.textContent = '';
+            return;
+        }
+
+        // Each field byte costs as many characters as a byte of image data; the budget matches processFile.
+        // Radix and link overhead both come from the selected profile, the one the next link will use
+        const profile = window.AlphabetProfiles.get(this.getEncodeOptions().alphabetProfile);
+        const characters = Math.ceil(bytes * 8 / Math.log2(profile.chars.length));
+        const budget = this.imageProcessor.maxSize - this.buildShareUrl('', profile).length - 10;
+        output.textContent = `Caption fields: ${bytes} bytes, about ${characters} of the ${budget} link characters`;
+    }
+
+    /**
+     * Reads where the user wants the payload placed in the link
+     * @returns {string} - 'fragment' or 'path'
+     */
+    getLinkTransport() {
+        if (!this.elements.fragmentTransport) {
+            return window.CONFIG.LINK_TRANSPORT;
+        }
+        return this.elements.fragmentTransport.checked ? 'fragment' : 'path';
+    }
+
+    /**
+     * Builds the share link for a payload with the chosen transport and alphabet profile
+     * buildShareUrl('') gives the link overhead the compression budget must leave room for.
+     * @param {string} encodedData - Encoded data string
+     * @param {Object} [profile] - Alphabet profile from AlphabetProfiles.get, defaults to the encoder's
+     * @returns {string} - Share URL
+     */
+    buildShareUrl(encodedData, profile = this.imageProcessor.alphabetProfile) {
+        // Query and fragment links keep the page name so they also open from file://
+        // and other static hosts; path links rely on the server answering with 404.html
+        const transport = this.getLinkTransport();
+        const pageUrl = window.location.href.split(/[?#]/)[0];
+        const inPath = transport !== 'fragment' && (profile.component === 'path' || profile.component === 'segment');
+        const baseUrl = inPath ? pageUrl.replace('index.html', '') : pageUrl;
+        
+        // Don't use encodeURIComponent here since every alphabet profile is URL-safe
+        // for the URL component it is placed in
+        return window.AlphabetProfiles.buildShareUrl(baseUrl, encodedData, profile, transport);
+    }
+
+    /**
+     * Fills the alphabet profile selector from CONFIG.ALPHABET_PROFILES
+     */
+    populateAlphabetProfiles() {
+        const select = this.elements.alphabetProfile;
+        if (!select || !window.AlphabetProfiles) return;
+        
+        select.innerHTML = '';
+        for (const profile of window.AlphabetProfiles.list()) {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = `${profile.label} - ${profile.chars.length} characters`;
+            if (profile.warnings.length > 0) {
+                option.textContent += ' (not RFC 3986 safe)';
+                option.title = profile.warnings.join('; ');
+            }
+            option.selected = profile.id === window.CONFIG.DEFAULT_ALPHABET_PROFILE;
+            select.appendChild(option);
+        }
+    }
+
+    /**
+     * Binds the buttons that share the user's public key and trust a teammate's
+     * The key pair is created in IndexedDB the first time either is needed.
+     */
+    setupSigningKeys() {
+        if (!window.PayloadSigner) return;
+
+        if (this.elements.copyPublicKey) {
+            this.elements.copyPublicKey.addEventListener('click', async () => {
+                try {
+                    const identity = await window.PayloadSigner.loadIdentity();
+                    await navigator.clipboard.writeText(window.PayloadSigner.exportPublicKey(identity.publicKeyBytes));
+                    this.showStatus(
+                        'Public key copied; teammates paste it under "Trust a teammate\'s key"',
+                        'success',
+                        `Fingerprint ${window.PayloadSigner.formatFingerprint(identity.fingerprint)}`
+                    );
+                } catch (error) {
+                    this.showStatus(`Could not copy the public key: ${error.message}`, 'error');
+                }
+            });
+        }
+
+        if (this.elements.trustKey && this.elements.trustedKey) {
+            this.elements.trustKey.addEventListener('click', async () => {
+                const label = this.elements.trustedKeyLabel ? this.elements.trustedKeyLabel.value : '';
+                try {
+                    const entry = await window.PayloadSigner.trustKey(this.elements.trustedKey.value, label);
+                    this.elements.trustedKey.value = '';
+                    if (this.elements.trustedKeyLabel) {
+                        this.elements.trustedKeyLabel.value = '';
+                    }
+                    this.showStatus(
+                        `Trusted key ${window.PayloadSigner.formatFingerprint(entry.fingerprint)}` +
+                        (entry.label ? ` (${entry.label})` : ''),
+                        'success'
+                    );
+                } catch (error) {
+                    this.showStatus(`Could not trust the key: ${error.message}`, 'error');
+                }
+            });
+        }
+    }
+
     /**
      * Set up cancel button functionality
      */
@@ -47,6 +318,9 @@ window.UIController = class UIController {
         if (this.elements.cancelButton) {
             this.elements.cancelButton.addEventListener('click', () => {
                 this.imageProcessor.processingAborted = true;
+                if (this.imageProcessor.workerPool) {
+                    this.imageProcessor.workerPool.cancelQueued();
+                }
                 this.showStatus('Processing cancelled by user', 'error');
                 if (this.imageProcessor.metrics) {
                     this.imageProcessor.metrics.recordError('Processing cancelled by user');
@@ -83,6 +357,16 @@ window.UIController = class UIController {
         this.elements.preview.style.display = 'block';
     }
 
+    /**
+     * Hide the preview, e.g. for files that are not images
+     */
+    clearPreview() {
+        if (!this.elements.preview) return;
+
+        this.elements.preview.removeAttribute('src');
+        this.elements.preview.style.display = 'none';
+    }
+
     /**
      * Show benchmark status in the UI
      */
@@ -199,10 +483,7 @@ updateImageStats() {
             }
         }
         
-        const baseUrl = window.location.href.split('?')[0].replace('index.html', '');
-        
-        // Don't use encodeURIComponent here since our SAFE_CHARS are already URL-safe
-        const finalUrl = `${baseUrl}${encodedData}`;
+        const finalUrl = this.buildShareUrl(encodedData);
         
         // Check max URL length
         if (finalUrl.length > this.imageProcessor.maxSize) {